@@ -0,0 +1,121 @@
+// Append-only record of every generation, one JSON line per request. Entries are
+// written to one file per UTC day so retention is a matter of deleting old files.
+import { randomBytes } from "node:crypto";
+import { existsSync } from "node:fs";
+import { appendFile, mkdir, readdir, readFile, unlink } from "node:fs/promises";
+import path from "node:path";
+
+const DAY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+export function emptyUsageDay(day) {
+  return { day, total: 0, ok: 0, fallback: 0, error: 0, cancelled: 0, blocked: 0, inputTokens: 0, outputTokens: 0, cost: 0, classes: {} };
+}
+
+const roundCost = (cost) => Math.round(cost * 1000000) / 1000000;
+
+export function createAuditLog(dir, { retentionDays = 0, now = Date.now } = {}) {
+  let writing = Promise.resolve();
+
+  async function dayFiles() {
+    if (!existsSync(dir)) return [];
+    const names = await readdir(dir);
+    return names
+      .map((name) => {
+        const match = name.match(DAY_FILE_PATTERN);
+        return match ? { day: match[1], file: path.join(dir, name) } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.day.localeCompare(b.day));
+  }
+
+  // Appends are chained so lines from concurrent requests never interleave.
+  function append(entry) {
+    const time = now();
+    const record = { id: "gen_" + randomBytes(6).toString("hex"), timestamp: new Date(time).toISOString(), ...entry };
+    const line = JSON.stringify(record) + "\n";
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(dir, { recursive: true });
+        await appendFile(path.join(dir, utcDay(time) + ".jsonl"), line, { mode: 0o600 });
+      });
+    return writing.then(() => record);
+  }
+
+  async function filesBetween(from, to) {
+    return (await dayFiles()).filter((item) => (!from || item.day >= from) && (!to || item.day <= to));
+  }
+
+  // Parsed entries of one day file, oldest first; unreadable lines are skipped.
+  async function readEntries(file, classRef) {
+    const entries = [];
+    for (const line of (await readFile(file, "utf8")).split("\n")) {
+      if (!line.trim()) continue;
+      let entry = null;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      const owner = entry.class || {};
+      if (classRef && owner.id !== classRef && owner.name !== classRef) continue;
+      entries.push(entry);
+    }
+    return entries;
+  }
+
+  // filters: { class (token ID or name), from, to (YYYY-MM-DD, inclusive), limit }. Newest first.
+  async function query({ class: classRef = "", from = "", to = "", limit = 100 } = {}) {
+    const files = await filesBetween(from, to);
+    const entries = [];
+    for (let index = files.length - 1; index >= 0 && entries.length < limit; index -= 1) {
+      const dayEntries = await readEntries(files[index].file, classRef);
+      entries.push(...dayEntries.reverse().slice(0, limit - entries.length));
+    }
+    return entries;
+  }
+
+  // Request counts per day and outcome, with token and estimated cost totals per day and per class
+  // (keyed by class name, "" without one): see emptyUsageDay for the shape. Oldest first.
+  async function usage({ class: classRef = "", from = "", to = "" } = {}) {
+    const days = [];
+    for (const item of await filesBetween(from, to)) {
+      const counts = emptyUsageDay(item.day);
+      for (const entry of await readEntries(item.file, classRef)) {
+        const spent = entry.usage || {};
+        const owner = entry.class ? entry.class.name : "";
+        const perClass = counts.classes[owner] || (counts.classes[owner] = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+        counts.total += 1;
+        if (counts[entry.outcome] !== undefined) counts[entry.outcome] += 1;
+        for (const target of [counts, perClass]) {
+          target.inputTokens += spent.inputTokens || 0;
+          target.outputTokens += spent.outputTokens || 0;
+          target.cost = roundCost(target.cost + (spent.cost || 0));
+        }
+        perClass.requests += 1;
+      }
+      days.push(counts);
+    }
+    return days;
+  }
+
+  // Deletes day files older than the retention window. Returns how many were removed.
+  async function prune() {
+    if (!(retentionDays > 0)) return 0;
+    const cutoff = utcDay(now() - retentionDays * DAY_MS);
+    let removed = 0;
+    for (const item of await dayFiles()) {
+      if (item.day >= cutoff) break;
+      await unlink(item.file);
+      removed += 1;
+    }
+    return removed;
+  }
+
+  return { append, query, usage, prune };
+}
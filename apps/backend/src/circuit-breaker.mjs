@@ -0,0 +1,72 @@
+// Tracks consecutive failures per provider. After `threshold` failures in a row
+// the provider is skipped for `coolDownMs`; the next call after that is a trial,
+// and one more failure opens the circuit again. Only one trial runs at a time:
+// callers acquire() a circuit before calling, and while the trial is in flight
+// everyone else sees the circuit as unavailable.
+export function createCircuitBreaker({ threshold = 3, coolDownMs = 60000, now = Date.now } = {}) {
+  const circuits = new Map();
+
+  function circuitFor(name) {
+    if (!circuits.has(name)) {
+      circuits.set(name, { failures: 0, openUntil: 0, trialInFlight: false, lastError: "", lastFailureAt: 0, lastSuccessAt: 0 });
+    }
+    return circuits.get(name);
+  }
+
+  function available(name) {
+    const circuit = circuitFor(name);
+    return circuit.openUntil <= now() && !circuit.trialInFlight;
+  }
+
+  // Like available(), but a half-open circuit is claimed for this caller's trial call.
+  function acquire(name) {
+    if (!available(name)) return false;
+    const circuit = circuitFor(name);
+    if (threshold > 0 && circuit.failures >= threshold) circuit.trialInFlight = true;
+    return true;
+  }
+
+  // Ends a claimed trial without a verdict, for calls cut short by something other than the
+  // provider (a client that went away); the next caller gets the trial instead.
+  function release(name) {
+    circuitFor(name).trialInFlight = false;
+  }
+
+  function success(name) {
+    const circuit = circuitFor(name);
+    circuit.failures = 0;
+    circuit.openUntil = 0;
+    circuit.trialInFlight = false;
+    circuit.lastSuccessAt = now();
+  }
+
+  function failure(name, reason) {
+    const circuit = circuitFor(name);
+    circuit.failures += 1;
+    circuit.trialInFlight = false;
+    circuit.lastError = String(reason || "");
+    circuit.lastFailureAt = now();
+    if (threshold > 0 && circuit.failures >= threshold) circuit.openUntil = now() + coolDownMs;
+  }
+
+  // "closed" is healthy, "open" is being skipped, "half-open" means the next call is a trial
+  // (or one is running, see trialInFlight).
+  function status(name) {
+    const circuit = circuitFor(name);
+    let state = "closed";
+    if (circuit.openUntil > now()) state = "open";
+    else if (threshold > 0 && circuit.failures >= threshold) state = "half-open";
+    const iso = (time) => (time ? new Date(time).toISOString() : null);
+    return {
+      state,
+      failures: circuit.failures,
+      trialInFlight: state === "half-open" && circuit.trialInFlight,
+      openUntil: state === "open" ? iso(circuit.openUntil) : null,
+      lastError: circuit.lastError || null,
+      lastFailureAt: iso(circuit.lastFailureAt),
+      lastSuccessAt: iso(circuit.lastSuccessAt)
+    };
+  }
+
+  return { available, acquire, release, success, failure, status };
+}
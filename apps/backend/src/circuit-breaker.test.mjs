@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createCircuitBreaker } from "./circuit-breaker.mjs";
+
+const breakerAt = (clock) => createCircuitBreaker({ threshold: 2, coolDownMs: 1000, now: () => clock.time });
+
+test("opens after the threshold and stays open for the cool-down", () => {
+  const clock = { time: 0 };
+  const breaker = breakerAt(clock);
+  breaker.failure("openai", "HTTP 500");
+  assert.equal(breaker.available("openai"), true);
+  breaker.failure("openai", "HTTP 500");
+  assert.equal(breaker.available("openai"), false);
+  assert.equal(breaker.status("openai").state, "open");
+  clock.time = 999;
+  assert.equal(breaker.acquire("openai"), false);
+});
+
+test("lets exactly one trial through once the cool-down ends", () => {
+  const clock = { time: 0 };
+  const breaker = breakerAt(clock);
+  breaker.failure("openai");
+  breaker.failure("openai");
+  clock.time = 1000;
+  assert.equal(breaker.acquire("openai"), true);
+  assert.equal(breaker.acquire("openai"), false);
+  assert.equal(breaker.available("openai"), false);
+  assert.equal(breaker.status("openai").trialInFlight, true);
+});
+
+test("a successful trial closes the circuit", () => {
+  const clock = { time: 0 };
+  const breaker = breakerAt(clock);
+  breaker.failure("openai");
+  breaker.failure("openai");
+  clock.time = 1000;
+  breaker.acquire("openai");
+  breaker.success("openai");
+  assert.equal(breaker.status("openai").state, "closed");
+  assert.equal(breaker.acquire("openai"), true);
+  assert.equal(breaker.acquire("openai"), true);
+});
+
+test("a failed trial opens the circuit for another cool-down", () => {
+  const clock = { time: 0 };
+  const breaker = breakerAt(clock);
+  breaker.failure("openai");
+  breaker.failure("openai");
+  clock.time = 1000;
+  breaker.acquire("openai");
+  breaker.failure("openai", "HTTP 503");
+  assert.equal(breaker.acquire("openai"), false);
+  clock.time = 2000;
+  assert.equal(breaker.acquire("openai"), true);
+});
+
+test("a released trial goes to the next caller", () => {
+  const clock = { time: 0 };
+  const breaker = breakerAt(clock);
+  breaker.failure("openai");
+  breaker.failure("openai");
+  clock.time = 1000;
+  breaker.acquire("openai");
+  breaker.release("openai");
+  assert.equal(breaker.acquire("openai"), true);
+  assert.equal(breaker.acquire("openai"), false);
+});
+
+test("circuits are tracked per provider", () => {
+  const clock = { time: 0 };
+  const breaker = breakerAt(clock);
+  breaker.failure("openai");
+  breaker.failure("openai");
+  assert.equal(breaker.acquire("gemini"), true);
+});
@@ -0,0 +1,269 @@
+// Backend settings. Every option is listed once in CONFIG_SCHEMA with its type, default and
+// environment variable. Values come from the defaults, then the optional JSON config file
+// (VIBBIT_CONFIG), then the environment, and all problems are reported together so a typo
+// stops the server instead of silently falling back to a default.
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { DEFAULT_ALLOWED_ORIGINS, parseOriginList } from "./origins.mjs";
+import { parseProfiles } from "./profiles.mjs";
+
+export const SUPPORTED_PROVIDERS = ["openai", "gemini", "openrouter", "anthropic", "custom"];
+
+const providerSettings = (provider) => [
+  { key: `providers.${provider}.apiKey`, env: `VIBBIT_${provider.toUpperCase()}_API_KEY`, type: "string", default: "" },
+  { key: `providers.${provider}.model`, env: `VIBBIT_${provider.toUpperCase()}_MODEL`, type: "string", default: "" }
+];
+
+// restart: true marks settings that are only read at startup; a reload keeps the old value and says so.
+export const CONFIG_SCHEMA = [
+  { key: "port", env: "PORT", type: "integer", min: 1, max: 65535, default: 8787, restart: true },
+  { key: "allowedOrigins", env: "VIBBIT_ALLOW_ORIGIN", type: "origins", default: DEFAULT_ALLOWED_ORIGINS },
+  { key: "trustProxy", env: "VIBBIT_TRUST_PROXY", type: "boolean", default: false },
+  { key: "appToken", env: "SERVER_APP_TOKEN", type: "string", default: "" },
+  { key: "adminToken", env: "VIBBIT_ADMIN_TOKEN", type: "string", default: "" },
+  { key: "requestTimeoutMs", env: "VIBBIT_REQUEST_TIMEOUT_MS", type: "integer", min: 1, default: 60000 },
+  { key: "conversationTurns", env: "VIBBIT_CONVERSATION_TURNS", type: "integer", min: 0, default: 4 },
+  { key: "provider", env: "VIBBIT_PROVIDER", type: "enum", values: SUPPORTED_PROVIDERS, default: "openai" },
+  { key: "providerChain", env: "VIBBIT_PROVIDER_CHAIN", type: "chain", default: [] },
+  { key: "model", env: "VIBBIT_MODEL", type: "string", default: "" },
+  { key: "apiKey", env: "VIBBIT_API_KEY", type: "string", default: "" },
+  { key: "profiles", env: "VIBBIT_PROFILES", type: "profiles", default: [] },
+  ...providerSettings("openai"),
+  ...providerSettings("gemini"),
+  ...providerSettings("openrouter"),
+  ...providerSettings("anthropic"),
+  { key: "providers.custom.baseUrl", env: "VIBBIT_CUSTOM_BASE_URL", type: "string", default: "" },
+  ...providerSettings("custom"),
+  { key: "retries.empty", env: "VIBBIT_EMPTY_RETRIES", type: "integer", min: 0, max: 10, default: 2 },
+  { key: "retries.validation", env: "VIBBIT_VALIDATION_RETRIES", type: "integer", min: 0, max: 10, default: 2 },
+  { key: "retries.max", env: "VIBBIT_RETRY_MAX", type: "integer", min: 0, max: 10, default: 3 },
+  { key: "retries.budgetMs", env: "VIBBIT_RETRY_BUDGET_MS", type: "integer", min: 0, default: 15000 },
+  { key: "circuit.failures", env: "VIBBIT_CIRCUIT_FAILURES", type: "integer", min: 0, default: 3 },
+  { key: "circuit.cooldownSeconds", env: "VIBBIT_CIRCUIT_COOLDOWN_SECONDS", type: "integer", min: 1, default: 60 },
+  { key: "limits.ipPerMinute", env: "VIBBIT_RATE_LIMIT_IP_PER_MINUTE", type: "integer", min: 0, default: 0 },
+  { key: "limits.tokenPerMinute", env: "VIBBIT_RATE_LIMIT_TOKEN_PER_MINUTE", type: "integer", min: 0, default: 0 },
+  { key: "limits.ipPerDay", env: "VIBBIT_QUOTA_IP_PER_DAY", type: "integer", min: 0, default: 0 },
+  { key: "limits.tokenPerDay", env: "VIBBIT_QUOTA_TOKEN_PER_DAY", type: "integer", min: 0, default: 0 },
+  { key: "tokenStore", env: "VIBBIT_TOKEN_STORE", type: "path", default: "data/tokens.json", restart: true },
+  { key: "sessions.secret", env: "VIBBIT_SESSION_SECRET", type: "string", default: "", restart: true },
+  { key: "sessions.ttlHours", env: "VIBBIT_SESSION_TTL_HOURS", type: "integer", min: 1, default: 168, restart: true },
+  { key: "sessions.joinAttemptsPerMinute", env: "VIBBIT_JOIN_ATTEMPTS_PER_MINUTE", type: "integer", min: 0, default: 30 },
+  { key: "audit.enabled", env: "VIBBIT_AUDIT_LOG", type: "boolean", default: true },
+  { key: "audit.dir", env: "VIBBIT_AUDIT_DIR", type: "path", default: "data/audit", restart: true },
+  { key: "audit.retentionDays", env: "VIBBIT_AUDIT_RETENTION_DAYS", type: "integer", min: 0, default: 90, restart: true },
+  { key: "cache.ttlSeconds", env: "VIBBIT_CACHE_TTL_SECONDS", type: "integer", min: 0, default: 600 },
+  { key: "cache.maxEntries", env: "VIBBIT_CACHE_MAX_ENTRIES", type: "integer", min: 0, default: 500 },
+  { key: "moderation.enabled", env: "VIBBIT_MODERATION", type: "boolean", default: true },
+  { key: "moderation.policy", env: "VIBBIT_MODERATION_POLICY", type: "path", default: "" },
+  { key: "moderation.provider", env: "VIBBIT_MODERATION_PROVIDER", type: "enum", values: ["", "openai"], default: "" },
+  { key: "moderation.apiKey", env: "VIBBIT_MODERATION_API_KEY", type: "string", default: "" },
+  { key: "priceTable", env: "VIBBIT_PRICE_TABLE", type: "path", default: "" },
+  { key: "requestLog", env: "VIBBIT_REQUEST_LOG", type: "boolean", default: true },
+  { key: "metrics.enabled", env: "VIBBIT_METRICS", type: "boolean", default: true },
+  { key: "metrics.token", env: "VIBBIT_METRICS_TOKEN", type: "string", default: "" }
+];
+
+const SCHEMA_BY_KEY = new Map(CONFIG_SCHEMA.map((setting) => [setting.key, setting]));
+// Intermediate objects such as "providers" and "providers.openai".
+const GROUPS = new Set(CONFIG_SCHEMA.flatMap((setting) => setting.key.split(".").slice(0, -1).map((_, index, parts) => parts.slice(0, index + 1).join("."))));
+const KNOWN_ENV = new Set(["VIBBIT_CONFIG", ...CONFIG_SCHEMA.map((setting) => setting.env)]);
+const BOOLEAN_WORDS = { 1: true, true: true, yes: true, on: true, 0: false, false: false, no: false, off: false };
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function didYouMean(name, candidates) {
+  const lower = name.toLowerCase();
+  let best = "";
+  let bestDistance = 4;
+  for (const candidate of candidates) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best ? ` Did you mean '${best}'?` : "";
+}
+
+// "openai:gpt-4o-mini,anthropic,custom:llama3.1:8b" or an array of those entries -> [{ provider, model }].
+// The model is everything after the first colon; an empty model means the provider's default.
+function parseChain(value) {
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  if (items.some((item) => typeof item !== "string")) return { error: "expected a list of 'provider' or 'provider:model' strings" };
+  const routes = [];
+  for (const item of items.map((entry) => entry.trim()).filter(Boolean)) {
+    const split = item.indexOf(":");
+    const provider = (split === -1 ? item : item.slice(0, split)).trim().toLowerCase();
+    if (!SUPPORTED_PROVIDERS.includes(provider)) {
+      return { error: `unknown provider '${provider}'. Use: ${SUPPORTED_PROVIDERS.join(", ")}` };
+    }
+    routes.push({ provider, model: split === -1 ? "" : item.slice(split + 1).trim() });
+  }
+  return { value: routes };
+}
+
+// Environment values are always strings; file values must already have the right JSON type.
+// Relative paths are resolved against the config file's folder, or the working directory for env values.
+function coerce(setting, raw, fromEnv, baseDir) {
+  const text = typeof raw === "string" ? raw.trim() : raw;
+  if (setting.type === "integer") {
+    const number = fromEnv ? (/^-?\d+$/.test(text) ? Number(text) : NaN) : raw;
+    if (!Number.isInteger(number)) return { error: `expected a whole number, got ${JSON.stringify(raw)}` };
+    if (setting.min !== undefined && number < setting.min) return { error: `must be at least ${setting.min}, got ${number}` };
+    if (setting.max !== undefined && number > setting.max) return { error: `must be at most ${setting.max}, got ${number}` };
+    return { value: number };
+  }
+  if (setting.type === "boolean") {
+    const flag = fromEnv ? BOOLEAN_WORDS[text.toLowerCase()] : raw;
+    if (typeof flag !== "boolean") return { error: `expected ${fromEnv ? "1 or 0" : "true or false"}, got ${JSON.stringify(raw)}` };
+    return { value: flag };
+  }
+  if (setting.type === "origins") {
+    if (!fromEnv && typeof raw !== "string" && !Array.isArray(raw)) return { error: "expected a list of origins" };
+    const parsed = parseOriginList(raw, { allowAny: true });
+    if (!parsed.error && !parsed.value.length) return { error: "list at least one origin, or \"*\" to allow any site" };
+    return parsed;
+  }
+  if (setting.type === "profiles") {
+    let entries = raw;
+    if (fromEnv) {
+      try {
+        entries = JSON.parse(text);
+      } catch (error) {
+        return { error: "expected a JSON list of profile objects" };
+      }
+    }
+    return parseProfiles(entries, { providers: SUPPORTED_PROVIDERS });
+  }
+  if (setting.type === "chain") {
+    if (!fromEnv && typeof raw !== "string" && !Array.isArray(raw)) return { error: "expected a list of 'provider' or 'provider:model' strings" };
+    return parseChain(raw);
+  }
+  if (typeof raw !== "string") return { error: `expected a string, got ${JSON.stringify(raw)}` };
+  if (setting.type === "enum") {
+    const choice = text.toLowerCase();
+    if (!setting.values.includes(choice)) {
+      const allowed = setting.values.map((value) => (value ? `'${value}'` : "empty")).join(", ");
+      return { error: `expected one of ${allowed}, got ${JSON.stringify(raw)}.${didYouMean(choice, setting.values.filter(Boolean))}` };
+    }
+    return { value: choice };
+  }
+  if (setting.type === "path") return { value: text ? path.resolve(baseDir, text) : "" };
+  return { value: text };
+}
+
+function setPath(target, key, value) {
+  const parts = key.split(".");
+  let node = target;
+  parts.slice(0, -1).forEach((part) => {
+    node[part] = node[part] || {};
+    node = node[part];
+  });
+  node[parts[parts.length - 1]] = value;
+}
+
+// Flattens the file into { "retries.max": 3 }, reporting keys the schema does not know.
+function flattenFile(data, filePath, problems) {
+  const values = new Map();
+  const walk = (node, prefix) => {
+    for (const [name, value] of Object.entries(node)) {
+      const key = prefix ? prefix + "." + name : name;
+      if (SCHEMA_BY_KEY.has(key)) {
+        values.set(key, value);
+      } else if (GROUPS.has(key)) {
+        if (value && typeof value === "object" && !Array.isArray(value)) walk(value, key);
+        else problems.push(`${key} (in ${filePath}): expected an object`);
+      } else {
+        problems.push(`${key} (in ${filePath}): unknown setting.${didYouMean(key, [...SCHEMA_BY_KEY.keys(), ...GROUPS])}`);
+      }
+    }
+  };
+  walk(data, "");
+  return values;
+}
+
+function readConfigFile(filePath) {
+  let text = "";
+  try {
+    text = readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw configError([`Could not read config file ${filePath}: ${error.message}`]);
+  }
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw configError([`Config file ${filePath} is not valid JSON: ${error.message}`]);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw configError([`Config file ${filePath} must contain a JSON object`]);
+  }
+  return data;
+}
+
+function configError(problems) {
+  const error = new Error("Invalid configuration:\n" + problems.map((problem) => "  - " + problem).join("\n"));
+  error.problems = problems;
+  return error;
+}
+
+// Returns { config, warnings } or throws an error whose `problems` lists every invalid setting.
+// `config` mirrors the file layout ({ retries: { max } }); `file` is the resolved config path or "".
+export function loadConfig({ file = "", env = process.env, cwd = process.cwd() } = {}) {
+  const problems = [];
+  const warnings = [];
+  const filePath = file ? path.resolve(cwd, file) : "";
+  const fileValues = filePath ? flattenFile(readConfigFile(filePath), filePath, problems) : new Map();
+  const config = { file: filePath };
+
+  for (const setting of CONFIG_SCHEMA) {
+    let value = setting.type === "path" && setting.default ? path.resolve(cwd, setting.default) : setting.default;
+    if (fileValues.has(setting.key)) {
+      const parsed = coerce(setting, fileValues.get(setting.key), false, path.dirname(filePath));
+      if (parsed.error) problems.push(`${setting.key} (in ${filePath}): ${parsed.error}`);
+      else value = parsed.value;
+    }
+    // Empty variables count as unset, as in .env.example.
+    if (env[setting.env] !== undefined && env[setting.env] !== "") {
+      const parsed = coerce(setting, env[setting.env], true, cwd);
+      if (parsed.error) problems.push(`${setting.key} (${setting.env}): ${parsed.error}`);
+      else value = parsed.value;
+    }
+    setPath(config, setting.key, value);
+  }
+
+  for (const name of Object.keys(env)) {
+    if (name.startsWith("VIBBIT_") && !KNOWN_ENV.has(name)) {
+      warnings.push(`Unknown environment variable ${name} is ignored.${didYouMean(name, KNOWN_ENV)}`);
+    }
+  }
+
+  if (problems.length) throw configError(problems);
+  return { config, warnings };
+}
+
+function readSetting(config, key) {
+  return key.split(".").reduce((node, part) => (node ? node[part] : undefined), config);
+}
+
+// Compares a freshly loaded config with the running one. Restart-only settings keep their running
+// value. Returns { config, applied, pinned } with the dotted keys of changed settings; values are
+// left out of the lists because many of them are secrets.
+export function reloadedConfig(previous, next) {
+  const changed = CONFIG_SCHEMA.filter((setting) => JSON.stringify(readSetting(previous, setting.key)) !== JSON.stringify(readSetting(next, setting.key)));
+  const pinned = changed.filter((setting) => setting.restart).map((setting) => setting.key);
+  pinned.forEach((key) => setPath(next, key, readSetting(previous, key)));
+  return { config: next, applied: changed.filter((setting) => !setting.restart).map((setting) => setting.key), pinned };
+}
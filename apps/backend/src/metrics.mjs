@@ -0,0 +1,71 @@
+// In-memory counters and histograms rendered in the Prometheus text format for
+// GET /metrics. Values reset when the server restarts, which Prometheus handles.
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function labelText(pairs) {
+  return pairs.length ? "{" + pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",") + "}" : "";
+}
+
+export function createMetrics() {
+  const families = [];
+
+  // Series are keyed on the label values in labelNames order; missing labels are "".
+  function seriesFor(series, labelNames, labels, create) {
+    const values = labelNames.map((name) => String(labels[name] === undefined ? "" : labels[name]));
+    const key = JSON.stringify(values);
+    if (!series.has(key)) series.set(key, { pairs: labelNames.map((name, index) => [name, values[index]]), ...create() });
+    return series.get(key);
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    families.push({
+      name,
+      help,
+      type: "counter",
+      lines: () => [...series.values()].map((item) => `${name}${labelText(item.pairs)} ${item.value}`)
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        seriesFor(series, labelNames, labels, () => ({ value: 0 })).value += amount;
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    families.push({
+      name,
+      help,
+      type: "histogram",
+      lines: () => [...series.values()].flatMap((item) => [
+        ...buckets.map((bound, index) => `${name}_bucket${labelText([...item.pairs, ["le", String(bound)]])} ${item.counts[index]}`),
+        `${name}_bucket${labelText([...item.pairs, ["le", "+Inf"]])} ${item.count}`,
+        `${name}_sum${labelText(item.pairs)} ${item.sum}`,
+        `${name}_count${labelText(item.pairs)} ${item.count}`
+      ])
+    });
+    return {
+      observe(labels = {}, value = 0) {
+        const item = seriesFor(series, labelNames, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, index) => {
+          if (value <= bound) item.counts[index] += 1;
+        });
+        item.sum += value;
+        item.count += 1;
+      }
+    };
+  }
+
+  function render() {
+    return families
+      .map((family) => [`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`, ...family.lines()].join("\n"))
+      .join("\n") + "\n";
+  }
+
+  return { counter, histogram, render };
+}
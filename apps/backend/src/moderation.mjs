@@ -0,0 +1,66 @@
+// Runs the shared moderation policy over a student's request before it reaches a
+// model, optionally combined with the OpenAI moderation endpoint.
+import { readFileSync } from "node:fs";
+import { buildModerationPolicy, moderatePrompt, openAIModerationCategories } from "../../../shared/moderation.mjs";
+
+const MODERATION_PROVIDERS = ["", "openai"];
+
+// Reads the optional JSON policy file ({ categories, blocklist }); errors name the file so startup failures are clear.
+export function loadModerationPolicy(filePath) {
+  if (!filePath) return buildModerationPolicy();
+  let overrides = null;
+  try {
+    overrides = JSON.parse(readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read moderation policy ${filePath}: ${error.message}`);
+  }
+  try {
+    return buildModerationPolicy(overrides);
+  } catch (error) {
+    throw new Error(`Invalid moderation policy ${filePath}: ${error.message}`);
+  }
+}
+
+export function createModerator({ enabled = true, policy, provider = "", apiKey = "", timeoutMs = 10000 } = {}) {
+  if (!MODERATION_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown moderation provider '${provider}'. Use 'openai' or leave it empty.`);
+  }
+
+  async function providerCategories(text) {
+    if (provider !== "openai" || !apiKey) return [];
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch("https://api.openai.com/v1/moderations", {
+        method: "POST",
+        signal: controller.signal,
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer " + apiKey
+        },
+        body: JSON.stringify({ model: "omni-moderation-latest", input: text })
+      });
+      if (!response.ok) throw new Error(`OpenAI moderation error (${response.status})`);
+      const data = await response.json();
+      return openAIModerationCategories(data && data.results ? data.results[0] : null);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Returns { action: "allow" | "flag" | "block", categories, message }. When the
+  // provider check fails the local policy still applies, so requests are not held up.
+  async function check(text) {
+    if (!enabled) return { action: "allow", categories: [], message: "" };
+    let flagged = [];
+    try {
+      flagged = await providerCategories(text);
+    } catch (error) {
+      const reason = error && error.name === "AbortError" ? `timed out after ${timeoutMs}ms` : error.message;
+      console.error("[Vibbit backend] Moderation provider unavailable, using local policy only:", reason);
+    }
+    return moderatePrompt(text, policy, flagged);
+  }
+
+  return { enabled, provider: enabled ? provider || "local" : "off", check };
+}
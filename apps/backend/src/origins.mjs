@@ -0,0 +1,44 @@
+// Browser origins allowed to call the backend. The defaults are the MakeCode editors the
+// extension runs on (see MAKECODE_HOSTS in extension/background.js).
+export const DEFAULT_ALLOWED_ORIGINS = [
+  "https://makecode.microbit.org",
+  "https://arcade.makecode.com",
+  "https://maker.makecode.com"
+];
+
+// "https://Example.org/" -> "https://example.org"; returns "" for anything that is not a bare http(s) origin.
+export function normalizeOrigin(value) {
+  if (typeof value !== "string") return "";
+  let url = null;
+  try {
+    url = new URL(value.trim());
+  } catch (error) {
+    return "";
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return "";
+  if (url.username || url.password || url.pathname !== "/" || url.search || url.hash) return "";
+  return url.origin;
+}
+
+// entries: strings from config or an admin request. Returns { value } with normalized origins,
+// or { error } naming the first entry that is not an origin. "*" is kept only when allowed.
+export function parseOriginList(entries, { allowAny = false } = {}) {
+  const items = Array.isArray(entries) ? entries : String(entries || "").split(",");
+  const origins = [];
+  for (const item of items) {
+    const text = typeof item === "string" ? item.trim() : item;
+    if (text === "") continue;
+    if (allowAny && text === "*") {
+      origins.push("*");
+      continue;
+    }
+    const origin = normalizeOrigin(text);
+    if (!origin) return { error: `${JSON.stringify(item)} is not an origin like https://makecode.microbit.org` };
+    if (!origins.includes(origin)) origins.push(origin);
+  }
+  return { value: origins };
+}
+
+export function originAllowed(origin, allowed) {
+  return allowed.includes("*") || allowed.includes(normalizeOrigin(origin));
+}
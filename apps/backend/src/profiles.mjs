@@ -0,0 +1,51 @@
+// Named generation profiles ("fast", "best quality", "beginner-friendly") that the panel offers in
+// managed mode. Each one may pick a provider (optionally with a model), a temperature, and
+// instructions appended to the system prompt; anything left out falls back to the server's
+// normal settings.
+const PROFILE_FIELDS = ["id", "name", "description", "provider", "model", "temperature", "instructions"];
+const PROFILE_ID = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+export const DEFAULT_TEMPERATURE = 0.1;
+
+function parseProfile(item, providers) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) return { error: "expected an object with at least an 'id'" };
+  const unknown = Object.keys(item).find((field) => !PROFILE_FIELDS.includes(field));
+  if (unknown) return { error: `unknown field '${unknown}'. Use: ${PROFILE_FIELDS.join(", ")}` };
+  const id = typeof item.id === "string" ? item.id.trim().toLowerCase() : "";
+  if (!PROFILE_ID.test(id)) return { error: "'id' must be 1-40 letters, digits, '-' or '_'" };
+  for (const field of ["name", "description", "provider", "model", "instructions"]) {
+    if (item[field] !== undefined && typeof item[field] !== "string") return { error: `'${field}' must be a string` };
+  }
+  const provider = (item.provider || "").trim().toLowerCase();
+  if (provider && !providers.includes(provider)) return { error: `unknown provider '${provider}'. Use: ${providers.join(", ")}` };
+  // a model name only means something to one provider, so it never applies to whichever one leads the chain
+  if ((item.model || "").trim() && !provider) return { error: "'model' needs a 'provider' to go with it" };
+  const temperature = item.temperature === undefined ? null : item.temperature;
+  if (temperature !== null && (typeof temperature !== "number" || temperature < 0 || temperature > 2)) {
+    return { error: "'temperature' must be a number from 0 to 2" };
+  }
+  return {
+    value: {
+      id,
+      name: (item.name || "").trim() || id,
+      description: (item.description || "").trim(),
+      provider,
+      model: (item.model || "").trim(),
+      temperature,
+      instructions: (item.instructions || "").trim()
+    }
+  };
+}
+
+// Returns { value } with normalized profiles, or { error } naming the first bad entry.
+export function parseProfiles(entries, { providers = [] } = {}) {
+  if (!Array.isArray(entries)) return { error: "expected a list of profile objects" };
+  const profiles = [];
+  for (const [index, item] of entries.entries()) {
+    const parsed = parseProfile(item, providers);
+    if (parsed.error) return { error: `profile ${index + 1}: ${parsed.error}` };
+    if (profiles.some((profile) => profile.id === parsed.value.id)) return { error: `profile ${index + 1}: duplicate id '${parsed.value.id}'` };
+    profiles.push(parsed.value);
+  }
+  return { value: profiles };
+}
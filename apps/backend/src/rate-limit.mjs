@@ -0,0 +1,82 @@
+// In-memory request limits for the managed backend. Counters live in this
+// process only, so restarting the server resets them.
+
+const MINUTE_MS = 60 * 1000;
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function secondsUntilNextUtcDay(time) {
+  const next = new Date(time);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((next.getTime() - time) / 1000));
+}
+
+// rules: [{ scope: "ip" | "token", window: "minute" | "day", limit }]; a limit of 0 disables the rule.
+// consume({ ip, token }) records one request against every matching rule, or records nothing and
+// returns the first rule that is already full. check() answers the same without recording, for
+// callers that only count some requests (such as failed join codes).
+export function createRateLimiter(rules, { now = Date.now } = {}) {
+  const active = rules.filter((rule) => rule.limit > 0);
+  const minuteHits = new Map();
+  const dayCounts = new Map();
+
+  function evaluate(identity, record) {
+    const time = now();
+    const records = [];
+
+    for (const rule of active) {
+      const id = identity[rule.scope];
+      if (!id) continue;
+      const key = `${rule.scope}:${id}`;
+
+      if (rule.window === "minute") {
+        const hits = (minuteHits.get(key) || []).filter((hit) => hit > time - MINUTE_MS);
+        minuteHits.set(key, hits);
+        if (hits.length >= rule.limit) {
+          return { ok: false, ...rule, retryAfter: Math.max(1, Math.ceil((hits[0] + MINUTE_MS - time) / 1000)) };
+        }
+        records.push(() => hits.push(time));
+        continue;
+      }
+
+      const day = utcDay(time);
+      const entry = dayCounts.get(key);
+      const count = entry && entry.day === day ? entry.count : 0;
+      if (count >= rule.limit) {
+        return { ok: false, ...rule, retryAfter: secondsUntilNextUtcDay(time) };
+      }
+      records.push(() => dayCounts.set(key, { day, count: count + 1 }));
+    }
+
+    if (record) records.forEach((apply) => apply());
+    return { ok: true };
+  }
+
+  const consume = (identity) => evaluate(identity, true);
+  const check = (identity) => evaluate(identity, false);
+
+  // Drops counters that can no longer limit anyone so idle clients do not pile up.
+  function prune() {
+    const time = now();
+    for (const [key, hits] of minuteHits) {
+      if (!hits.length || hits[hits.length - 1] <= time - MINUTE_MS) minuteHits.delete(key);
+    }
+    const day = utcDay(time);
+    for (const [key, entry] of dayCounts) {
+      if (entry.day !== day) dayCounts.delete(key);
+    }
+  }
+
+  return { enabled: active.length > 0, consume, check, prune };
+}
+
+export function describeRateLimit(limited) {
+  const who = limited.scope === "ip" ? "this network" : "this app token";
+  const wait = `Try again in ${limited.retryAfter} seconds.`;
+  if (limited.window === "day") {
+    return `Daily limit of ${limited.limit} requests reached for ${who}. ${wait}`;
+  }
+  return `Too many requests from ${who} (limit ${limited.limit} per minute). ${wait}`;
+}
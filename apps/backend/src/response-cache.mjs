@@ -0,0 +1,66 @@
+// In-memory cache of successful generations, so a class asking for the same
+// thing at once costs one provider call. Entries expire after a TTL and the
+// least recently used entry is dropped when the cache is full.
+import { createHash } from "node:crypto";
+
+function sha256(value) {
+  return createHash("sha256").update(String(value)).digest("hex");
+}
+
+// Case, spacing and trailing punctuation do not change what the student asked for.
+export function normalizeRequest(request) {
+  return String(request || "").toLowerCase().replace(/\s+/g, " ").trim().replace(/[.!?]+$/, "");
+}
+
+export function cacheKeyFor({ target, request, currentCode, provider, model, temperature, instructions, promptVersion }) {
+  return sha256(JSON.stringify([
+    target,
+    normalizeRequest(request),
+    sha256(String(currentCode || "").trim()),
+    provider,
+    model || "",
+    temperature,
+    instructions || "",
+    promptVersion
+  ]));
+}
+
+export function createResponseCache({ ttlMs = 0, maxEntries = 0, now = Date.now } = {}) {
+  const enabled = ttlMs > 0 && maxEntries > 0;
+  // Map keeps insertion order; re-inserting on read makes the first key the least recently used.
+  const entries = new Map();
+
+  function get(key) {
+    if (!enabled) return null;
+    const entry = entries.get(key);
+    if (!entry) return null;
+    entries.delete(key);
+    if (entry.expiresAt <= now()) return null;
+    entries.set(key, entry);
+    return { value: entry.value, storedAt: entry.storedAt };
+  }
+
+  function set(key, value) {
+    if (!enabled) return;
+    entries.delete(key);
+    entries.set(key, { value, storedAt: now(), expiresAt: now() + ttlMs });
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  function prune() {
+    const time = now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= time) entries.delete(key);
+    }
+  }
+
+  return {
+    enabled,
+    get size() {
+      return entries.size;
+    },
+    get,
+    set,
+    prune
+  };
+}
@@ -1,49 +1,263 @@
+import { createHash, randomUUID, timingSafeEqual } from "node:crypto";
+import { readFileSync } from "node:fs";
 import { createServer } from "node:http";
+import { fixBlocksViolations } from "../../../shared/blocks-fixer.mjs";
+import { describeViolations, validateBlocksCompatibility, violationCategory } from "../../../shared/blocks-validator.mjs";
+import { fetchWithRetry } from "../../../shared/provider-request.mjs";
+import { DEFAULT_PRICE_TABLE, extractUsage, sumUsage, usageCost } from "../../../shared/usage.mjs";
+import { createAuditLog, emptyUsageDay } from "./audit-log.mjs";
+import { createCircuitBreaker } from "./circuit-breaker.mjs";
+import { loadConfig, reloadedConfig, SUPPORTED_PROVIDERS } from "./config.mjs";
+import { createMetrics } from "./metrics.mjs";
+import { createModerator, loadModerationPolicy } from "./moderation.mjs";
+import { normalizeOrigin, originAllowed } from "./origins.mjs";
+import { DEFAULT_TEMPERATURE } from "./profiles.mjs";
+import { createRateLimiter, describeRateLimit } from "./rate-limit.mjs";
+import { cacheKeyFor, createResponseCache } from "./response-cache.mjs";
+import { createSessionSigner, isSessionToken, normalizeDisplayName } from "./sessions.mjs";
+import { createTokenStore } from "./token-store.mjs";
 
-const PORT = Number(process.env.PORT || 8787);
-const ALLOW_ORIGIN = process.env.VIBBIT_ALLOW_ORIGIN || "*";
-const REQUEST_TIMEOUT_MS = Number(process.env.VIBBIT_REQUEST_TIMEOUT_MS || 60000);
-const EMPTY_RETRIES = Number(process.env.VIBBIT_EMPTY_RETRIES || 2);
-const VALIDATION_RETRIES = Number(process.env.VIBBIT_VALIDATION_RETRIES || 2);
-const SERVER_APP_TOKEN = process.env.SERVER_APP_TOKEN || "";
-const PROVIDER = (process.env.VIBBIT_PROVIDER || "openai").trim().toLowerCase();
+const CONFIG_FILE = process.env.VIBBIT_CONFIG || "";
+// Bump when the system prompt, fixer or validator changes so cached code from the old rules is not served.
+const PROMPT_VERSION = "1";
+
+const DASHBOARD_HTML = readFileSync(new URL("./dashboard.html", import.meta.url), "utf8");
+
+// Everything below `config` is rebuilt from it at startup and on SIGHUP (see applyConfig).
+let config = null;
+let providerChain = [];
+let priceTable = DEFAULT_PRICE_TABLE;
+let circuitBreaker = null;
+let responseCache = null;
+let moderator = null;
+let rateLimiter = null;
+// Join codes are short, so guessing them is throttled separately from generation.
+let joinLimiter = null;
+try {
+  const loaded = loadConfig({ file: CONFIG_FILE });
+  loaded.warnings.forEach((warning) => console.warn(`[Vibbit backend] ${warning}`));
+  applyConfig(loaded.config);
+} catch (error) {
+  console.error(`[Vibbit backend] ${error.message}`);
+  process.exit(1);
+}
+
+const tokenStore = createTokenStore(config.tokenStore, { providers: SUPPORTED_PROVIDERS });
+const auditLog = createAuditLog(config.audit.dir, { retentionDays: config.audit.retentionDays });
+const sessionSigner = createSessionSigner(config.sessions.secret, { ttlMs: config.sessions.ttlHours * 60 * 60 * 1000 });
+const CONVERSATION_CODE_CHARS = 6000;
+
+const metrics = createMetrics();
+const httpRequests = metrics.counter("vibbit_http_requests_total", "HTTP requests by method, route and status code.", ["method", "route", "status"]);
+const generations = metrics.counter("vibbit_generations_total", "Generation requests by target and outcome (ok, fallback, error, cancelled, blocked).", ["target", "outcome"]);
+const generationDuration = metrics.histogram("vibbit_generation_duration_seconds", "Time to answer a generation request.", ["target", "outcome"]);
+const fallbackStubs = metrics.counter("vibbit_fallback_stubs_total", "Generations answered with the starter program, by target and reason (no_code, validation).", ["target", "reason"]);
+const generationRetries = metrics.counter("vibbit_generation_retries_total", "Model retries by the kind of Blocks violation that caused them (\"empty output\" when the model returned no code).", ["violation"]);
+const providerLatency = metrics.histogram("vibbit_provider_request_duration_seconds", "Provider call latency including retry waits, by result (ok, error, timeout).", ["provider", "model", "result"]);
+const providerBackoffs = metrics.counter("vibbit_provider_backoffs_total", "Provider calls retried after a busy or failed response, by status (0 when unreachable).", ["provider", "status"]);
+const providerFailovers = metrics.counter("vibbit_provider_failovers_total", "Requests moved to the next provider, by the provider that failed and why.", ["provider", "reason"]);
+const providerTimeouts = metrics.counter("vibbit_provider_timeouts_total", "Provider calls cut off by the request timeout (VIBBIT_REQUEST_TIMEOUT_MS).", ["provider"]);
+// Generations in progress by cache key, so identical requests arriving together share one provider call.
+const pendingGenerations = new Map();
+// Per-request fields for the JSON log line, filled in by the handlers and written when the response closes.
+const requestLogs = new WeakMap();
+// The audit trail of each generation, so a client that disconnects mid-generation still gets its
+// outcome, class and provider in the log line (the cancelled call unwinds after the response closes).
+const auditTrails = new WeakMap();
+const KNOWN_ROUTES = ["/healthz", "/metrics", "/vibbit/generate", "/vibbit/generate/stream", "/vibbit/profiles", "/vibbit/join", "/dashboard", "/admin/usage", "/admin/audit", "/admin/tokens"];
+
+const DEFAULT_MODELS = {
+  openai: "gpt-4o-mini",
+  gemini: "gemini-2.5-flash",
+  openrouter: "openrouter/auto",
+  anthropic: "claude-sonnet-4-5",
+  // Empty means "use the first model the endpoint lists".
+  custom: ""
+};
 
 function modelFor(provider) {
-  if (provider === "openai") return process.env.VIBBIT_OPENAI_MODEL || process.env.VIBBIT_MODEL || "gpt-4o-mini";
-  if (provider === "gemini") return process.env.VIBBIT_GEMINI_MODEL || process.env.VIBBIT_MODEL || "gemini-2.5-flash";
-  if (provider === "openrouter") return process.env.VIBBIT_OPENROUTER_MODEL || process.env.VIBBIT_MODEL || "openrouter/auto";
-  return process.env.VIBBIT_MODEL || "gpt-4o-mini";
+  // VIBBIT_MODEL names a cloud model; a self-hosted endpoint without its own model uses /v1/models instead.
+  if (provider === "custom") return config.providers.custom.model;
+  return config.providers[provider].model || config.model || DEFAULT_MODELS[provider];
 }
 
 function apiKeyFor(provider) {
-  if (provider === "openai") return process.env.VIBBIT_OPENAI_API_KEY || process.env.VIBBIT_API_KEY || "";
-  if (provider === "gemini") return process.env.VIBBIT_GEMINI_API_KEY || process.env.VIBBIT_API_KEY || "";
-  if (provider === "openrouter") return process.env.VIBBIT_OPENROUTER_API_KEY || process.env.VIBBIT_API_KEY || "";
-  return process.env.VIBBIT_API_KEY || "";
+  // No fallback to the shared key: a cloud key should never be sent to a self-hosted endpoint.
+  if (provider === "custom") return config.providers.custom.apiKey;
+  return config.providers[provider].apiKey || config.apiKey;
+}
+
+// Waits for rate limits and overloads count against this budget; the request timeout still applies on top.
+function retryPolicy() {
+  return { maxRetries: config.retries.max, budgetMs: config.retries.budgetMs };
+}
+
+// Optional JSON file of { "model prefix": { "input": dollars, "output": dollars } } per million
+// tokens, merged over the built-in estimates.
+function loadPriceTable(filePath) {
+  if (!filePath) return DEFAULT_PRICE_TABLE;
+  let overrides = null;
+  try {
+    overrides = JSON.parse(readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read price table ${filePath}: ${error.message}`);
+  }
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error(`Invalid price table ${filePath}: expected an object keyed by model name`);
+  }
+  for (const [model, price] of Object.entries(overrides)) {
+    const valid = price && ["input", "output"].every((field) => typeof price[field] === "number" && price[field] >= 0);
+    if (!valid) {
+      throw new Error(`Invalid price table ${filePath}: '${model}' needs numeric 'input' and 'output' prices per million tokens`);
+    }
+  }
+  return { ...DEFAULT_PRICE_TABLE, ...overrides };
+}
+
+// Builds the services that depend on settings, then swaps them in together, so a reload that fails
+// (for example on a broken moderation policy file) leaves the running settings untouched. Services
+// whose settings did not change are kept, with their circuit states, cached answers and counters.
+function applyConfig(next, changed = null) {
+  const affects = (prefix) => !changed || changed.some((key) => key === prefix || key.startsWith(prefix + "."));
+  const built = {
+    priceTable: loadPriceTable(next.priceTable),
+    moderator: createModerator({
+      enabled: next.moderation.enabled,
+      policy: loadModerationPolicy(next.moderation.policy),
+      provider: next.moderation.provider,
+      apiKey: next.moderation.apiKey || next.providers.openai.apiKey || next.apiKey,
+      timeoutMs: Math.min(next.requestTimeoutMs, 10000)
+    }),
+    circuitBreaker: affects("circuit")
+      ? createCircuitBreaker({ threshold: next.circuit.failures, coolDownMs: next.circuit.cooldownSeconds * 1000 })
+      : circuitBreaker,
+    responseCache: affects("cache")
+      ? createResponseCache({ ttlMs: next.cache.ttlSeconds * 1000, maxEntries: next.cache.maxEntries })
+      : responseCache,
+    rateLimiter: affects("limits")
+      ? createRateLimiter([
+        { scope: "ip", window: "minute", limit: next.limits.ipPerMinute },
+        { scope: "token", window: "minute", limit: next.limits.tokenPerMinute },
+        { scope: "ip", window: "day", limit: next.limits.ipPerDay },
+        { scope: "token", window: "day", limit: next.limits.tokenPerDay }
+      ])
+      : rateLimiter,
+    joinLimiter: affects("sessions.joinAttemptsPerMinute")
+      ? createRateLimiter([{ scope: "ip", window: "minute", limit: next.sessions.joinAttemptsPerMinute }])
+      : joinLimiter
+  };
+
+  config = next;
+  providerChain = next.providerChain.length ? next.providerChain : [{ provider: next.provider, model: "" }];
+  ({ priceTable, moderator, circuitBreaker, responseCache, rateLimiter, joinLimiter } = built);
+}
+
+// SIGHUP re-reads the config file and the environment. The server keeps listening, so requests in
+// progress are not dropped; they pick up the new settings from their next provider call.
+function reloadConfig() {
+  try {
+    const loaded = loadConfig({ file: CONFIG_FILE });
+    const reloaded = reloadedConfig(config, loaded.config);
+    applyConfig(reloaded.config, reloaded.applied);
+    loaded.warnings.forEach((warning) => console.warn(`[Vibbit backend] ${warning}`));
+    reloaded.pinned.forEach((key) => console.warn(`[Vibbit backend] ${key} changed; restart the server to apply it`));
+    console.log(`[Vibbit backend] Configuration reloaded (${reloaded.applied.length ? "changed: " + reloaded.applied.join(", ") : "no changes"})`);
+  } catch (error) {
+    console.error(`[Vibbit backend] Reload failed; keeping the current configuration. ${error.message}`);
+  }
 }
 
-function respondJson(res, status, body, origin = "") {
-  const allowOrigin = ALLOW_ORIGIN === "*" ? "*" : (origin || ALLOW_ORIGIN);
+function routeName(route) {
+  return route.provider + ":" + (route.model || modelFor(route.provider) || "auto");
+}
+
+const CORS_METHODS = ["GET", "POST", "PATCH", "DELETE", "OPTIONS"];
+const CORS_HEADERS = ["content-type", "authorization"];
+
+// `origin` has already passed checkOrigin, or is "" for callers that sent none.
+function corsHeaders(origin = "") {
+  const headers = {
+    "Access-Control-Allow-Methods": CORS_METHODS.join(","),
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Expose-Headers": "Retry-After, X-Request-Id"
+  };
+  if (config.allowedOrigins.includes("*")) {
+    headers["Access-Control-Allow-Origin"] = "*";
+  } else {
+    if (origin) headers["Access-Control-Allow-Origin"] = origin;
+    headers.Vary = "Origin";
+  }
+  return headers;
+}
+
+// Requests without an Origin header (curl, servers, plain page loads) are left to the token checks;
+// CORS only ever restricts browsers. The dashboard is served from this server, so its own origin passes.
+function checkOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin || originAllowed(origin, config.allowedOrigins)) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Class tokens with an `origins` list only work from those sites, on top of the server-wide list.
+function tokenAllowsOrigin(token, origin) {
+  const origins = (token && token.origins) || [];
+  return !origin || !origins.length || origins.includes(normalizeOrigin(origin));
+}
+
+function respondJson(res, status, body, origin = "", headers = {}) {
+  const requestLog = requestLogs.get(res);
+  if (requestLog && status >= 400 && body && body.error) requestLog.error = body.error;
   res.writeHead(status, {
     "Content-Type": "application/json; charset=utf-8",
-    "Access-Control-Allow-Origin": allowOrigin,
-    "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization"
+    ...corsHeaders(origin),
+    ...headers
   });
   res.end(JSON.stringify(body));
 }
 
-function handleOptions(req, res) {
-  const allowOrigin = ALLOW_ORIGIN === "*" ? "*" : (req.headers.origin || ALLOW_ORIGIN);
+function openEventStream(res, origin = "") {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+    ...corsHeaders(origin)
+  });
+  return (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+function handleOptions(req, res, pathname) {
+  const origin = req.headers.origin || "";
+  const method = String(req.headers["access-control-request-method"] || "").toUpperCase();
+  const asked = String(req.headers["access-control-request-headers"] || "").toLowerCase().split(",").map((name) => name.trim()).filter(Boolean);
+  let problem = "";
+  if (method && !CORS_METHODS.includes(method)) problem = `method ${method} is not allowed`;
+  const extra = asked.filter((name) => !CORS_HEADERS.includes(name));
+  if (extra.length) problem = `header(s) ${extra.join(", ")} not allowed`;
+  if (problem) {
+    rejectPreflight(res, origin, pathname, problem);
+    return;
+  }
   res.writeHead(204, {
-    "Access-Control-Allow-Origin": allowOrigin,
-    "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    ...corsHeaders(origin),
     "Access-Control-Max-Age": "86400"
   });
   res.end();
 }
 
+// No CORS headers, so the browser blocks the request; the warning tells the operator which site tried.
+function rejectPreflight(res, origin, pathname, problem) {
+  console.warn(`[Vibbit backend] CORS preflight rejected for ${pathname} from ${origin || "(no origin)"}: ${problem}`);
+  respondJson(res, 403, { error: "CORS preflight rejected: " + problem });
+}
+
 function readJson(req, maxBytes = 1024 * 1024) {
   return new Promise((resolve, reject) => {
     let size = 0;
@@ -72,16 +286,32 @@ function readJson(req, maxBytes = 1024 * 1024) {
   });
 }
 
-function withTimeout(promise, timeoutMs) {
+function withTimeout(promise, timeoutMs, parentSignal) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const onParentAbort = () => controller.abort();
+  if (parentSignal) {
+    if (parentSignal.aborted) controller.abort();
+    else parentSignal.addEventListener("abort", onParentAbort, { once: true });
+  }
 
   const wrapped = promise(controller.signal)
-    .finally(() => clearTimeout(timeoutId));
+    .finally(() => {
+      clearTimeout(timeoutId);
+      if (parentSignal) parentSignal.removeEventListener("abort", onParentAbort);
+    });
 
   return wrapped;
 }
 
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error("Client disconnected");
+    error.name = "AbortError";
+    throw error;
+  }
+}
+
 function sanitizeMakeCode(input) {
   if (!input) return "";
   let text = String(input);
@@ -117,106 +347,6 @@ function extractCode(raw) {
   return sanitizeMakeCode(code);
 }
 
-function validateBlocksCompatibility(code, target) {
-  const rules = [
-    { re: /=>/g, why: "arrow functions" },
-    { re: /\bclass\s+/g, why: "classes" },
-    { re: /\bnew\s+[A-Z_a-z]/g, why: "new constructor" },
-    { re: /\bPromise\b|\basync\b|\bawait\b/g, why: "promises/async" },
-    { re: /\bimport\s|\bexport\s/g, why: "import/export" },
-    { re: /\$\{[^}]+\}/g, why: "template string interpolation" },
-    { re: /\.\s*(map|forEach|filter|reduce|find|some|every)\s*\(/g, why: "higher-order array methods" },
-    { re: /\bnamespace\b|\bmodule\b/g, why: "namespaces/modules" },
-    { re: /\benum\b|\binterface\b|\btype\s+[A-Z_a-z]/g, why: "TS types/enums" },
-    { re: /<\s*[A-Z_a-z0-9_,\s]+>/g, why: "generics syntax" },
-    { re: /setTimeout\s*\(|setInterval\s*\(/g, why: "timers" },
-    { re: /console\./g, why: "console calls" },
-    { re: /^\s*\/\//m, why: "line comments" },
-    { re: /\/\*[\s\S]*?\*\//g, why: "block comments" },
-    { re: /\brandint\s*\(/g, why: "randint()" },
-    { re: /(\*=|\/=|%=|\|=|&=|\^=|<<=|>>=|>>>=)/g, why: "unsupported assignment operators" }
-  ];
-  const bitwiseRules = [
-    /<<|>>>|>>/,
-    /\^/,
-    /(^|[^|])\|([^|=]|$)/m,
-    /(^|[^&])&([^&=]|$)/m
-  ];
-  const eventRegistrationRe = /\b(?:basic\.forever|loops\.forever|input\.on[A-Z_a-z0-9_]*|radio\.on[A-Z_a-z0-9_]*|pins\.on[A-Z_a-z0-9_]*|controller\.[A-Z_a-z0-9_]*\.onEvent|controller\.on[A-Z_a-z0-9_]*|sprites\.on[A-Z_a-z0-9_]*|scene\.on[A-Z_a-z0-9_]*|game\.on[A-Z_a-z0-9_]*|info\.on[A-Z_a-z0-9_]*|control\.inBackground)\s*\(/;
-
-  if ((target === "microbit" || target === "maker") && /sprites\.|controller\.|scene\.|game\.onUpdate/i.test(code)) {
-    return { ok: false, violations: ["Arcade APIs in micro:bit/Maker"] };
-  }
-  if (target === "arcade" && (/led\./i.test(code) || /radio\./i.test(code))) {
-    return { ok: false, violations: ["micro:bit APIs in Arcade"] };
-  }
-
-  const violations = [];
-  const stringStrippedCode = code.replace(
-    /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|`(?:\\.|[^`\\])*`/g,
-    (match) => " ".repeat(match.length)
-  );
-  for (const rule of rules) {
-    if (rule.re.test(code)) violations.push(rule.why);
-  }
-  if (/\bnull\b/.test(stringStrippedCode)) violations.push("null");
-  if (/\bundefined\b/.test(stringStrippedCode)) violations.push("undefined");
-  if (/\bas\s+[A-Z_a-z][A-Z_a-z0-9_.]*/.test(stringStrippedCode)) violations.push("casts");
-  if (bitwiseRules.some((rule) => rule.test(code))) violations.push("bitwise operators");
-  if (/\bfor\s*\([^)]*\bin\b[^)]*\)/.test(code)) violations.push("for...in loops");
-
-  const forHeaderRe = /for\s*\(([^)]*)\)/g;
-  let forMatch;
-  while ((forMatch = forHeaderRe.exec(code))) {
-    const header = forMatch[1].trim();
-    if (/\bof\b/.test(header)) continue;
-    const parts = header.split(";").map((part) => part.trim());
-    if (parts.length !== 3) {
-      violations.push("invalid for-loop shape");
-      continue;
-    }
-    const initMatch = parts[0].match(/^let\s+([A-Z_a-z][A-Z_a-z0-9_]*)\s*=\s*0$/);
-    if (!initMatch) {
-      violations.push("for-loop initializer must be let i = 0");
-      continue;
-    }
-    const indexVar = initMatch[1];
-    if (!new RegExp("^" + indexVar + "\\s*(<|<=)\\s*.+$").test(parts[1])) {
-      violations.push("for-loop condition must be i < limit or i <= limit");
-    }
-    if (!new RegExp("^(?:" + indexVar + "\\+\\+|\\+\\+" + indexVar + ")$").test(parts[2])) {
-      violations.push("for-loop increment must be i++");
-    }
-  }
-
-  const lines = code.replace(/\r\n/g, "\n").replace(/\r/g, "\n").split("\n");
-  let depth = 0;
-  for (const line of lines) {
-    const trimmed = line.trim();
-    const lineDepth = depth;
-    if (trimmed) {
-      if (lineDepth > 0 && eventRegistrationRe.test(trimmed)) violations.push("nested event registration");
-      const fnDecl = trimmed.match(/^function\s+([A-Z_a-z][A-Z_a-z0-9_]*)\s*\(([^)]*)\)/);
-      if (fnDecl) {
-        if (lineDepth > 0) violations.push("non-top-level function declaration");
-        const params = fnDecl[2].trim();
-        if (params && (params.includes("?") || params.includes("="))) {
-          violations.push("optional/default parameters in function declaration");
-        }
-      }
-      if (/^let\s+[A-Z_a-z][A-Z_a-z0-9_]*(\s*:\s*[^=;]+)?\s*;?$/.test(trimmed)) {
-        violations.push("variable declaration without initializer");
-      }
-    }
-    const opens = (line.match(/\{/g) || []).length;
-    const closes = (line.match(/\}/g) || []).length;
-    depth = Math.max(0, depth + opens - closes);
-  }
-
-  if (/[^\x09\x0A\x0D\x20-\x7E]/.test(code)) violations.push("non-ASCII characters");
-  return { ok: violations.length === 0, violations: [...new Set(violations)] };
-}
-
 function stubForTarget(target) {
   if (target === "arcade") {
     return [
@@ -398,15 +528,57 @@ function userPromptFor(request, currentCode) {
   return header;
 }
 
-async function callOpenAI(key, model, system, user, signal) {
+function assistantTurnFor(turn) {
+  return turn.feedback.map((line) => "FEEDBACK: " + line).concat([turn.code]).join("\n").trim();
+}
+
+function chatMessagesFor(system, conversation, user) {
+  const messages = [{ role: "system", content: system }];
+  for (const turn of conversation || []) {
+    messages.push({ role: "user", content: userPromptFor(turn.request, "") });
+    messages.push({ role: "assistant", content: assistantTurnFor(turn) });
+  }
+  messages.push({ role: "user", content: user });
+  return messages;
+}
+
+function geminiContentsFor(system, conversation, user) {
+  const contents = [];
+  for (const turn of conversation || []) {
+    contents.push({ role: "user", parts: [{ text: userPromptFor(turn.request, "") }] });
+    contents.push({ role: "model", parts: [{ text: assistantTurnFor(turn) }] });
+  }
+  contents.push({ role: "user", parts: [{ text: user }] });
+  contents[0].parts[0].text = system + "\n\n" + contents[0].parts[0].text;
+  return contents;
+}
+
+// Keeps the HTTP status on the error so failover can tell outages and rate limits from bad requests.
+function providerError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Returns why an error should move the request to the next provider, or "" when it should not.
+function failoverReason(error) {
+  if (error && error.name === "AbortError") return "timeout";
+  if (error && error.status === 429) return "rate limit";
+  if (error && error.status >= 500) return "server error";
+  // fetch() rejects with a TypeError when the host cannot be reached at all.
+  if (error instanceof TypeError) return "network error";
+  return "";
+}
+
+async function callOpenAI(key, model, system, user, conversation, temperature, signal, onWait) {
   const body = {
     model,
-    temperature: 0.1,
+    temperature,
     max_tokens: 3072,
-    messages: [{ role: "system", content: system }, { role: "user", content: user }]
+    messages: chatMessagesFor(system, conversation, user)
   };
 
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
+  const response = await fetchWithRetry("https://api.openai.com/v1/chat/completions", {
     method: "POST",
     signal,
     headers: {
@@ -414,25 +586,28 @@ async function callOpenAI(key, model, system, user, signal) {
       Authorization: "Bearer " + key
     },
     body: JSON.stringify(body)
-  });
+  }, { policy: retryPolicy(), onWait });
 
   if (!response.ok) {
-    throw new Error(`OpenAI error (${response.status})`);
+    throw providerError(`OpenAI error (${response.status})`, response.status);
   }
 
   const data = await response.json();
-  return (data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || "";
+  return {
+    text: (data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || "",
+    usage: extractUsage(data)
+  };
 }
 
-async function callOpenRouter(key, model, system, user, signal) {
+async function callOpenRouter(key, model, system, user, conversation, temperature, signal, onWait) {
   const body = {
     model,
-    temperature: 0.1,
+    temperature,
     max_tokens: 3072,
-    messages: [{ role: "system", content: system }, { role: "user", content: user }]
+    messages: chatMessagesFor(system, conversation, user)
   };
 
-  const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
+  const response = await fetchWithRetry("https://openrouter.ai/api/v1/chat/completions", {
     method: "POST",
     signal,
     headers: {
@@ -440,100 +615,353 @@ async function callOpenRouter(key, model, system, user, signal) {
       Authorization: "Bearer " + key
     },
     body: JSON.stringify(body)
-  });
+  }, { policy: retryPolicy(), onWait });
 
   if (!response.ok) {
-    throw new Error(`OpenRouter error (${response.status})`);
+    throw providerError(`OpenRouter error (${response.status})`, response.status);
   }
 
   const data = await response.json();
-  return (data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || "";
+  return {
+    text: (data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || "",
+    usage: extractUsage(data)
+  };
 }
 
-async function callGemini(key, model, system, user, signal) {
+async function callGemini(key, model, system, user, conversation, temperature, signal, onWait) {
   const url = "https://generativelanguage.googleapis.com/v1/models/" + encodeURIComponent(model) + ":generateContent?key=" + encodeURIComponent(key);
   const body = {
-    contents: [{ role: "user", parts: [{ text: system + "\n\n" + user }] }],
+    contents: geminiContentsFor(system, conversation, user),
     generationConfig: {
-      temperature: 0.1,
+      temperature,
       maxOutputTokens: 3072
     }
   };
 
-  const response = await fetch(url, {
+  const response = await fetchWithRetry(url, {
     method: "POST",
     signal,
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(body)
+  }, { policy: retryPolicy(), onWait });
+
+  if (!response.ok) {
+    throw providerError(`Gemini error (${response.status})`, response.status);
+  }
+
+  const data = await response.json();
+  return { text: extractGeminiText(data), usage: extractUsage(data) };
+}
+
+async function callAnthropic(key, model, system, user, conversation, temperature, signal, onWait) {
+  const body = {
+    model,
+    // Anthropic accepts temperatures up to 1 rather than 2.
+    temperature: Math.min(temperature, 1),
+    max_tokens: 3072,
+    // Anthropic takes the system prompt as a top-level field rather than a message.
+    system,
+    messages: chatMessagesFor(system, conversation, user).slice(1)
+  };
+
+  const response = await fetchWithRetry("https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    signal,
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": key,
+      "anthropic-version": "2023-06-01"
+    },
+    body: JSON.stringify(body)
+  }, { policy: retryPolicy(), onWait });
+
+  if (!response.ok) {
+    throw providerError(`Anthropic error (${response.status})`, response.status);
+  }
+
+  const data = await response.json();
+  const text = (data.content || [])
+    .filter((block) => block && block.type === "text")
+    .map((block) => block.text || "")
+    .join("");
+  return { text, usage: extractUsage(data) };
+}
+
+// Accepts "host:port", an origin or a ".../v1" URL and returns the /v1 API root.
+function customApiRoot(base) {
+  const trimmed = String(base || "").trim().replace(/\/+$/, "");
+  if (!trimmed) return "";
+  const withScheme = /^https?:\/\//i.test(trimmed) ? trimmed : "http://" + trimmed;
+  return /\/v1$/i.test(withScheme) ? withScheme : withScheme + "/v1";
+}
+
+function customHeaders(key) {
+  const headers = { "Content-Type": "application/json" };
+  if (key) headers.Authorization = "Bearer " + key;
+  return headers;
+}
+
+async function listCustomModels(signal) {
+  const response = await fetch(customApiRoot(config.providers.custom.baseUrl) + "/models", {
+    signal,
+    headers: customHeaders(apiKeyFor("custom"))
   });
 
   if (!response.ok) {
-    throw new Error(`Gemini error (${response.status})`);
+    throw providerError(`Custom endpoint error (${response.status}) listing models`, response.status);
+  }
+
+  const data = await response.json();
+  return ((data && data.data) || []).map((item) => item && item.id).filter(Boolean);
+}
+
+async function resolveCustomModel(signal) {
+  const configured = modelFor("custom");
+  if (configured) return configured;
+  const models = await listCustomModels(signal);
+  if (!models.length) {
+    throw new Error("Custom endpoint lists no models. Set VIBBIT_CUSTOM_MODEL.");
+  }
+  return models[0];
+}
+
+// /healthz is public, so the custom endpoint's model list is fetched at most once a minute per
+// base URL however often it is polled. Concurrent checks share one fetch, and a failed listing is
+// remembered for the same minute.
+const HEALTH_MODELS_TTL_MS = 60 * 1000;
+let healthModels = null;
+
+function healthModelList() {
+  const baseUrl = customApiRoot(config.providers.custom.baseUrl);
+  if (!healthModels || healthModels.baseUrl !== baseUrl || Date.now() - healthModels.at > HEALTH_MODELS_TTL_MS) {
+    healthModels = {
+      baseUrl,
+      at: Date.now(),
+      promise: withTimeout((signal) => listCustomModels(signal), config.requestTimeoutMs).then(
+        (models) => ({ models }),
+        (error) => ({ models: [], modelsError: error && error.message ? error.message : String(error) })
+      )
+    };
+  }
+  return healthModels.promise;
+}
+
+async function callCustom(key, model, system, user, conversation, temperature, signal, onWait) {
+  const body = {
+    model,
+    temperature,
+    max_tokens: 3072,
+    messages: chatMessagesFor(system, conversation, user)
+  };
+
+  const response = await fetchWithRetry(customApiRoot(config.providers.custom.baseUrl) + "/chat/completions", {
+    method: "POST",
+    signal,
+    headers: customHeaders(key),
+    body: JSON.stringify(body)
+  }, { policy: retryPolicy(), onWait });
+
+  if (!response.ok) {
+    throw providerError(`Custom endpoint error (${response.status})`, response.status);
   }
 
   const data = await response.json();
-  return extractGeminiText(data);
+  return {
+    text: (data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || "",
+    usage: extractUsage(data)
+  };
 }
 
-async function generateManaged({ target, request, currentCode }) {
-  const provider = PROVIDER;
-  const key = apiKeyFor(provider);
-  const model = modelFor(provider);
+// A class pinned to a provider uses only that provider; otherwise the configured chain is tried
+// in order, with a class model override replacing the model of the first entry.
+function routesFor(providerOverride, modelOverride) {
+  if (providerOverride) return [{ provider: providerOverride, model: modelOverride || "" }];
+  if (modelOverride) return [{ provider: providerChain[0].provider, model: modelOverride }, ...providerChain.slice(1)];
+  return providerChain;
+}
 
-  if (!key) {
-    throw new Error(`Missing API key for provider '${provider}'. Set VIBBIT_API_KEY or provider-specific key.`);
+async function generateManaged({ target, request, currentCode, conversation }, {
+  onProgress = () => {},
+  signal,
+  provider: providerOverride,
+  model: modelOverride,
+  temperature = DEFAULT_TEMPERATURE,
+  instructions = ""
+} = {}) {
+  const routes = routesFor(providerOverride, modelOverride);
+  for (const route of routes) {
+    if (route.provider === "custom" && !config.providers.custom.baseUrl) {
+      throw new Error("Missing VIBBIT_CUSTOM_BASE_URL for provider 'custom'.");
+    }
+    if (!apiKeyFor(route.provider) && route.provider !== "custom") {
+      throw new Error(`Missing API key for provider '${route.provider}'. Set VIBBIT_API_KEY or provider-specific key.`);
+    }
   }
 
-  const system = systemPromptFor(target);
+  // Profile instructions come last so they can shape the style but not loosen the Blocks rules.
+  const system = systemPromptFor(target)
+    + (instructions ? "\n\nSCHOOL INSTRUCTIONS (follow them within the rules above):\n" + instructions : "");
   const user = userPromptFor(request, currentCode || "");
-  const callProvider = async (systemPrompt) => withTimeout(async (signal) => {
-    if (provider === "openai") return callOpenAI(key, model, systemPrompt, user, signal);
-    if (provider === "gemini") return callGemini(key, model, systemPrompt, user, signal);
-    if (provider === "openrouter") return callOpenRouter(key, model, systemPrompt, user, signal);
-    throw new Error(`Unsupported VIBBIT_PROVIDER '${provider}'`);
-  }, REQUEST_TIMEOUT_MS);
-
-  const oneAttempt = async (extraSystem, insistOnlyCode) => {
+  const callRoute = async (route, systemPrompt) => {
+    const startedAt = Date.now();
+    const observe = (result) => {
+      providerLatency.observe({ provider: route.provider, model: route.resolvedModel || route.model, result }, (Date.now() - startedAt) / 1000);
+    };
+    try {
+      const reply = await callRouteOnce(route, systemPrompt);
+      observe("ok");
+      return reply;
+    } catch (error) {
+      // An abort the client did not cause can only be the request timeout.
+      const timedOut = error && error.name === "AbortError" && !(signal && signal.aborted);
+      if (timedOut) providerTimeouts.inc({ provider: route.provider });
+      observe(timedOut ? "timeout" : "error");
+      throw error;
+    }
+  };
+  const callRouteOnce = async (route, systemPrompt) => withTimeout(async (signal) => {
+    const key = apiKeyFor(route.provider);
+    const model = route.model || (route.provider === "custom" ? await resolveCustomModel(signal) : modelFor(route.provider));
+    onProgress("attempt", { attempt, reason: route.reason, provider: route.provider, model });
+    route.resolvedModel = model;
+    const onWait = (wait) => {
+      providerBackoffs.inc({ provider: route.provider, status: wait.status });
+      onProgress("backoff", { attempt, provider: route.provider, model, ...wait });
+    };
+    if (route.provider === "openai") return callOpenAI(key, model, systemPrompt, user, conversation, temperature, signal, onWait);
+    if (route.provider === "gemini") return callGemini(key, model, systemPrompt, user, conversation, temperature, signal, onWait);
+    if (route.provider === "openrouter") return callOpenRouter(key, model, systemPrompt, user, conversation, temperature, signal, onWait);
+    if (route.provider === "anthropic") return callAnthropic(key, model, systemPrompt, user, conversation, temperature, signal, onWait);
+    if (route.provider === "custom") return callCustom(key, model, systemPrompt, user, conversation, temperature, signal, onWait);
+    throw new Error(`Unsupported VIBBIT_PROVIDER '${route.provider}'`);
+  }, config.requestTimeoutMs, signal);
+
+  // Tries each route whose circuit is closed; timeouts, 429s, 5xx and empty replies move on to the next.
+  // An empty reply from the last route is returned so the usual empty-output retry can handle it.
+  const callProvider = async (systemPrompt, reason) => {
+    const open = routes.filter((route) => circuitBreaker.available(routeName(route)));
+    // With every circuit open, trying anyway beats refusing the request outright.
+    const candidates = (open.length ? open : routes).map((route) => ({ ...route, reason }));
+    let lastError = null;
+    for (let index = 0; index < candidates.length; index++) {
+      const route = candidates[index];
+      const name = routeName(route);
+      // Another request may have taken this route's half-open trial while earlier routes ran.
+      if (open.length && !circuitBreaker.acquire(name)) continue;
+      const hasNext = index < candidates.length - 1;
+      let failure = "";
+      try {
+        const reply = await callRoute(route, systemPrompt);
+        recordUsage(route, reply.usage);
+        const raw = reply.text;
+        if (String(raw || "").trim() || !hasNext) {
+          if (String(raw || "").trim()) circuitBreaker.success(name);
+          else circuitBreaker.failure(name, "empty output");
+          return raw;
+        }
+        failure = "empty output";
+        lastError = new Error("Model returned an empty response");
+      } catch (error) {
+        failure = signal && signal.aborted ? "" : failoverReason(error);
+        if (!failure) {
+          circuitBreaker.release(name);
+          throw error;
+        }
+        lastError = error;
+      }
+      circuitBreaker.failure(name, failure === "empty output" ? failure : generationErrorMessage(lastError));
+      if (hasNext) {
+        const next = candidates[index + 1];
+        providerFailovers.inc({ provider: route.provider, reason: failure });
+        onProgress("failover", {
+          attempt,
+          provider: route.provider,
+          model: route.resolvedModel || route.model,
+          reason: failure,
+          error: generationErrorMessage(lastError),
+          next: { provider: next.provider, model: next.model || modelFor(next.provider) }
+        });
+      }
+    }
+    throw lastError;
+  };
+
+  // Every reply is billed, including empty ones that trigger a failover or retry.
+  const usages = [];
+  const recordUsage = (route, usage) => {
+    if (!usage) return;
+    const model = usage.model || route.resolvedModel || route.model;
+    const item = {
+      attempt,
+      provider: route.provider,
+      model,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      cost: usageCost(usage, model, priceTable)
+    };
+    usages.push(item);
+    onProgress("usage", item);
+  };
+
+  let attempt = 0;
+  const oneAttempt = async (extraSystem, insistOnlyCode, reason) => {
+    throwIfCancelled(signal);
+    attempt += 1;
     const prompt = system
       + (extraSystem ? ("\n" + extraSystem) : "")
       + (insistOnlyCode ? "\nMANDATE: You must output only Blocks-decompilable MakeCode Static TypeScript." : "");
-    const raw = await callProvider(prompt);
+    const raw = await callProvider(prompt, reason);
+    throwIfCancelled(signal);
     const parts = separateFeedback(raw);
-    const code = extractCode(parts.body);
+    const fixed = fixBlocksViolations(extractCode(parts.body));
+    const code = fixed.code;
+    onProgress("response", { attempt, chars: code.length, feedback: parts.feedback });
+    if (fixed.changes.length) onProgress("fix", { attempt, changes: fixed.changes });
     const validation = code ? validateBlocksCompatibility(code, target) : { ok: false, violations: ["empty output"] };
-    return { code, feedback: parts.feedback, validation };
+    onProgress("validation", { attempt, ok: validation.ok, violations: validation.violations, diagnostics: validation.diagnostics || [] });
+    return { code, feedback: [...parts.feedback, ...fixed.changes], validation };
   };
 
-  let result = await oneAttempt("", false);
+  let result = await oneAttempt("", false, "initial");
 
-  for (let i = 0; i < EMPTY_RETRIES && (!result.code || !result.code.trim()); i++) {
-    result = await oneAttempt("Your last message returned no code. Return ONLY Blocks-decompilable MakeCode Static TypeScript. No prose.", true);
+  for (let i = 0; i < config.retries.empty && (!result.code || !result.code.trim()); i++) {
+    generationRetries.inc({ violation: "empty output" });
+    onProgress("retry", { attempt: attempt + 1, reason: "Model returned no code." });
+    result = await oneAttempt("Your last message returned no code. Return ONLY Blocks-decompilable MakeCode Static TypeScript. No prose.", true, "empty");
   }
 
-  for (let i = 0; i < VALIDATION_RETRIES && result.code && result.code.trim() && result.validation && !result.validation.ok; i++) {
+  for (let i = 0; i < config.retries.validation && result.code && result.code.trim() && result.validation && !result.validation.ok; i++) {
     const violations = result.validation.violations || [];
     const extra = i === 0
-      ? ("Previous code used: " + violations.join(", ") + ". Remove ALL forbidden constructs and return fully Blocks-compatible code.")
+      ? ("Previous code used: " + describeViolations(result.validation) + ". Remove ALL forbidden constructs and return fully Blocks-compatible code.")
       : ("STRICT MODE: Output a smaller program that fully decompiles to Blocks. Absolutely no: " + violations.join(", ") + ".");
-    result = await oneAttempt(extra, true);
+    // Rules such as "unknown API basic.showRainbow" name whatever the model invented, so only their kind is a label.
+    new Set(violations.map(violationCategory)).forEach((violation) => generationRetries.inc({ violation }));
+    onProgress("retry", { attempt: attempt + 1, reason: "Blocks validation failed: " + describeViolations(result.validation) + "." });
+    result = await oneAttempt(extra, true, i === 0 ? "validation" : "strict");
   }
 
+  const usage = sumUsage(usages);
   if (!result.code || !result.code.trim()) {
+    fallbackStubs.inc({ target, reason: "no_code" });
     return {
       code: stubForTarget(target),
-      feedback: [...result.feedback, "Model returned no code; provided fallback stub."]
+      feedback: [...result.feedback, "Model returned no code; provided fallback stub."],
+      usage
     };
   }
 
   if (!result.validation || !result.validation.ok) {
-    const violations = (result.validation && result.validation.violations) || [];
+    fallbackStubs.inc({ target, reason: "validation" });
     return {
       code: stubForTarget(target),
-      feedback: [...result.feedback, "Validation fallback: " + violations.join(", ")]
+      feedback: [...result.feedback, "Validation fallback: " + describeViolations(result.validation)],
+      rejected: { code: result.code, diagnostics: (result.validation && result.validation.diagnostics) || [] },
+      usage
     };
   }
 
-  return { code: result.code, feedback: result.feedback };
+  return { code: result.code, feedback: result.feedback, usage };
 }
 
 function extractBearerToken(headerValue) {
@@ -542,15 +970,37 @@ function extractBearerToken(headerValue) {
   return match ? match[1] : "";
 }
 
+function sanitizeConversation(value) {
+  if (!Array.isArray(value) || config.conversationTurns <= 0) return [];
+  return value
+    .filter((turn) => turn && typeof turn.request === "string" && turn.request.trim())
+    .slice(-config.conversationTurns)
+    .map((turn) => ({
+      request: turn.request.trim().slice(0, 2000),
+      feedback: (Array.isArray(turn.feedback) ? turn.feedback : [])
+        .filter((line) => typeof line === "string")
+        .slice(0, 5)
+        .map((line) => line.slice(0, 500)),
+      code: typeof turn.code === "string" ? turn.code.slice(0, CONVERSATION_CODE_CHARS) : ""
+    }));
+}
+
 function validatePayload(payload) {
   const target = payload && typeof payload.target === "string" ? payload.target.trim() : "";
   const request = payload && typeof payload.request === "string" ? payload.request.trim() : "";
   const currentCode = payload && typeof payload.currentCode === "string" ? payload.currentCode : "";
+  const conversation = sanitizeConversation(payload && payload.conversation);
+  const fresh = Boolean(payload && payload.fresh === true);
+  const profile = payload && typeof payload.profile === "string" ? payload.profile.trim().toLowerCase() : "";
 
   if (!request) {
     return { ok: false, error: "'request' is required" };
   }
 
+  if (profile && !profileFor(profile)) {
+    return { ok: false, error: `Unknown profile '${profile}'. Pick another one in Settings.` };
+  }
+
   const safeTarget = ["microbit", "arcade", "maker"].includes(target) ? target : "microbit";
 
   return {
@@ -558,66 +1008,776 @@ function validatePayload(payload) {
     value: {
       target: safeTarget,
       request,
-      currentCode
+      currentCode,
+      conversation,
+      fresh,
+      profile
     }
   };
 }
 
+function profileFor(id) {
+  return config.profiles.find((profile) => profile.id === id) || null;
+}
+
+function clientIp(req) {
+  if (config.trustProxy) {
+    const forwarded = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return req.socket.remoteAddress || "";
+}
+
+// Compares digests so the check takes the same time whatever the input length.
+function safeEqual(a, b) {
+  const digest = (value) => createHash("sha256").update(String(value)).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+function tokenRequired() {
+  return Boolean(config.appToken) || tokenStore.size > 0;
+}
+
+// A student session resolves to its class token record plus the student's name.
+function authenticateSession(bearer) {
+  const session = sessionSigner.verify(bearer);
+  if (!session.ok) {
+    return { ok: false, status: 401, error: session.error === "Session expired" ? "Your class sign-in has expired" : session.error };
+  }
+  const verified = tokenStore.verifyId(session.classId);
+  if (!verified.ok) {
+    const reasons = { "Token disabled": "Your class has been switched off", "Token expired": "This class has ended" };
+    return { ok: false, status: verified.status || 401, error: reasons[verified.error] || verified.error };
+  }
+  return { ok: true, token: { ...verified.token, student: session.student, studentId: session.studentId } };
+}
+
+// Resolves the caller to an issued token record, the shared SERVER_APP_TOKEN, or null when auth is off.
+function authenticate(req) {
+  if (!tokenRequired()) return { ok: true, token: null };
+  const bearer = extractBearerToken(req.headers.authorization);
+  if (!bearer) return { ok: false, status: 401, error: "Unauthorized" };
+  if (config.appToken && !isSessionToken(bearer) && safeEqual(bearer, config.appToken)) {
+    return { ok: true, token: { id: "shared", name: "shared", provider: null, model: null } };
+  }
+  const verified = isSessionToken(bearer) ? authenticateSession(bearer) : tokenStore.verify(bearer);
+  if (!verified.ok) return { ok: false, status: verified.status || 401, error: verified.error };
+  if (!tokenAllowsOrigin(verified.token, req.headers.origin)) {
+    return { ok: false, status: 403, error: "This class cannot use Vibbit from this site" };
+  }
+  return verified;
+}
+
+// GET /vibbit/profiles: the profiles the panel can offer, with the provider and model each one
+// will actually use for this caller's class.
+function handleProfiles(req, res, origin) {
+  const auth = authenticate(req);
+  if (!auth.ok) {
+    respondJson(res, auth.status, { error: auth.error }, origin);
+    return;
+  }
+  const profiles = config.profiles.map((profile) => {
+    const options = generationOptions(auth.token, profile);
+    const [route] = routesFor(options.provider, options.model);
+    return {
+      id: profile.id,
+      name: profile.name,
+      description: profile.description,
+      provider: route.provider,
+      model: route.model || modelFor(route.provider),
+      temperature: options.temperature
+    };
+  });
+  respondJson(res, 200, { profiles }, origin);
+}
+
+// POST /vibbit/join: exchanges a class join code and display name for a session token.
+// Only wrong codes count against the join limit: a whole class signs in from one school IP, and
+// guessing codes is what the limit is for.
+async function handleJoin(req, res, origin) {
+  const ip = clientIp(req);
+  const limited = joinLimiter.check({ ip });
+  if (!limited.ok) {
+    respondRejected(res, {
+      status: 429,
+      error: `Too many join attempts. Try again in ${limited.retryAfter} seconds.`,
+      retryAfter: limited.retryAfter
+    }, origin);
+    return;
+  }
+
+  let payload = null;
+  try {
+    payload = await readJson(req);
+  } catch (error) {
+    respondJson(res, 400, { error: error.message }, origin);
+    return;
+  }
+
+  const student = normalizeDisplayName(payload && payload.name);
+  if (!student) {
+    respondJson(res, 400, { error: "Enter your name" }, origin);
+    return;
+  }
+
+  const joined = tokenStore.verifyJoinCode(payload.code);
+  if (!joined.ok) {
+    joinLimiter.consume({ ip });
+    respondJson(res, 403, { error: joined.error === "Unknown join code" ? joined.error : "This class is not accepting students right now" }, origin);
+    return;
+  }
+  if (!tokenAllowsOrigin(joined.token, origin)) {
+    respondJson(res, 403, { error: "This class cannot use Vibbit from this site" }, origin);
+    return;
+  }
+
+  const session = sessionSigner.issue({ classId: joined.token.id, student });
+  const classExpiry = joined.token.expiresAt;
+  respondJson(res, 200, {
+    token: session.token,
+    expiresAt: classExpiry && classExpiry < session.expiresAt ? classExpiry : session.expiresAt,
+    student,
+    class: { name: joined.token.name, label: joined.token.label }
+  }, origin);
+}
+
+// A class pinned to a provider or model keeps it whichever profile the student picks: the token's
+// provider and model replace the profile's as a pair, never mixed. The profile's temperature and
+// instructions still apply.
+function generationOptions(token, profile) {
+  const source = token && (token.provider || token.model) ? token : (profile || {});
+  return {
+    provider: source.provider || undefined,
+    model: source.model || undefined,
+    temperature: profile && profile.temperature !== null ? profile.temperature : DEFAULT_TEMPERATURE,
+    instructions: (profile && profile.instructions) || ""
+  };
+}
+
+// Waits for a generation shared by identical requests. A request that disconnects stops waiting
+// at once; the provider call itself is only cancelled when every request waiting on it has gone.
+function joinGeneration(pending, signal) {
+  pending.waiters += 1;
+  return new Promise((resolve, reject) => {
+    const leave = () => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      pending.waiters -= 1;
+    };
+    const onAbort = () => {
+      leave();
+      if (!pending.waiters) pending.controller.abort();
+      try {
+        throwIfCancelled(signal);
+      } catch (error) {
+        reject(error);
+      }
+    };
+    if (signal && signal.aborted) {
+      onAbort();
+      return;
+    }
+    if (signal) signal.addEventListener("abort", onAbort);
+    pending.promise.then((outcome) => {
+      leave();
+      resolve(outcome);
+    }, (error) => {
+      leave();
+      reject(error);
+    });
+  });
+}
+
+// Serves an identical recent request from the cache unless the student asked for a fresh result,
+// and lets identical requests that arrive together share one provider call. Follow-ups depend on
+// the conversation so they always go to the model, and only results that passed validation are stored.
+async function generateWithCache(incoming, { onProgress = () => {}, signal } = {}) {
+  const { value, token } = incoming;
+  const options = generationOptions(token, profileFor(value.profile));
+  if (!responseCache.enabled || value.conversation.length || (token && token.cache === false)) {
+    return generateManaged(value, { onProgress, signal, ...options });
+  }
+
+  // Keyed on the preferred route; the entry remembers which provider actually answered.
+  const [preferred] = routesFor(options.provider, options.model);
+  const provider = preferred.provider;
+  const model = preferred.model || modelFor(provider);
+  const key = cacheKeyFor({ ...value, provider, model, temperature: options.temperature, instructions: options.instructions, promptVersion: PROMPT_VERSION });
+  const hit = value.fresh ? null : responseCache.get(key);
+  if (hit) {
+    const cachedAt = new Date(hit.storedAt).toISOString();
+    onProgress("cache", { provider: hit.value.provider, model: hit.value.model, cachedAt });
+    return { ...hit.value.result, usage: sumUsage([]), cached: true, cachedAt };
+  }
+
+  // Requests that join are answered like a cache hit: they made no provider call of their own.
+  const running = value.fresh ? null : pendingGenerations.get(key);
+  if (running) {
+    const shared = await joinGeneration(running, signal);
+    onProgress("cache", { provider: shared.provider, model: shared.model, cachedAt: new Date().toISOString(), shared: true });
+    return { ...shared.result, usage: sumUsage([]), shared: true };
+  }
+
+  // The first request gets the progress events for as long as it is connected.
+  let answered = { provider, model };
+  let passed = false;
+  const pending = { waiters: 0, controller: new AbortController(), promise: null };
+  pending.promise = generateManaged(value, {
+    onProgress: (event, data) => {
+      if (event === "attempt") answered = { provider: data.provider, model: data.model };
+      if (event === "validation") passed = Boolean(data.ok);
+      if (!(signal && signal.aborted)) onProgress(event, data);
+    },
+    signal: pending.controller.signal,
+    ...options
+  }).then((result) => {
+    // Starter-program fallbacks are shared with requests already waiting but never cached.
+    if (passed && !result.rejected) responseCache.set(key, { result, ...answered });
+    return { result, ...answered };
+  }).finally(() => {
+    if (pendingGenerations.get(key) === pending) pendingGenerations.delete(key);
+  });
+  pendingGenerations.set(key, pending);
+  const { result } = await joinGeneration(pending, signal);
+  return result;
+}
+
+async function readGenerateRequest(req) {
+  const auth = authenticate(req);
+  if (!auth.ok) return auth;
+
+  const limited = rateLimiter.consume({ ip: clientIp(req), token: auth.token ? auth.token.id : "" });
+  if (!limited.ok) {
+    return { ok: false, status: 429, error: describeRateLimit(limited), retryAfter: limited.retryAfter };
+  }
+
+  const payload = await readJson(req);
+  const validated = validatePayload(payload);
+  if (!validated.ok) {
+    return { ok: false, status: 400, error: validated.error };
+  }
+
+  // Only the new request is checked; earlier turns already passed when they were sent.
+  const verdict = await moderator.check(validated.value.request);
+  const moderation = verdict.action === "allow" ? null : { action: verdict.action, categories: verdict.categories };
+  if (moderation) {
+    const who = auth.token ? auth.token.name : "anonymous";
+    console.warn(`[Vibbit backend] Moderation ${verdict.action === "block" ? "blocked" : "flagged"} a request from ${who}: ${verdict.categories.join(", ")}`);
+  }
+  if (verdict.action === "block") {
+    return { ok: false, status: 422, error: verdict.message, moderation, value: validated.value, token: auth.token };
+  }
+  return { ok: true, value: validated.value, token: auth.token, moderation };
+}
+
+function checkAdmin(req) {
+  if (!config.adminToken) {
+    return { ok: false, status: 403, error: "Admin API is disabled. Set VIBBIT_ADMIN_TOKEN to enable it." };
+  }
+  const bearer = extractBearerToken(req.headers.authorization);
+  if (!bearer || !safeEqual(bearer, config.adminToken)) {
+    return { ok: false, status: 401, error: "Unauthorized" };
+  }
+  return { ok: true };
+}
+
+function respondStoreResult(res, result, status, origin) {
+  if (!result.ok) {
+    respondJson(res, result.status || 400, { error: result.error }, origin);
+    return;
+  }
+  const { ok, ...body } = result;
+  respondJson(res, status, body, origin);
+}
+
+// GET/POST /admin/tokens, PATCH/DELETE /admin/tokens/:id, POST /admin/tokens/:id/rotate|join-code
+async function handleAdminTokens(req, res, pathname, origin) {
+  const admin = checkAdmin(req);
+  if (!admin.ok) {
+    respondJson(res, admin.status, { error: admin.error }, origin);
+    return;
+  }
+
+  const [, id, action] = pathname.match(/^\/admin\/tokens(?:\/([^/]+)(?:\/(rotate|join-code))?)?\/?$/) || [];
+  try {
+    if (!id && req.method === "GET") {
+      respondJson(res, 200, { tokens: tokenStore.list() }, origin);
+    } else if (!id && req.method === "POST") {
+      respondStoreResult(res, await tokenStore.create(await readJson(req)), 201, origin);
+    } else if (id && !action && req.method === "PATCH") {
+      respondStoreResult(res, await tokenStore.update(id, await readJson(req)), 200, origin);
+    } else if (id && !action && req.method === "DELETE") {
+      respondStoreResult(res, await tokenStore.revoke(id), 200, origin);
+    } else if (id && action === "rotate" && req.method === "POST") {
+      respondStoreResult(res, await tokenStore.rotate(id), 200, origin);
+    } else if (id && action === "join-code" && req.method === "POST") {
+      respondStoreResult(res, await tokenStore.renewJoinCode(id), 200, origin);
+    } else {
+      respondJson(res, 405, { error: "Method not allowed" }, origin);
+    }
+  } catch (error) {
+    const status = error && /Invalid JSON|Payload too large/.test(error.message) ? 400 : 500;
+    respondJson(res, status, { error: error && error.message ? error.message : "Internal server error" }, origin);
+  }
+}
+
+// Aborts in-flight provider calls when the client goes away before we answer.
+function watchDisconnect(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller;
+}
+
+function respondRejected(res, incoming, origin) {
+  if (incoming.status === 429) {
+    respondJson(res, 429, { error: incoming.error, retryAfter: incoming.retryAfter }, origin, {
+      "Retry-After": String(incoming.retryAfter)
+    });
+    return;
+  }
+  if (incoming.moderation) {
+    startAuditTrail(incoming, res).finish({ blocked: true });
+    respondJson(res, incoming.status, { error: incoming.error, moderation: incoming.moderation }, origin);
+    return;
+  }
+  respondJson(res, incoming.status, { error: incoming.error }, origin);
+}
+
+// Collects what happens during one generation. When it ends the outcome is counted in the
+// metrics, added to the request's log line and appended to the audit log. Only the first
+// finish() counts, because a disconnect finishes the trail before the generation unwinds.
+function startAuditTrail(incoming, res) {
+  const requestLog = requestLogs.get(res) || {};
+  const startedAt = Date.now();
+  const { target, request, currentCode, conversation, profile } = incoming.value;
+  const token = incoming.token;
+  const attempts = [];
+  const failovers = [];
+  const usages = [];
+  let provider = "";
+  let model = "";
+  let cached = false;
+  let finished = false;
+
+  function progress(event, data) {
+    if (event === "cache") {
+      provider = data.provider;
+      model = data.model;
+      cached = true;
+      return;
+    }
+    if (event === "attempt") {
+      provider = data.provider;
+      model = data.model;
+      const previous = attempts[attempts.length - 1];
+      // After a failover the same attempt continues on the next provider.
+      if (previous && previous.attempt === data.attempt) return;
+      attempts.push({ attempt: data.attempt, reason: data.reason, ok: null, violations: [], fixes: [], backoffs: 0 });
+      return;
+    }
+    if (event === "usage") {
+      usages.push(data);
+      return;
+    }
+    if (event === "failover") {
+      failovers.push({ attempt: data.attempt, provider: data.provider, model: data.model, reason: data.reason, error: data.error });
+      return;
+    }
+    const current = attempts[attempts.length - 1];
+    if (!current) return;
+    if (event === "fix") current.fixes = data.changes || [];
+    if (event === "backoff") current.backoffs += 1;
+    if (event === "validation") {
+      current.ok = Boolean(data.ok);
+      current.violations = data.violations || [];
+    }
+  }
+
+  function finish({ result = null, error = null, cancelled = false, blocked = false } = {}) {
+    if (finished) return;
+    finished = true;
+    const last = attempts[attempts.length - 1];
+    let outcome = (last && last.ok) || cached ? "ok" : "fallback";
+    if (error) outcome = "error";
+    if (cancelled) outcome = "cancelled";
+    if (blocked) outcome = "blocked";
+    const latencyMs = Date.now() - startedAt;
+    const usage = sumUsage(usages);
+
+    generations.inc({ target, outcome });
+    generationDuration.observe({ target, outcome }, latencyMs / 1000);
+    Object.assign(requestLog, {
+      class: token ? token.id : null,
+      target,
+      profile: profile || null,
+      provider,
+      model,
+      outcome,
+      attempts: attempts.length,
+      failovers: failovers.length,
+      cached,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens
+    });
+    if (error) requestLog.error = generationErrorMessage(error);
+
+    if (!config.audit.enabled) return;
+    auditLog.append({
+      requestId: requestLog.requestId || null,
+      class: token ? { id: token.id, name: token.name } : null,
+      student: (token && token.student) || null,
+      target,
+      profile: profile || null,
+      prompt: request,
+      currentCodeIncluded: Boolean(currentCode && currentCode.trim()),
+      conversationTurns: conversation.length,
+      provider,
+      model,
+      attempts,
+      failovers,
+      usage,
+      cached,
+      outcome,
+      moderation: incoming.moderation || null,
+      code: result ? result.code : null,
+      rejectedCode: result && result.rejected ? result.rejected.code : null,
+      feedback: result ? result.feedback : [],
+      error: error ? generationErrorMessage(error) : null,
+      latencyMs
+    }).catch((writeError) => {
+      console.error("[Vibbit backend] Audit log write failed:", writeError.message);
+    });
+  }
+
+  const trail = { progress, finish };
+  auditTrails.set(res, trail);
+  return trail;
+}
+
+// GET /admin/audit?class=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=
+async function handleAdminAudit(req, res, origin) {
+  const admin = checkAdmin(req);
+  if (!admin.ok) {
+    respondJson(res, admin.status, { error: admin.error }, origin);
+    return;
+  }
+
+  const params = new URL(req.url || "/", "http://localhost").searchParams;
+  const from = params.get("from") || "";
+  const to = params.get("to") || "";
+  if ([from, to].some((day) => day && !/^\d{4}-\d{2}-\d{2}$/.test(day))) {
+    respondJson(res, 400, { error: "'from' and 'to' must be dates like 2026-03-01" }, origin);
+    return;
+  }
+  const limit = Math.min(Math.max(Number(params.get("limit")) || 100, 1), 1000);
+
+  try {
+    const entries = await auditLog.query({ class: params.get("class") || "", from, to, limit });
+    respondJson(res, 200, { entries }, origin);
+  } catch (error) {
+    respondJson(res, 500, { error: error && error.message ? error.message : "Internal server error" }, origin);
+  }
+}
+
+// GET /admin/usage?class=&days=14: requests per UTC day, with empty days filled in.
+async function handleAdminUsage(req, res, origin) {
+  const admin = checkAdmin(req);
+  if (!admin.ok) {
+    respondJson(res, admin.status, { error: admin.error }, origin);
+    return;
+  }
+
+  const params = new URL(req.url || "/", "http://localhost").searchParams;
+  const dayCount = Math.min(Math.max(Number(params.get("days")) || 14, 1), 366);
+  const dayMs = 24 * 60 * 60 * 1000;
+  const days = [];
+  for (let index = dayCount - 1; index >= 0; index -= 1) {
+    days.push(new Date(Date.now() - index * dayMs).toISOString().slice(0, 10));
+  }
+
+  try {
+    const counted = await auditLog.usage({ class: params.get("class") || "", from: days[0], to: days[days.length - 1] });
+    const byDay = new Map(counted.map((item) => [item.day, item]));
+    respondJson(res, 200, {
+      days: days.map((day) => byDay.get(day) || emptyUsageDay(day))
+    }, origin);
+  } catch (error) {
+    respondJson(res, 500, { error: error && error.message ? error.message : "Internal server error" }, origin);
+  }
+}
+
+// The dashboard page holds no data itself; it asks for the admin token and calls the admin API.
+function serveDashboard(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/html; charset=utf-8",
+    "Cache-Control": "no-store",
+    "X-Frame-Options": "DENY",
+    "Content-Security-Policy": "default-src 'self'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; connect-src 'self'"
+  });
+  res.end(DASHBOARD_HTML);
+}
+
+// GET /metrics in the Prometheus text format; VIBBIT_METRICS_TOKEN makes the scraper send a bearer token.
+function handleMetrics(req, res, origin) {
+  if (config.metrics.token) {
+    const bearer = extractBearerToken(req.headers.authorization);
+    if (!bearer || !safeEqual(bearer, config.metrics.token)) {
+      respondJson(res, 401, { error: "Unauthorized" }, origin);
+      return;
+    }
+  }
+  res.writeHead(200, {
+    "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+    "Cache-Control": "no-store"
+  });
+  res.end(metrics.render());
+}
+
+// Behind a trusted proxy its request ID is kept, so its logs and ours can be matched up.
+function requestIdFor(req) {
+  const incoming = String(req.headers["x-request-id"] || "");
+  return config.trustProxy && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : randomUUID();
+}
+
+// Metric label for a path; unknown paths share one label so scanners cannot grow the series.
+function routeLabel(pathname) {
+  const route = pathname.length > 1 ? pathname.replace(/\/+$/, "") : pathname;
+  if (route.startsWith("/admin/tokens/")) return "/admin/tokens";
+  return KNOWN_ROUTES.includes(route) ? route : "other";
+}
+
+// One JSON line per request for log collectors. Prompts and code stay in the audit log.
+function logRequest(req, res, pathname, requestLog, durationMs) {
+  // 499 is the usual code for a client that went away before the response started.
+  const status = res.headersSent ? res.statusCode : 499;
+  httpRequests.inc({ method: req.method, route: routeLabel(pathname), status });
+  if (!config.requestLog) return;
+  const { requestId, ...fields } = requestLog;
+  console.log(JSON.stringify({
+    time: new Date().toISOString(),
+    level: status >= 500 ? "error" : (status >= 400 ? "warn" : "info"),
+    requestId,
+    method: req.method,
+    path: pathname,
+    status,
+    durationMs,
+    ip: clientIp(req),
+    ...fields
+  }));
+}
+
+function generationErrorMessage(error) {
+  return error && error.name === "AbortError"
+    ? `Generation timed out after ${config.requestTimeoutMs}ms`
+    : (error && error.message ? error.message : "Internal server error");
+}
+
 const server = createServer(async (req, res) => {
   const origin = req.headers.origin || "";
   const pathname = new URL(req.url || "/", "http://localhost").pathname;
+  const startedAt = Date.now();
+  const requestLog = { requestId: requestIdFor(req) };
+  requestLogs.set(res, requestLog);
+  res.setHeader("X-Request-Id", requestLog.requestId);
+  res.on("close", () => {
+    const trail = auditTrails.get(res);
+    if (trail && !res.writableFinished) trail.finish({ cancelled: true });
+    logRequest(req, res, pathname, requestLog, Date.now() - startedAt);
+  });
+
+  if (!checkOrigin(req)) {
+    if (req.method === "OPTIONS") {
+      rejectPreflight(res, origin, pathname, "origin not allowed");
+      return;
+    }
+    respondJson(res, 403, { error: "Origin not allowed" });
+    return;
+  }
 
   if (req.method === "OPTIONS") {
-    handleOptions(req, res);
+    handleOptions(req, res, pathname);
     return;
   }
 
   if (pathname === "/healthz" && req.method === "GET") {
-    respondJson(res, 200, {
+    const health = {
       ok: true,
-      provider: PROVIDER,
-      model: modelFor(PROVIDER),
-      tokenRequired: Boolean(SERVER_APP_TOKEN)
-    }, origin);
+      provider: providerChain[0].provider,
+      model: providerChain[0].model || modelFor(providerChain[0].provider),
+      providers: providerChain.map((route) => ({
+        provider: route.provider,
+        model: route.model || modelFor(route.provider),
+        configured: route.provider === "custom" ? Boolean(config.providers.custom.baseUrl) : Boolean(apiKeyFor(route.provider)),
+        ...circuitBreaker.status(routeName(route))
+      })),
+      tokenRequired: tokenRequired(),
+      moderation: moderator.provider
+    };
+    if (providerChain.some((route) => route.provider === "custom")) {
+      health.baseUrl = customApiRoot(config.providers.custom.baseUrl);
+      Object.assign(health, await healthModelList());
+    }
+    respondJson(res, 200, health, origin);
+    return;
+  }
+
+  if (pathname === "/metrics" && req.method === "GET" && config.metrics.enabled) {
+    handleMetrics(req, res, origin);
     return;
   }
 
   if (pathname === "/vibbit/generate" && req.method === "POST") {
+    const disconnect = watchDisconnect(res);
+    let trail = null;
     try {
-      if (SERVER_APP_TOKEN) {
-        const token = extractBearerToken(req.headers.authorization);
-        if (!token || token !== SERVER_APP_TOKEN) {
-          respondJson(res, 401, { error: "Unauthorized" }, origin);
-          return;
-        }
+      const incoming = await readGenerateRequest(req);
+      if (!incoming.ok) {
+        respondRejected(res, incoming, origin);
+        return;
       }
 
-      const payload = await readJson(req);
-      const validated = validatePayload(payload);
+      trail = startAuditTrail(incoming, res);
+      const result = await generateWithCache(incoming, { onProgress: trail.progress, signal: disconnect.signal });
+      trail.finish({ result });
+      respondJson(res, 200, result, origin);
+    } catch (error) {
+      if (trail) trail.finish(disconnect.signal.aborted ? { cancelled: true } : { error });
+      if (disconnect.signal.aborted) return;
+      respondJson(res, 500, { error: generationErrorMessage(error) }, origin);
+    }
+    return;
+  }
 
-      if (!validated.ok) {
-        respondJson(res, 400, { error: validated.error }, origin);
+  if (pathname === "/vibbit/generate/stream" && req.method === "POST") {
+    const disconnect = watchDisconnect(res);
+    let send = null;
+    let trail = null;
+    try {
+      const incoming = await readGenerateRequest(req);
+      if (!incoming.ok) {
+        respondRejected(res, incoming, origin);
         return;
       }
 
-      const result = await generateManaged(validated.value);
-      respondJson(res, 200, result, origin);
+      send = openEventStream(res, origin);
+      trail = startAuditTrail(incoming, res);
+      const onProgress = (event, data) => {
+        trail.progress(event, data);
+        send(event, data);
+      };
+      const result = await generateWithCache(incoming, { onProgress, signal: disconnect.signal });
+      trail.finish({ result });
+      send("result", result);
     } catch (error) {
-      const message = error && error.name === "AbortError"
-        ? `Generation timed out after ${REQUEST_TIMEOUT_MS}ms`
-        : (error && error.message ? error.message : "Internal server error");
-      respondJson(res, 500, { error: message }, origin);
+      if (trail) trail.finish(disconnect.signal.aborted ? { cancelled: true } : { error });
+      if (disconnect.signal.aborted) return;
+      if (!send) {
+        respondJson(res, 500, { error: generationErrorMessage(error) }, origin);
+        return;
+      }
+      send("error", { error: generationErrorMessage(error) });
     }
+    res.end();
+    return;
+  }
+
+  if (pathname === "/vibbit/profiles" && req.method === "GET") {
+    handleProfiles(req, res, origin);
+    return;
+  }
+
+  if (pathname === "/vibbit/join" && req.method === "POST") {
+    await handleJoin(req, res, origin);
+    return;
+  }
+
+  if ((pathname === "/dashboard" || pathname === "/dashboard/") && req.method === "GET") {
+    serveDashboard(res);
+    return;
+  }
+
+  if (pathname === "/admin/usage" && req.method === "GET") {
+    await handleAdminUsage(req, res, origin);
+    return;
+  }
+
+  if (pathname === "/admin/audit" && req.method === "GET") {
+    await handleAdminAudit(req, res, origin);
+    return;
+  }
+
+  if (pathname === "/admin/tokens" || pathname.startsWith("/admin/tokens/")) {
+    await handleAdminTokens(req, res, pathname, origin);
     return;
   }
 
   respondJson(res, 404, { error: "Not found" }, origin);
 });
 
-server.listen(PORT, () => {
-  console.log(`[Vibbit backend] Listening on http://localhost:${PORT}`);
-  console.log(`[Vibbit backend] Provider=${PROVIDER} model=${modelFor(PROVIDER)}`);
-  if (SERVER_APP_TOKEN) {
+setInterval(() => {
+  rateLimiter.prune();
+  joinLimiter.prune();
+  responseCache.prune();
+}, 60 * 1000).unref();
+
+function pruneAuditLog() {
+  auditLog.prune()
+    .then((removed) => {
+      if (removed) console.log(`[Vibbit backend] Audit log retention removed ${removed} day file(s)`);
+    })
+    .catch((error) => {
+      console.error("[Vibbit backend] Audit log retention failed:", error.message);
+    });
+}
+
+if (config.audit.enabled) pruneAuditLog();
+setInterval(() => {
+  if (config.audit.enabled) pruneAuditLog();
+}, 6 * 60 * 60 * 1000).unref();
+
+// Without a handler SIGHUP would end the process (and every request in it).
+process.on("SIGHUP", reloadConfig);
+
+server.listen(config.port, () => {
+  console.log(`[Vibbit backend] Listening on http://localhost:${config.port}`);
+  if (config.file) {
+    console.log(`[Vibbit backend] Config file=${config.file} (send SIGHUP to reload)`);
+  }
+  providerChain.forEach((route, index) => {
+    const label = index === 0 ? "Provider" : "Fallback " + index;
+    console.log(`[Vibbit backend] ${label}=${route.provider} model=${route.model || modelFor(route.provider) || "(first listed by endpoint)"}`);
+  });
+  if (providerChain.length > 1) {
+    console.log(`[Vibbit backend] Circuit breaker: skip a provider for ${config.circuit.cooldownSeconds}s after ${config.circuit.failures} failure(s) in a row`);
+  }
+  if (providerChain.some((route) => route.provider === "custom")) {
+    console.log(`[Vibbit backend] Custom endpoint=${customApiRoot(config.providers.custom.baseUrl) || "(VIBBIT_CUSTOM_BASE_URL not set)"}`);
+  }
+  if (config.profiles.length) {
+    console.log(`[Vibbit backend] Profiles=${config.profiles.map((profile) => profile.id).join(", ")}`);
+  }
+  if (config.appToken) {
     console.log("[Vibbit backend] SERVER_APP_TOKEN auth enabled");
   }
+  console.log(`[Vibbit backend] Token store=${config.tokenStore} (${tokenStore.size} token(s))`);
+  if (config.adminToken) {
+    console.log(`[Vibbit backend] Admin API enabled; dashboard at http://localhost:${config.port}/dashboard`);
+  }
+  if (config.audit.enabled) {
+    console.log(`[Vibbit backend] Audit log=${config.audit.dir} (retention ${config.audit.retentionDays > 0 ? config.audit.retentionDays + " days" : "unlimited"})`);
+  }
+  if (sessionSigner.ephemeral) {
+    console.log("[Vibbit backend] VIBBIT_SESSION_SECRET not set; student sessions end when the server restarts");
+  }
+  if (rateLimiter.enabled) {
+    console.log("[Vibbit backend] Rate limits enabled");
+  }
+  console.log(`[Vibbit backend] Moderation=${moderator.provider}`);
+  if (responseCache.enabled) {
+    console.log(`[Vibbit backend] Response cache enabled (${config.cache.maxEntries} entries, ${config.cache.ttlSeconds}s)`);
+  }
+  if (config.metrics.enabled) {
+    console.log(`[Vibbit backend] Metrics at http://localhost:${config.port}/metrics${config.metrics.token ? " (bearer token required)" : ""}`);
+  }
 });
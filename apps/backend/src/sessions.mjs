@@ -0,0 +1,66 @@
+// Signed student session tokens issued in exchange for a class join code.
+// Sessions are not stored: the token carries the class ID and student name and
+// is checked with an HMAC, so every restart with the same secret keeps them valid.
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+
+const SESSION_PREFIX = "vbs_";
+const DISPLAY_NAME_MAX = 40;
+
+export function isSessionToken(value) {
+  return String(value || "").startsWith(SESSION_PREFIX);
+}
+
+// Trims and collapses whitespace; returns "" when nothing usable is left.
+export function normalizeDisplayName(value) {
+  if (typeof value !== "string") return "";
+  return value.replace(/[\u0000-\u001f\u007f]/g, "").replace(/\s+/g, " ").trim().slice(0, DISPLAY_NAME_MAX);
+}
+
+export function createSessionSigner(secret, { ttlMs, now = Date.now } = {}) {
+  const key = secret || randomBytes(32).toString("hex");
+
+  function sign(body) {
+    return createHmac("sha256", key).update(body).digest("base64url");
+  }
+
+  function issue({ classId, student }) {
+    const issuedAt = now();
+    const payload = {
+      c: classId,
+      n: student,
+      s: randomBytes(6).toString("hex"),
+      iat: issuedAt,
+      exp: issuedAt + ttlMs
+    };
+    const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+    return {
+      token: SESSION_PREFIX + body + "." + sign(body),
+      studentId: payload.s,
+      expiresAt: new Date(payload.exp).toISOString()
+    };
+  }
+
+  // Returns { ok, classId, student, studentId } or { ok: false, error }.
+  function verify(token) {
+    const [body, signature] = String(token || "").slice(SESSION_PREFIX.length).split(".");
+    if (!body || !signature) return { ok: false, error: "Unauthorized" };
+    const expected = Buffer.from(sign(body));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+      return { ok: false, error: "Unauthorized" };
+    }
+
+    let payload = null;
+    try {
+      payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    } catch (error) {
+      return { ok: false, error: "Unauthorized" };
+    }
+    if (!payload || typeof payload.exp !== "number" || payload.exp <= now()) {
+      return { ok: false, error: "Session expired" };
+    }
+    return { ok: true, classId: payload.c, student: payload.n, studentId: payload.s };
+  }
+
+  return { ephemeral: !secret, issue, verify };
+}
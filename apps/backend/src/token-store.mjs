@@ -0,0 +1,260 @@
+// File-backed store of issued class tokens. Only a SHA-256 hash of each token
+// is kept on disk; the plain value is returned once, on create and rotate.
+// Each token also carries a short join code that students exchange for a session.
+import { createHash, randomBytes } from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import { mkdir, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseOriginList } from "./origins.mjs";
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+// No 0/O or 1/I/L so codes survive being read out loud or copied from a board.
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const JOIN_CODE_LENGTH = 6;
+
+function hashToken(secret) {
+  return createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function newSecret() {
+  return "vbt_" + randomBytes(24).toString("base64url");
+}
+
+function newJoinCode() {
+  const bytes = randomBytes(JOIN_CODE_LENGTH);
+  let code = "";
+  for (const byte of bytes) code += JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length];
+  return code;
+}
+
+export function normalizeJoinCode(value) {
+  return String(value || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function newId() {
+  return "tok_" + randomBytes(6).toString("hex");
+}
+
+// Strips the hash so records can be returned from the admin API as-is.
+function publicRecord(record) {
+  const { hash, ...rest } = record;
+  return { ...rest };
+}
+
+function readStoreFile(filePath) {
+  if (!existsSync(filePath)) return [];
+  const data = JSON.parse(readFileSync(filePath, "utf8"));
+  return Array.isArray(data.tokens) ? data.tokens : [];
+}
+
+// Checks the editable fields of a create/update body. Returns { ok, value } or { ok: false, error }.
+function validateFields(body, { providers, requireName }) {
+  const value = {};
+
+  if (requireName || body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!NAME_PATTERN.test(name)) {
+      return { ok: false, error: "Field 'name' must be 1-64 letters, digits, '.', '_' or '-'" };
+    }
+    value.name = name;
+  }
+
+  if (body.label !== undefined) {
+    if (typeof body.label !== "string") return { ok: false, error: "Field 'label' must be a string" };
+    value.label = body.label.trim().slice(0, 200);
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== "boolean") return { ok: false, error: "Field 'enabled' must be true or false" };
+    value.enabled = body.enabled;
+  }
+
+  if (body.paused !== undefined) {
+    if (typeof body.paused !== "boolean") return { ok: false, error: "Field 'paused' must be true or false" };
+    value.paused = body.paused;
+  }
+
+  if (body.cache !== undefined) {
+    if (typeof body.cache !== "boolean") return { ok: false, error: "Field 'cache' must be true or false" };
+    value.cache = body.cache;
+  }
+
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null || body.expiresAt === "") {
+      value.expiresAt = null;
+    } else {
+      const time = Date.parse(body.expiresAt);
+      if (Number.isNaN(time)) return { ok: false, error: "Field 'expiresAt' must be an ISO date or null" };
+      value.expiresAt = new Date(time).toISOString();
+    }
+  }
+
+  if (body.provider !== undefined) {
+    if (body.provider !== null && body.provider !== "" && !providers.includes(body.provider)) {
+      return { ok: false, error: `Field 'provider' must be one of: ${providers.join(", ")}` };
+    }
+    value.provider = body.provider || null;
+  }
+
+  if (body.model !== undefined) {
+    if (body.model !== null && typeof body.model !== "string") return { ok: false, error: "Field 'model' must be a string or null" };
+    value.model = (body.model || "").trim() || null;
+  }
+
+  if (body.origins !== undefined) {
+    if (body.origins !== null && !Array.isArray(body.origins)) return { ok: false, error: "Field 'origins' must be a list of origins or null" };
+    const parsed = parseOriginList(body.origins || []);
+    if (parsed.error) return { ok: false, error: `Field 'origins': ${parsed.error}` };
+    value.origins = parsed.value;
+  }
+
+  return { ok: true, value };
+}
+
+export function createTokenStore(filePath, { providers = [], now = Date.now } = {}) {
+  const tokens = readStoreFile(filePath);
+  let writing = Promise.resolve();
+
+  // Writes are chained so concurrent admin calls never interleave on disk.
+  function persist() {
+    const snapshot = JSON.stringify({ tokens }, null, 2) + "\n";
+    const tmpPath = filePath + ".tmp";
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(path.dirname(filePath), { recursive: true });
+        await writeFile(tmpPath, snapshot, { mode: 0o600 });
+        await rename(tmpPath, filePath);
+      });
+    return writing;
+  }
+
+  function find(id) {
+    return tokens.find((record) => record.id === id) || null;
+  }
+
+  function uniqueJoinCode() {
+    let code = newJoinCode();
+    while (tokens.some((record) => record.joinCode === code)) code = newJoinCode();
+    return code;
+  }
+
+  function usable(record) {
+    if (!record.enabled) return { ok: false, error: "Token disabled" };
+    if (record.expiresAt && Date.parse(record.expiresAt) <= now()) return { ok: false, error: "Token expired" };
+    // Paused is a teacher's temporary switch (for example during a test), so it is a 403 rather than an auth failure.
+    if (record.paused) return { ok: false, status: 403, error: "Vibbit is paused for this class right now" };
+    return { ok: true, token: publicRecord(record) };
+  }
+
+  function list() {
+    return tokens.map(publicRecord);
+  }
+
+  async function create(body) {
+    const checked = validateFields(body || {}, { providers, requireName: true });
+    if (!checked.ok) return checked;
+    if (tokens.some((record) => record.name === checked.value.name)) {
+      return { ok: false, status: 409, error: `A token named '${checked.value.name}' already exists` };
+    }
+
+    const secret = newSecret();
+    const record = {
+      id: newId(),
+      name: checked.value.name,
+      label: checked.value.label || "",
+      enabled: checked.value.enabled !== false,
+      paused: checked.value.paused === true,
+      cache: checked.value.cache !== false,
+      expiresAt: checked.value.expiresAt || null,
+      provider: checked.value.provider || null,
+      model: checked.value.model || null,
+      origins: checked.value.origins || [],
+      createdAt: new Date(now()).toISOString(),
+      rotatedAt: null,
+      joinCode: uniqueJoinCode(),
+      hash: hashToken(secret)
+    };
+    tokens.push(record);
+    await persist();
+    return { ok: true, token: publicRecord(record), secret };
+  }
+
+  async function update(id, body) {
+    const record = find(id);
+    if (!record) return { ok: false, status: 404, error: "Token not found" };
+    const checked = validateFields(body || {}, { providers, requireName: false });
+    if (!checked.ok) return checked;
+    if (checked.value.name && tokens.some((other) => other !== record && other.name === checked.value.name)) {
+      return { ok: false, status: 409, error: `A token named '${checked.value.name}' already exists` };
+    }
+    Object.assign(record, checked.value);
+    await persist();
+    return { ok: true, token: publicRecord(record) };
+  }
+
+  async function revoke(id) {
+    const index = tokens.findIndex((record) => record.id === id);
+    if (index === -1) return { ok: false, status: 404, error: "Token not found" };
+    const [record] = tokens.splice(index, 1);
+    await persist();
+    return { ok: true, token: publicRecord(record) };
+  }
+
+  async function rotate(id) {
+    const record = find(id);
+    if (!record) return { ok: false, status: 404, error: "Token not found" };
+    const secret = newSecret();
+    record.hash = hashToken(secret);
+    record.rotatedAt = new Date(now()).toISOString();
+    await persist();
+    return { ok: true, token: publicRecord(record), secret };
+  }
+
+  // Replaces the join code; sessions already issued from the old code stay valid.
+  async function renewJoinCode(id) {
+    const record = find(id);
+    if (!record) return { ok: false, status: 404, error: "Token not found" };
+    record.joinCode = uniqueJoinCode();
+    await persist();
+    return { ok: true, token: publicRecord(record) };
+  }
+
+  // Resolves a bearer token to its record. Returns { ok, token } or { ok: false, error }.
+  function verify(secret) {
+    if (!secret) return { ok: false, error: "Unauthorized" };
+    const hash = hashToken(secret);
+    const record = tokens.find((candidate) => candidate.hash === hash);
+    if (!record) return { ok: false, error: "Unauthorized" };
+    return usable(record);
+  }
+
+  function verifyJoinCode(code) {
+    const normalized = normalizeJoinCode(code);
+    const record = normalized ? tokens.find((candidate) => candidate.joinCode === normalized) : null;
+    if (!record) return { ok: false, error: "Unknown join code" };
+    return usable(record);
+  }
+
+  // Sessions point at a token by ID, so disabling or deleting the token ends them too.
+  function verifyId(id) {
+    const record = find(id);
+    if (!record) return { ok: false, error: "Class no longer exists" };
+    return usable(record);
+  }
+
+  return {
+    get size() {
+      return tokens.length;
+    },
+    list,
+    create,
+    update,
+    revoke,
+    rotate,
+    renewJoinCode,
+    verify,
+    verifyJoinCode,
+    verifyId
+  };
+}
@@ -130,6 +130,7 @@ export function providerConfigFromEnv() {
     process.env.AUDIT_BYOK_OPENAI_KEY ? "openai" :
     process.env.AUDIT_BYOK_GEMINI_KEY ? "gemini" :
     process.env.AUDIT_BYOK_OPENROUTER_KEY ? "openrouter" :
+    process.env.AUDIT_BYOK_ANTHROPIC_KEY ? "anthropic" :
     ""
   );
 
@@ -163,6 +164,15 @@ export function providerConfigFromEnv() {
     };
   }
 
+  if (provider === "anthropic") {
+    return {
+      provider,
+      key: process.env.AUDIT_BYOK_ANTHROPIC_KEY || "",
+      model: process.env.AUDIT_BYOK_ANTHROPIC_MODEL || "claude-haiku-4-5",
+      endpointRegex: /^https:\/\/api\.anthropic\.com\/v1\/messages$/
+    };
+  }
+
   return null;
 }
 
@@ -1,6 +1,7 @@
 import { mkdir, readFile, readdir, rm, writeFile, copyFile } from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { syncSharedModules } from "./lib/shared-modules.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,7 +13,10 @@ const iconsSourceDir = path.join(root, "extension", "icons");
 const byokHostPermissions = [
   "https://api.openai.com/*",
   "https://generativelanguage.googleapis.com/*",
-  "https://openrouter.ai/*"
+  "https://openrouter.ai/*",
+  "https://api.anthropic.com/*",
+  "http://localhost/*",
+  "http://127.0.0.1/*"
 ];
 
 const makecodeHostPermissions = [
@@ -43,6 +47,11 @@ async function build() {
     readFile(manifestPath, "utf8")
   ]);
 
+  const synced = await syncSharedModules(rawClient, root);
+  if (synced.source !== rawClient) {
+    throw new Error("work.js is out of date with shared/ modules; run `npm run sync:shared` first");
+  }
+
   let builtClient = rawClient.replace(userscriptHeaderPattern, "");
   const manifest = JSON.parse(rawManifest);
 
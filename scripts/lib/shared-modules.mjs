@@ -0,0 +1,44 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+// work.js must stay a single self-contained script (bookmarklet, audits and the
+// extension build all run it as-is), so modules under shared/ are copied into it
+// between marker comments instead of being imported.
+const regionPattern = /^([ \t]*)\/\* @shared-begin ([\w-]+)[^\n]*\*\/\n[\s\S]*?^[ \t]*\/\* @shared-end \2 \*\/$/gm;
+
+function toInlineSource(moduleSource, indent) {
+  const lines = moduleSource.replace(/\r\n?/g, "\n").split("\n");
+  let start = 0;
+  while (start < lines.length && (lines[start].startsWith("//") || lines[start].trim() === "")) start++;
+
+  return lines
+    .slice(start)
+    .join("\n")
+    .trimEnd()
+    .replace(/^import .*$\n?/gm, "")
+    .replace(/^export /gm, "")
+    .split("\n")
+    .map((line) => (line ? indent + line : line))
+    .join("\n");
+}
+
+export async function syncSharedModules(source, root) {
+  const regions = [...source.matchAll(regionPattern)];
+  const replacements = await Promise.all(
+    regions.map(async ([, indent, name]) => {
+      const modulePath = path.join(root, "shared", `${name}.mjs`);
+      const moduleSource = await readFile(modulePath, "utf8");
+      return [
+        `${indent}/* @shared-begin ${name}: generated from shared/${name}.mjs by \`npm run sync:shared\`, edit the module instead */`,
+        toInlineSource(moduleSource, indent),
+        `${indent}/* @shared-end ${name} */`
+      ].join("\n");
+    })
+  );
+
+  let index = 0;
+  return {
+    names: regions.map(([, , name]) => name),
+    source: source.replace(regionPattern, () => replacements[index++])
+  };
+}
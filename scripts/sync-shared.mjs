@@ -0,0 +1,27 @@
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { syncSharedModules } from "./lib/shared-modules.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const root = path.resolve(__dirname, "..");
+const sourcePath = path.join(root, "work.js");
+
+async function sync() {
+  const source = await readFile(sourcePath, "utf8");
+  const synced = await syncSharedModules(source, root);
+
+  if (synced.source === source) {
+    console.log(`work.js already matches shared/ (${synced.names.join(", ") || "no shared regions"})`);
+    return;
+  }
+
+  await writeFile(sourcePath, synced.source, "utf8");
+  console.log(`Updated shared regions in work.js: ${synced.names.join(", ")}`);
+}
+
+sync().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
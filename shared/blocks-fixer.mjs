@@ -0,0 +1,171 @@
+// Deterministic rewrites for Blocks violations that do not need another model
+// call. Shared by the panel and the managed backend like blocks-validator.mjs,
+// which must be loaded first (work.js inlines both, in order).
+import { childNodes, parseMakeCode } from "./blocks-validator.mjs";
+
+const FIXER_MAX_PASSES = 3;
+
+const FIXABLE_COMPOUND_OPERATORS = new Set(["*=", "/=", "%="]);
+
+const FIX_DESCRIPTIONS = {
+  comment: ["Removed 1 comment", "Removed {n} comments"],
+  const: ["Changed 1 const declaration to let", "Changed {n} const declarations to let"],
+  compound: ["Expanded 1 compound assignment (x *= y to x = x * y)", "Expanded {n} compound assignments (x *= y to x = x * y)"],
+  randint: ["Replaced 1 randint() call with Math.randomRange()", "Replaced {n} randint() calls with Math.randomRange()"],
+  arrow: ["Converted 1 arrow callback to function () {}", "Converted {n} arrow callbacks to function () {}"]
+};
+
+const isSimpleOperand = (node) => ["Identifier", "Literal", "MemberExpression", "CallExpression", "Parenthesized", "ThisExpression"].includes(node.type);
+
+// Expanding x *= y evaluates the target twice, so an index may only read values:
+// no calls, ++/--, assignments or anything else that could run code.
+const PURE_INDEX_TYPES = ["Identifier", "Literal", "ThisExpression", "Parenthesized", "MemberExpression", "BinaryExpression", "UnaryExpression"];
+
+const isPureIndex = (node) => {
+  if (!PURE_INDEX_TYPES.includes(node.type) || node.optional) return false;
+  if (node.type === "UnaryExpression" && node.operator === "delete") return false;
+  return childNodes(node).every(isPureIndex);
+};
+
+const isStableTarget = (node) => {
+  if (node.type === "Identifier") return true;
+  if (node.type !== "MemberExpression" || node.optional) return false;
+  if (node.computed && !isPureIndex(node.computed)) return false;
+  return node.object.type === "ThisExpression" || isStableTarget(node.object);
+};
+
+const containsThis = (node) => {
+  if (!node) return false;
+  if (node.type === "ThisExpression") return true;
+  if (node.type === "FunctionExpression") return false;
+  return childNodes(node).some(containsThis);
+};
+
+const statementLikeBody = (node) => ["CallExpression", "AssignmentExpression", "UpdateExpression"].includes(node.type);
+
+function commentEdits(source, comments) {
+  return comments.map((comment) => {
+    const lineStart = source.lastIndexOf("\n", comment.start - 1) + 1;
+    const newline = source.indexOf("\n", comment.end);
+    const lineEnd = newline === -1 ? source.length : newline;
+    const before = source.slice(lineStart, comment.start);
+    const after = source.slice(comment.end, lineEnd);
+    if (!before.trim() && !after.trim()) {
+      return { kind: "comment", start: lineStart, end: newline === -1 ? lineEnd : lineEnd + 1, text: "" };
+    }
+    const trimmedStart = comment.start - (before.length - before.trimEnd().length);
+    return { kind: "comment", start: after.trim() ? comment.start : trimmedStart, end: comment.end, text: after.trim() ? " " : "" };
+  });
+}
+
+function syntaxEdits(source, program) {
+  const edits = [];
+
+  const visit = (node, context) => {
+    if (!node) return;
+
+    switch (node.type) {
+      case "NamespaceDeclaration":
+        node.body.body.forEach((statement) => visit(statement, { ...context, inNamespace: true }));
+        return;
+      case "VariableDeclaration":
+        if (node.kind === "const" && !context.inNamespace) {
+          edits.push({ kind: "const", start: node.pos, end: node.pos + "const".length, text: "let" });
+        }
+        break;
+      case "AssignmentExpression":
+        if (FIXABLE_COMPOUND_OPERATORS.has(node.operator) && isStableTarget(node.left)) {
+          const left = source.slice(node.left.pos, node.operatorPos).trim();
+          const right = source.slice(node.operatorPos + node.operator.length, node.end).trim();
+          const operand = isSimpleOperand(node.right) ? right : "(" + right + ")";
+          edits.push({ kind: "compound", start: node.pos, end: node.end, text: left + " = " + left + " " + node.operator.slice(0, -1) + " " + operand });
+        }
+        break;
+      case "CallExpression":
+        if (node.callee.type === "Identifier" && node.callee.name === "randint") {
+          edits.push({ kind: "randint", start: node.callee.pos, end: node.callee.pos + "randint".length, text: "Math.randomRange" });
+        }
+        break;
+      case "ArrowFunction":
+        if (context.isCallArgument && !node.async && !containsThis(node.body)) {
+          const head = source.slice(node.paramsStart, node.paramsEnd);
+          const params = source[node.paramsStart] === "(" ? head : "(" + head + ")";
+          if (node.body.type === "BlockStatement") {
+            edits.push({ kind: "arrow", start: node.pos, end: node.body.pos, text: "function " + params + " " });
+          } else if (statementLikeBody(node.body)) {
+            edits.push({ kind: "arrow", start: node.pos, end: node.arrowEnd, text: "function " + params + " {" });
+            edits.push({ kind: "arrow", start: node.end, end: node.end, text: " }", silent: true });
+          }
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (node.type === "CallExpression") {
+      visit(node.callee, { ...context, isCallArgument: false });
+      node.args.forEach((arg) => visit(arg, { ...context, isCallArgument: true }));
+      return;
+    }
+    childNodes(node).forEach((child) => visit(child, { ...context, isCallArgument: false }));
+  };
+
+  visit(program, { inNamespace: false, isCallArgument: false });
+  return edits;
+}
+
+function applyEdits(source, edits) {
+  const accepted = [];
+  edits
+    .slice()
+    .sort((a, b) => (a.start - b.start) || (a.end - b.end))
+    .forEach((edit) => {
+      const overlaps = accepted.some((other) => edit.start < other.end && other.start < edit.end);
+      if (!overlaps) accepted.push(edit);
+    });
+
+  let output = source;
+  accepted
+    .slice()
+    .sort((a, b) => (b.start - a.start) || (b.end - a.end))
+    .forEach((edit) => {
+      output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+    });
+  return { code: output, applied: accepted };
+}
+
+/**
+ * Rewrites Blocks violations that have a safe mechanical fix: comments, const,
+ * arithmetic compound assignments, randint() and arrow callbacks.
+ * Returns { code, changes } where changes are human-readable feedback lines.
+ * Code that does not parse, or is too deeply nested to walk, is returned unchanged.
+ */
+export function fixBlocksViolations(code) {
+  let source = String(code || "").replace(/\r\n?/g, "\n");
+  const counts = {};
+
+  for (let pass = 0; pass < FIXER_MAX_PASSES; pass++) {
+    let edits;
+    try {
+      const parsed = parseMakeCode(source);
+      edits = commentEdits(source, parsed.comments).concat(syntaxEdits(source, parsed.program));
+    } catch {
+      break;
+    }
+    if (!edits.length) break;
+    const result = applyEdits(source, edits);
+    result.applied.forEach((edit) => {
+      if (!edit.silent) counts[edit.kind] = (counts[edit.kind] || 0) + 1;
+    });
+    source = result.code;
+  }
+
+  const changes = Object.keys(FIX_DESCRIPTIONS)
+    .filter((kind) => counts[kind])
+    .map((kind) => {
+      const [one, many] = FIX_DESCRIPTIONS[kind];
+      return "Auto-fix: " + (counts[kind] === 1 ? one : many.replace("{n}", String(counts[kind]))) + ".";
+    });
+
+  return { code: changes.length ? source.trim() : String(code || ""), changes };
+}
@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { fixBlocksViolations } from "./blocks-fixer.mjs";
+
+const fix = (code) => fixBlocksViolations(code).code;
+
+test("compound assignments to plain targets are expanded", () => {
+  assert.equal(fix("x *= 2"), "x = x * 2");
+  assert.equal(fix("this.speed /= 3"), "this.speed = this.speed / 3");
+  assert.equal(fix("grid[row][col + 1] %= 4"), "grid[row][col + 1] = grid[row][col + 1] % 4");
+  assert.equal(fix("list[items.length - 1] *= 2"), "list[items.length - 1] = list[items.length - 1] * 2");
+});
+
+test("compound assignments whose target has side effects are left for the model", () => {
+  [
+    "a[f()] *= 2",
+    "a[i++] *= 2",
+    "a[--i] /= 2",
+    "a[i = 0] %= 2",
+    "a[b[next()]] *= 2",
+    "getSprite().x *= 2",
+    "a?.b *= 2"
+  ].forEach((code) => assert.equal(fix(code), code, code));
+});
@@ -0,0 +1,1461 @@
+// Blocks-compatibility validator shared by the panel and the managed backend.
+// The backend imports this module directly; scripts/build.mjs inlines it into
+// the content script (see scripts/lib/shared-modules.mjs), so keep it free of
+// imports from outside shared/ and of browser- or Node-only APIs.
+import { apiCatalogFor, formatArity, suggestApiNames } from "./makecode-api-catalog.mjs";
+
+const MAKECODE_PUNCTUATORS = [
+  ">>>=", "...", "===", "!==", "**=", "<<=", ">>=", ">>>", "&&=", "||=", "??=",
+  "=>", "==", "!=", "<=", ">=", "&&", "||", "??", "?.", "++", "--", "+=", "-=", "*=", "/=", "%=", "&=", "|=", "^=", "**", "<<", ">>",
+  "{", "}", "(", ")", "[", "]", ";", ",", "<", ">", "+", "-", "*", "/", "%", "&", "|", "^", "!", "~", "?", ":", "=", ".", "@", "#"
+];
+
+const MAKECODE_EXPRESSION_END_KEYWORDS = new Set(["this", "super", "null", "undefined", "true", "false"]);
+
+const MAKECODE_EVENT_REGISTRATION_RE = /^(?:basic\.forever|loops\.forever|input\.on\w*|radio\.on\w*|pins\.on\w*|controller\.\w+\.onEvent|controller\.on\w*|sprites\.on\w*|scene\.on\w*|game\.on\w*|info\.on\w*|control\.inBackground)$/;
+
+const MAKECODE_HIGHER_ORDER_METHODS = new Set(["map", "forEach", "filter", "reduce", "find", "some", "every"]);
+
+const MAKECODE_ALLOWED_ASSIGNMENTS = new Set(["=", "+=", "-="]);
+
+const MAKECODE_BITWISE_OPERATORS = new Set(["|", "&", "^", "<<", ">>", ">>>"]);
+
+const DIAGNOSTIC_SNIPPET_CHARS = 120;
+
+const blocksSyntaxError = (message, pos) => {
+  const error = new Error(message);
+  error.name = "BlocksSyntaxError";
+  error.pos = pos;
+  return error;
+};
+
+const isBlocksSyntaxError = (error) => Boolean(error && error.name === "BlocksSyntaxError");
+
+// Deeper nesting than this is reported as a syntax error rather than recursing until the stack
+// runs out; real MakeCode programs stay far below it.
+const MAX_NESTING_DEPTH = 200;
+const TOO_DEEP_MESSAGE = "Code is nested too deeply";
+
+// Long flat chains (a + a + ... thousands of times) still build deep trees; engines report the
+// overflow as RangeError (V8, JavaScriptCore) or InternalError (Firefox).
+const isStackOverflow = (error) => error instanceof RangeError || Boolean(error && error.name === "InternalError");
+
+/* ── tokenizer ───────────────────────────────────────────── */
+
+const isIdentStart = (ch) => /[A-Za-z_$]/.test(ch);
+const isIdentPart = (ch) => /[A-Za-z0-9_$]/.test(ch);
+
+export function tokenizeMakeCode(source) {
+  const comments = [];
+  const scan = (pos, stopAtBrace) => {
+    const tokens = [];
+    let braceDepth = 0;
+    let newlineBefore = false;
+    const lastSignificant = () => tokens[tokens.length - 1];
+    const regexAllowed = () => {
+      const last = lastSignificant();
+      if (!last) return true;
+      if (last.type === "num" || last.type === "string" || last.type === "template" || last.type === "regex") return false;
+      if (last.type === "name") return !MAKECODE_EXPRESSION_END_KEYWORDS.has(last.value) && /^(?:return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)$/.test(last.value);
+      return !(last.value === ")" || last.value === "]" || last.value === "}" || last.value === "++" || last.value === "--");
+    };
+    const push = (token) => {
+      token.newlineBefore = newlineBefore;
+      newlineBefore = false;
+      tokens.push(token);
+    };
+
+    while (pos < source.length) {
+      const ch = source[pos];
+      const next = source[pos + 1];
+
+      if (ch === "\n") {
+        newlineBefore = true;
+        pos++;
+        continue;
+      }
+      if (/\s/.test(ch)) {
+        pos++;
+        continue;
+      }
+      if (ch === "/" && next === "/") {
+        const end = source.indexOf("\n", pos);
+        const stop = end === -1 ? source.length : end;
+        comments.push({ kind: "line", start: pos, end: stop });
+        pos = stop;
+        continue;
+      }
+      if (ch === "/" && next === "*") {
+        const end = source.indexOf("*/", pos + 2);
+        if (end === -1) throw blocksSyntaxError("Unterminated block comment", pos);
+        comments.push({ kind: "block", start: pos, end: end + 2 });
+        if (source.slice(pos, end).includes("\n")) newlineBefore = true;
+        pos = end + 2;
+        continue;
+      }
+      if (isIdentStart(ch)) {
+        let end = pos + 1;
+        while (end < source.length && isIdentPart(source[end])) end++;
+        push({ type: "name", value: source.slice(pos, end), start: pos, end });
+        pos = end;
+        continue;
+      }
+      if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(next || ""))) {
+        const match = /^(?:0[xX][0-9a-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:[0-9][0-9_]*)?\.?[0-9_]*(?:[eE][+-]?[0-9_]+)?)n?/.exec(source.slice(pos));
+        const end = pos + match[0].length;
+        if (end < source.length && isIdentStart(source[end])) throw blocksSyntaxError("Invalid number literal", pos);
+        push({ type: "num", value: match[0], start: pos, end });
+        pos = end;
+        continue;
+      }
+      if (ch === "\"" || ch === "'") {
+        let end = pos + 1;
+        while (end < source.length && source[end] !== ch) {
+          if (source[end] === "\\") end++;
+          else if (source[end] === "\n") throw blocksSyntaxError("Unterminated string literal", pos);
+          end++;
+        }
+        if (end >= source.length) throw blocksSyntaxError("Unterminated string literal", pos);
+        push({ type: "string", value: source.slice(pos + 1, end), start: pos, end: end + 1 });
+        pos = end + 1;
+        continue;
+      }
+      if (ch === "`") {
+        const token = { type: "template", quasis: [], expressions: [], start: pos, end: pos };
+        let cursor = pos + 1;
+        let chunkStart = cursor;
+        for (;;) {
+          if (cursor >= source.length) throw blocksSyntaxError("Unterminated template literal", pos);
+          const c = source[cursor];
+          if (c === "\\") {
+            cursor += 2;
+            continue;
+          }
+          if (c === "`") {
+            token.quasis.push(source.slice(chunkStart, cursor));
+            cursor++;
+            break;
+          }
+          if (c === "$" && source[cursor + 1] === "{") {
+            token.quasis.push(source.slice(chunkStart, cursor));
+            const inner = scan(cursor + 2, true);
+            token.expressions.push({ tokens: inner.tokens, start: cursor + 2 });
+            cursor = inner.end + 1;
+            chunkStart = cursor;
+            continue;
+          }
+          cursor++;
+        }
+        token.end = cursor;
+        push(token);
+        pos = cursor;
+        continue;
+      }
+      if (ch === "/" && regexAllowed()) {
+        let end = pos + 1;
+        let inClass = false;
+        while (end < source.length) {
+          const c = source[end];
+          if (c === "\n") throw blocksSyntaxError("Unterminated regular expression", pos);
+          if (c === "\\") end++;
+          else if (c === "[") inClass = true;
+          else if (c === "]") inClass = false;
+          else if (c === "/" && !inClass) break;
+          end++;
+        }
+        end++;
+        while (end < source.length && isIdentPart(source[end])) end++;
+        push({ type: "regex", value: source.slice(pos, end), start: pos, end });
+        pos = end;
+        continue;
+      }
+
+      const punct = MAKECODE_PUNCTUATORS.find((candidate) => source.startsWith(candidate, pos));
+      if (!punct) throw blocksSyntaxError("Unexpected character '" + ch + "'", pos);
+      if (punct === "?." && /[0-9]/.test(source[pos + 2] || "")) {
+        push({ type: "punct", value: "?", start: pos, end: pos + 1 });
+        pos++;
+        continue;
+      }
+      if (punct === "{") braceDepth++;
+      if (punct === "}") {
+        if (stopAtBrace && braceDepth === 0) {
+          return { tokens: tokens.concat([{ type: "eof", value: "", start: pos, end: pos, newlineBefore }]), end: pos };
+        }
+        braceDepth--;
+      }
+      push({ type: "punct", value: punct, start: pos, end: pos + punct.length });
+      pos += punct.length;
+    }
+
+    if (stopAtBrace) throw blocksSyntaxError("Unterminated template expression", pos);
+    tokens.push({ type: "eof", value: "", start: pos, end: pos, newlineBefore });
+    return { tokens, end: pos };
+  };
+
+  return { tokens: scan(0, false).tokens, comments };
+}
+
+/* ── parser ──────────────────────────────────────────────── */
+
+const BINARY_PRECEDENCE = {
+  "??": 1,
+  "||": 2,
+  "&&": 3,
+  "|": 4,
+  "^": 5,
+  "&": 6,
+  "==": 7, "!=": 7, "===": 7, "!==": 7,
+  "<": 8, ">": 8, "<=": 8, ">=": 8, instanceof: 8, in: 8,
+  "<<": 9, ">>": 9, ">>>": 9,
+  "+": 10, "-": 10,
+  "*": 11, "/": 11, "%": 11,
+  "**": 12
+};
+
+const ASSIGNMENT_OPERATORS = new Set(["=", "+=", "-=", "*=", "/=", "%=", "**=", "<<=", ">>=", ">>>=", "&=", "|=", "^=", "&&=", "||=", "??="]);
+
+export function parseMakeCode(source) {
+  const { tokens: initialTokens, comments } = tokenizeMakeCode(source);
+  const notes = [];
+  const program = parseTokens(initialTokens, notes);
+  return { program, comments, notes };
+}
+
+function parseTokens(initialTokens, notes) {
+  let tokens = initialTokens;
+  let index = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+  const current = () => tokens[index];
+  const is = (value) => current().type !== "string" && current().type !== "template" && current().value === value;
+  const isName = (value) => current().type === "name" && (value === undefined || current().value === value);
+  const next = () => tokens[index++];
+  const fail = (message, token) => {
+    const at = token || current();
+    throw blocksSyntaxError(message || (at.type === "eof" ? "Unexpected end of code" : "Unexpected token '" + (at.value || at.type) + "'"), at.start);
+  };
+  const eat = (value) => {
+    if (is(value)) {
+      next();
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => {
+    if (!is(value)) fail("Expected '" + value + "' but found " + (current().type === "eof" ? "end of code" : "'" + (current().value || current().type) + "'"));
+    return next();
+  };
+  const expectName = () => {
+    if (current().type !== "name") fail("Expected a name");
+    return next();
+  };
+  const note = (rule, pos) => notes.push({ rule, pos });
+
+  let depth = 0;
+  const nested = (parse) => {
+    if (depth >= MAX_NESTING_DEPTH) fail(TOO_DEEP_MESSAGE);
+    depth += 1;
+    try {
+      return parse();
+    } finally {
+      depth -= 1;
+    }
+  };
+
+  /* speculative parse: restores the token cursor (and any split tokens) on failure */
+  const attempt = (parse) => {
+    const savedTokens = tokens;
+    const savedIndex = index;
+    const savedNotes = notes.length;
+    try {
+      return parse();
+    } catch (error) {
+      if (!isBlocksSyntaxError(error)) throw error;
+      tokens = savedTokens;
+      index = savedIndex;
+      notes.length = savedNotes;
+      return null;
+    }
+  };
+
+  /* closes a type argument list, splitting ">>" style tokens when needed */
+  const expectTypeClose = () => {
+    const token = current();
+    if (token.type !== "punct" || token.value[0] !== ">") fail("Expected '>'");
+    if (token.value === ">") {
+      next();
+      return;
+    }
+    tokens = tokens.slice();
+    tokens.splice(index, 1,
+      { type: "punct", value: ">", start: token.start, end: token.start + 1, newlineBefore: token.newlineBefore },
+      { type: "punct", value: token.value.slice(1), start: token.start + 1, end: token.end, newlineBefore: false });
+    next();
+  };
+
+  const consumeSemicolon = () => {
+    if (eat(";")) return;
+    if (is("}") || current().type === "eof" || current().newlineBefore) return;
+    fail();
+  };
+
+  const skipBalanced = (open, close) => {
+    expect(open);
+    let depth = 1;
+    while (depth > 0) {
+      if (current().type === "eof") fail("Unexpected end of code");
+      const token = next();
+      if (token.type !== "punct") continue;
+      if (token.value === open) depth++;
+      else if (token.value === close) depth--;
+    }
+  };
+
+  /* ── types (skipped, only generics are recorded) ── */
+  const parseTypeArguments = () => {
+    const start = expect("<").start;
+    if (!is(">")) {
+      parseType();
+      while (eat(",")) parseType();
+    }
+    expectTypeClose();
+    note("generics syntax", start);
+  };
+
+  const parsePrimaryType = () => {
+    if (is("(")) {
+      skipBalanced("(", ")");
+      if (eat("=>")) parseType();
+    } else if (is("{")) {
+      skipBalanced("{", "}");
+    } else if (is("[")) {
+      skipBalanced("[", "]");
+    } else if (isName("typeof") || isName("keyof")) {
+      next();
+      parsePrimaryType();
+      return;
+    } else if (isName("new")) {
+      next();
+      skipBalanced("(", ")");
+      expect("=>");
+      parseType();
+      return;
+    } else if (current().type === "string" || current().type === "num" || current().type === "template") {
+      next();
+    } else if (is("-") && peek(1).type === "num") {
+      next();
+      next();
+    } else if (current().type === "name") {
+      next();
+      while (is(".") && peek(1).type === "name") {
+        next();
+        next();
+      }
+      if (is("<")) parseTypeArguments();
+    } else {
+      fail("Expected a type");
+    }
+    while (is("[") && peek(1).value === "]") {
+      next();
+      next();
+    }
+  };
+
+  const parseType = () => nested(() => {
+    if (is("|") || is("&")) next();
+    parsePrimaryType();
+    while (is("|") || is("&")) {
+      next();
+      parsePrimaryType();
+    }
+  });
+
+  const parseTypeAnnotation = () => {
+    if (!eat(":")) return false;
+    parseType();
+    return true;
+  };
+
+  const parseTypeParameters = () => {
+    if (!is("<")) return false;
+    const start = next().start;
+    do {
+      expectName();
+      if (isName("extends")) {
+        next();
+        parseType();
+      }
+      if (eat("=")) parseType();
+    } while (eat(","));
+    expectTypeClose();
+    note("generics syntax", start);
+    return true;
+  };
+
+  /* ── expressions ── */
+  const parseArguments = () => {
+    expect("(");
+    const args = [];
+    while (!is(")")) {
+      if (is("...")) {
+        const start = next().start;
+        args.push({ type: "SpreadElement", pos: start, argument: parseAssignment() });
+      } else {
+        args.push(parseAssignment());
+      }
+      if (!eat(",")) break;
+    }
+    expect(")");
+    return args;
+  };
+
+  const parseParams = () => {
+    expect("(");
+    const params = [];
+    while (!is(")")) {
+      const pos = current().start;
+      const rest = eat("...");
+      let target;
+      if (is("[") || is("{")) target = parseBindingPattern();
+      else target = { type: "Identifier", pos, name: expectName().value };
+      const optional = eat("?");
+      parseTypeAnnotation();
+      const init = eat("=") ? parseAssignment() : null;
+      params.push({ type: "Param", pos, target, optional, rest, init });
+      if (!eat(",")) break;
+    }
+    expect(")");
+    return params;
+  };
+
+  const parseFunctionBody = () => parseBlock();
+
+  const lastEnd = () => tokens[index - 1].end;
+
+  const parseArrowFrom = (pos, params, isAsync, paramsStart, paramsEnd) => {
+    const arrowEnd = expect("=>").end;
+    const body = is("{") ? parseFunctionBody() : parseAssignment();
+    return { type: "ArrowFunction", pos, params, body, async: isAsync, paramsStart, paramsEnd, arrowEnd, end: lastEnd() };
+  };
+
+  const tryArrow = () => {
+    const pos = current().start;
+    let isAsync = false;
+    if (isName("async") && !peek(1).newlineBefore && (peek(1).type === "name" || peek(1).value === "(")) {
+      next();
+      isAsync = true;
+    }
+    if (current().type === "name" && peek(1).value === "=>") {
+      const name = next();
+      return parseArrowFrom(pos, [{ type: "Param", pos: name.start, target: { type: "Identifier", pos: name.start, name: name.value }, optional: false, rest: false, init: null }], isAsync, name.start, name.end);
+    }
+    if (is("<")) parseTypeParameters();
+    if (!is("(")) fail();
+    const paramsStart = current().start;
+    const params = parseParams();
+    const paramsEnd = lastEnd();
+    parseTypeAnnotation();
+    if (!is("=>") || current().newlineBefore) fail();
+    return parseArrowFrom(pos, params, isAsync, paramsStart, paramsEnd);
+  };
+
+  const looksLikeArrow = () => {
+    const token = current();
+    if (token.type === "name" && peek(1).value === "=>") return true;
+    if (token.type === "name" && token.value === "async" && (peek(1).type === "name" || peek(1).value === "(")) return true;
+    return token.value === "(" || token.value === "<";
+  };
+
+  const parseTemplate = (tag) => {
+    const token = next();
+    const expressions = token.expressions.map((part) => {
+      const inner = parseTokens(part.tokens, notes);
+      if (inner.body.length !== 1 || inner.body[0].type !== "ExpressionStatement") {
+        throw blocksSyntaxError("Invalid template expression", part.start);
+      }
+      return inner.body[0].expression;
+    });
+    return { type: "TemplateLiteral", pos: tag ? tag.pos : token.start, tag, quasis: token.quasis, expressions };
+  };
+
+  const parseObjectLiteral = () => {
+    const pos = expect("{").start;
+    const properties = [];
+    while (!is("}")) {
+      const propPos = current().start;
+      if (is("...")) {
+        next();
+        properties.push({ type: "SpreadElement", pos: propPos, argument: parseAssignment() });
+      } else {
+        let computed = null;
+        let key = "";
+        if ((isName("get") || isName("set") || isName("async")) && peek(1).value !== ":" && peek(1).value !== "(" && peek(1).value !== "," && peek(1).value !== "}") next();
+        if (eat("*")) {
+          /* generator method */
+        }
+        if (is("[")) {
+          next();
+          computed = parseAssignment();
+          expect("]");
+        } else if (current().type === "name" || current().type === "string" || current().type === "num") {
+          key = next().value;
+        } else {
+          fail();
+        }
+        let value = null;
+        let shorthand = false;
+        if (eat(":")) {
+          value = parseAssignment();
+        } else if (is("(") || is("<")) {
+          parseTypeParameters();
+          const params = parseParams();
+          parseTypeAnnotation();
+          value = { type: "FunctionExpression", pos: propPos, params, body: parseFunctionBody(), name: key };
+        } else {
+          shorthand = true;
+          if (eat("=")) value = parseAssignment();
+        }
+        properties.push({ type: "Property", pos: propPos, key, computed, value, shorthand });
+      }
+      if (!eat(",")) break;
+    }
+    expect("}");
+    return { type: "ObjectLiteral", pos, properties };
+  };
+
+  const parseArrayLiteral = () => {
+    const pos = expect("[").start;
+    const elements = [];
+    while (!is("]")) {
+      if (is(",")) {
+        next();
+        elements.push(null);
+        continue;
+      }
+      if (is("...")) {
+        const start = next().start;
+        elements.push({ type: "SpreadElement", pos: start, argument: parseAssignment() });
+      } else {
+        elements.push(parseAssignment());
+      }
+      if (!eat(",")) break;
+    }
+    expect("]");
+    return { type: "ArrayLiteral", pos, elements };
+  };
+
+  const parseBindingPattern = () => {
+    const node = is("[") ? parseArrayLiteral() : parseObjectLiteral();
+    return { type: "Pattern", pos: node.pos, source: node };
+  };
+
+  const parseFunctionExpression = (isAsync, pos) => {
+    expect("function");
+    const generator = eat("*");
+    const name = current().type === "name" && !is("(") ? next().value : "";
+    parseTypeParameters();
+    const params = parseParams();
+    parseTypeAnnotation();
+    return { type: "FunctionExpression", pos, name, params, body: parseFunctionBody(), async: isAsync, generator };
+  };
+
+  const parsePrimary = () => {
+    const token = current();
+    if (token.type === "num") {
+      next();
+      return { type: "Literal", pos: token.start, kind: "number", value: token.value };
+    }
+    if (token.type === "string") {
+      next();
+      return { type: "Literal", pos: token.start, kind: "string", value: token.value };
+    }
+    if (token.type === "regex") {
+      next();
+      return { type: "Literal", pos: token.start, kind: "regex", value: token.value };
+    }
+    if (token.type === "template") return parseTemplate(null);
+    if (token.value === "(") {
+      next();
+      const expression = parseExpression();
+      expect(")");
+      return { type: "Parenthesized", pos: token.start, expression };
+    }
+    if (token.value === "[") return parseArrayLiteral();
+    if (token.value === "{") return parseObjectLiteral();
+    if (token.value === "<" ) {
+      const start = next().start;
+      parseType();
+      expectTypeClose();
+      return { type: "TypeAssertion", pos: start, expression: parseUnary() };
+    }
+    if (token.type !== "name") fail();
+
+    if (token.value === "function") return parseFunctionExpression(false, token.start);
+    if (token.value === "async" && peek(1).value === "function" && !peek(1).newlineBefore) {
+      next();
+      return parseFunctionExpression(true, token.start);
+    }
+    if (token.value === "class") return parseClass(true);
+    if (token.value === "new") {
+      next();
+      if (eat(".")) {
+        expectName();
+        return { type: "MetaProperty", pos: token.start };
+      }
+      const callee = parseMemberOnly(parsePrimary());
+      if (is("<")) {
+        const typed = attempt(() => {
+          parseTypeArguments();
+          if (!is("(")) fail();
+          return true;
+        });
+        if (!typed && !is("(")) return { type: "NewExpression", pos: token.start, callee, args: [] };
+      }
+      const args = is("(") ? parseArguments() : [];
+      return { type: "NewExpression", pos: token.start, callee, args };
+    }
+    next();
+    if (token.value === "this") return { type: "ThisExpression", pos: token.start };
+    if (token.value === "super") return { type: "Super", pos: token.start };
+    if (token.value === "null") return { type: "Literal", pos: token.start, kind: "null", value: "null" };
+    if (token.value === "true" || token.value === "false") return { type: "Literal", pos: token.start, kind: "boolean", value: token.value };
+    return { type: "Identifier", pos: token.start, name: token.value };
+  };
+
+  const parseMemberOnly = (object) => {
+    let node = object;
+    for (;;) {
+      if (is(".")) {
+        next();
+        const property = current().type === "name" ? next() : fail("Expected a property name");
+        node = { type: "MemberExpression", pos: node.pos, object: node, property: property.value, propertyPos: property.start, computed: null, optional: false };
+      } else if (is("[")) {
+        next();
+        const computed = parseExpression();
+        expect("]");
+        node = { type: "MemberExpression", pos: node.pos, object: node, property: "", computed, optional: false };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseCallTail = (start) => {
+    let node = start;
+    for (;;) {
+      const token = current();
+      if (token.value === "." && token.type === "punct") {
+        next();
+        const property = current().type === "name" ? next() : fail("Expected a property name");
+        node = { type: "MemberExpression", pos: node.pos, object: node, property: property.value, propertyPos: property.start, computed: null, optional: false };
+      } else if (token.value === "?." && token.type === "punct") {
+        next();
+        if (is("(")) {
+          node = { type: "CallExpression", pos: node.pos, callee: node, args: parseArguments(), optional: true };
+        } else if (is("[")) {
+          next();
+          const computed = parseExpression();
+          expect("]");
+          node = { type: "MemberExpression", pos: node.pos, object: node, property: "", computed, optional: true };
+        } else {
+          const property = expectName();
+          node = { type: "MemberExpression", pos: node.pos, object: node, property: property.value, propertyPos: property.start, computed: null, optional: true };
+        }
+      } else if (token.value === "[" && token.type === "punct") {
+        next();
+        const computed = parseExpression();
+        expect("]");
+        node = { type: "MemberExpression", pos: node.pos, object: node, property: "", computed, optional: false };
+      } else if (token.value === "(" && token.type === "punct") {
+        node = { type: "CallExpression", pos: node.pos, callee: node, args: parseArguments(), optional: false };
+      } else if (token.type === "template") {
+        node = parseTemplate(node);
+      } else if (token.value === "!" && token.type === "punct" && !token.newlineBefore && !(peek(1).value === "=" || peek(1).value === "==")) {
+        next();
+        node = { type: "NonNullExpression", pos: node.pos, expression: node };
+      } else if (token.value === "<" && token.type === "punct") {
+        const typed = attempt(() => {
+          parseTypeArguments();
+          if (!is("(")) fail();
+          return true;
+        });
+        if (!typed) return node;
+        node = { type: "CallExpression", pos: node.pos, callee: node, args: parseArguments(), optional: false };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parsePostfix = () => {
+    const node = parseCallTail(parsePrimary());
+    if ((is("++") || is("--")) && !current().newlineBefore) {
+      const operator = next().value;
+      return { type: "UpdateExpression", pos: node.pos, operator, prefix: false, argument: node };
+    }
+    return node;
+  };
+
+  const parseUnary = () => nested(parseUnaryNode);
+
+  const parseUnaryNode = () => {
+    const token = current();
+    if (token.type === "punct" && (token.value === "++" || token.value === "--")) {
+      next();
+      return { type: "UpdateExpression", pos: token.start, operator: token.value, prefix: true, argument: parseUnary() };
+    }
+    if (token.type === "punct" && ["!", "-", "+", "~"].includes(token.value)) {
+      next();
+      return { type: "UnaryExpression", pos: token.start, operator: token.value, argument: parseUnary() };
+    }
+    if (token.type === "name" && ["typeof", "void", "delete"].includes(token.value)) {
+      next();
+      return { type: "UnaryExpression", pos: token.start, operator: token.value, argument: parseUnary() };
+    }
+    if (token.type === "name" && token.value === "await" && peek(1).type !== "punct") {
+      next();
+      return { type: "AwaitExpression", pos: token.start, argument: parseUnary() };
+    }
+    if (token.type === "name" && token.value === "await" && peek(1).value === "(") {
+      next();
+      return { type: "AwaitExpression", pos: token.start, argument: parseUnary() };
+    }
+    return parsePostfix();
+  };
+
+  const parseBinary = (minPrecedence, noIn) => {
+    let left = parseUnary();
+    for (;;) {
+      const token = current();
+      if (token.type === "name" && token.value === "as" && !token.newlineBefore) {
+        next();
+        if (isName("const")) next();
+        else parseType();
+        left = { type: "AsExpression", pos: token.start, expression: left };
+        continue;
+      }
+      const operator = token.type === "punct" || (token.type === "name" && (token.value === "instanceof" || (token.value === "in" && !noIn)))
+        ? token.value
+        : "";
+      const precedence = BINARY_PRECEDENCE[operator];
+      if (!precedence || precedence < minPrecedence) return left;
+      next();
+      const right = operator === "**" ? parseBinary(precedence, noIn) : parseBinary(precedence + 1, noIn);
+      left = { type: "BinaryExpression", pos: left.pos, operatorPos: token.start, operator, left, right };
+    }
+  };
+
+  const parseConditional = (noIn) => {
+    const test = parseBinary(1, noIn);
+    if (!is("?")) return test;
+    const pos = next().start;
+    const consequent = parseAssignment();
+    expect(":");
+    const alternate = parseAssignment(noIn);
+    return { type: "ConditionalExpression", pos, test, consequent, alternate };
+  };
+
+  const parseAssignment = (noIn) => {
+    if (isName("yield")) {
+      const pos = next().start;
+      eat("*");
+      const argument = (is(")") || is("]") || is("}") || is(",") || is(";") || current().newlineBefore || current().type === "eof") ? null : parseAssignment(noIn);
+      return { type: "YieldExpression", pos, argument };
+    }
+    if (looksLikeArrow()) {
+      const arrow = attempt(tryArrow);
+      if (arrow) return arrow;
+    }
+    const left = parseConditional(noIn);
+    const token = current();
+    if (token.type === "punct" && ASSIGNMENT_OPERATORS.has(token.value)) {
+      next();
+      const right = parseAssignment(noIn);
+      return { type: "AssignmentExpression", pos: left.pos, operatorPos: token.start, operator: token.value, left, right, end: lastEnd() };
+    }
+    return left;
+  };
+
+  const parseExpression = (noIn) => {
+    const first = parseAssignment(noIn);
+    if (!is(",")) return first;
+    const expressions = [first];
+    while (eat(",")) expressions.push(parseAssignment(noIn));
+    return { type: "SequenceExpression", pos: first.pos, expressions };
+  };
+
+  /* ── statements ── */
+  const parseBlock = () => {
+    const pos = expect("{").start;
+    const body = [];
+    while (!is("}")) {
+      if (current().type === "eof") fail("Expected '}' but found end of code");
+      body.push(parseStatement());
+    }
+    expect("}");
+    return { type: "BlockStatement", pos, body, end: lastEnd() };
+  };
+
+  const parseVariableDeclaration = (noIn) => {
+    const kindToken = next();
+    const declarations = [];
+    do {
+      const pos = current().start;
+      const target = (is("[") || is("{"))
+        ? parseBindingPattern()
+        : { type: "Identifier", pos, name: expectName().value };
+      eat("!");
+      const typed = parseTypeAnnotation();
+      const init = eat("=") ? parseAssignment(noIn) : null;
+      declarations.push({ type: "VariableDeclarator", pos, target, typed, init });
+    } while (eat(","));
+    return { type: "VariableDeclaration", pos: kindToken.start, kind: kindToken.value, declarations };
+  };
+
+  const parseFunctionDeclaration = (pos, isAsync) => {
+    expect("function");
+    const generator = eat("*");
+    const name = expectName().value;
+    parseTypeParameters();
+    const params = parseParams();
+    parseTypeAnnotation();
+    if (!is("{")) {
+      consumeSemicolon();
+      return { type: "FunctionDeclaration", pos, name, params, body: null, async: isAsync, generator };
+    }
+    return { type: "FunctionDeclaration", pos, name, params, body: parseFunctionBody(), async: isAsync, generator };
+  };
+
+  function parseClass(asExpression) {
+    const pos = current().start;
+    expect("class");
+    if (current().type === "name" && !isName("extends") && !isName("implements")) next();
+    parseTypeParameters();
+    if (isName("extends")) {
+      next();
+      parseCallTail(parsePrimary());
+    }
+    if (isName("implements")) {
+      next();
+      parseType();
+      while (eat(",")) parseType();
+    }
+    skipBalanced("{", "}");
+    return { type: asExpression ? "ClassExpression" : "ClassDeclaration", pos };
+  }
+
+  const parseForStatement = (pos) => {
+    expect("(");
+    let init = null;
+    if (is(";")) {
+      init = null;
+    } else if ((isName("let") || isName("const") || isName("var")) && (peek(1).type === "name" || peek(1).value === "[" || peek(1).value === "{")) {
+      init = parseVariableDeclaration(true);
+    } else {
+      init = parseExpression(true);
+    }
+    if (init && (isName("of") || isName("in"))) {
+      const kind = next().value;
+      const right = kind === "of" ? parseAssignment() : parseExpression();
+      expect(")");
+      return { type: kind === "of" ? "ForOfStatement" : "ForInStatement", pos, left: init, right, body: parseStatement() };
+    }
+    expect(";");
+    const test = is(";") ? null : parseExpression();
+    expect(";");
+    const update = is(")") ? null : parseExpression();
+    expect(")");
+    return { type: "ForStatement", pos, init, test, update, body: parseStatement() };
+  };
+
+  const skipDeclarationHead = () => {
+    while (!is("{") && current().type !== "eof") next();
+  };
+
+  function parseStatement() {
+    return nested(parseStatementNode);
+  }
+
+  function parseStatementNode() {
+    const token = current();
+    const pos = token.start;
+
+    if (token.type === "punct") {
+      if (token.value === "{") return parseBlock();
+      if (token.value === ";") {
+        next();
+        return { type: "EmptyStatement", pos };
+      }
+      if (token.value === "@") fail("Decorators are not supported");
+    }
+
+    if (token.type === "name") {
+      const word = token.value;
+      const following = peek(1);
+      const declarationFollows = following.type === "name" || following.value === "[" || following.value === "{";
+
+      if ((word === "let" || word === "var") && declarationFollows) {
+        const node = parseVariableDeclaration(false);
+        consumeSemicolon();
+        return node;
+      }
+      if (word === "const" && following.type === "name" && following.value === "enum") {
+        next();
+        return parseStatement();
+      }
+      if (word === "const" && declarationFollows) {
+        const node = parseVariableDeclaration(false);
+        consumeSemicolon();
+        return node;
+      }
+      if (word === "function") return parseFunctionDeclaration(pos, false);
+      if (word === "async" && following.value === "function" && !following.newlineBefore) {
+        next();
+        return parseFunctionDeclaration(pos, true);
+      }
+      if (word === "if") {
+        next();
+        expect("(");
+        const test = parseExpression();
+        expect(")");
+        const consequent = parseStatement();
+        const alternate = isName("else") ? (next(), parseStatement()) : null;
+        return { type: "IfStatement", pos, test, consequent, alternate };
+      }
+      if (word === "while") {
+        next();
+        expect("(");
+        const test = parseExpression();
+        expect(")");
+        return { type: "WhileStatement", pos, test, body: parseStatement() };
+      }
+      if (word === "do") {
+        next();
+        const body = parseStatement();
+        if (!isName("while")) fail("Expected 'while'");
+        next();
+        expect("(");
+        const test = parseExpression();
+        expect(")");
+        eat(";");
+        return { type: "DoWhileStatement", pos, test, body };
+      }
+      if (word === "for") {
+        next();
+        if (isName("await")) next();
+        return parseForStatement(pos);
+      }
+      if (word === "return") {
+        next();
+        const argument = (is(";") || is("}") || current().type === "eof" || current().newlineBefore) ? null : parseExpression();
+        consumeSemicolon();
+        return { type: "ReturnStatement", pos, argument };
+      }
+      if ((word === "break" || word === "continue") && !(following.value === "=" || following.value === "." || following.value === "(")) {
+        next();
+        if (current().type === "name" && !current().newlineBefore) next();
+        consumeSemicolon();
+        return { type: word === "break" ? "BreakStatement" : "ContinueStatement", pos };
+      }
+      if (word === "throw") {
+        next();
+        const argument = parseExpression();
+        consumeSemicolon();
+        return { type: "ThrowStatement", pos, argument };
+      }
+      if (word === "try") {
+        next();
+        const block = parseBlock();
+        let handler = null;
+        let finalizer = null;
+        if (isName("catch")) {
+          next();
+          if (eat("(")) {
+            if (is("[") || is("{")) parseBindingPattern();
+            else expectName();
+            parseTypeAnnotation();
+            expect(")");
+          }
+          handler = parseBlock();
+        }
+        if (isName("finally")) {
+          next();
+          finalizer = parseBlock();
+        }
+        if (!handler && !finalizer) fail("Expected 'catch' or 'finally'");
+        return { type: "TryStatement", pos, block, handler, finalizer };
+      }
+      if (word === "switch") {
+        next();
+        expect("(");
+        const discriminant = parseExpression();
+        expect(")");
+        expect("{");
+        const cases = [];
+        while (!is("}")) {
+          const casePos = current().start;
+          let test = null;
+          if (isName("case")) {
+            next();
+            test = parseExpression();
+          } else if (isName("default")) {
+            next();
+          } else {
+            fail();
+          }
+          expect(":");
+          const consequent = [];
+          while (!is("}") && !isName("case") && !isName("default")) {
+            if (current().type === "eof") fail("Expected '}' but found end of code");
+            consequent.push(parseStatement());
+          }
+          cases.push({ type: "SwitchCase", pos: casePos, test, consequent });
+        }
+        expect("}");
+        return { type: "SwitchStatement", pos, discriminant, cases };
+      }
+      if (word === "debugger") {
+        next();
+        consumeSemicolon();
+        return { type: "EmptyStatement", pos };
+      }
+      if (word === "import" && following.value !== "(" && following.value !== ".") {
+        next();
+        while (!is(";") && current().type !== "eof" && !(current().newlineBefore && index > 0 && tokens[index - 1].type === "string")) next();
+        eat(";");
+        return { type: "ImportDeclaration", pos };
+      }
+      if (word === "export") {
+        next();
+        if (isName("default")) next();
+        if (is("*") || is("{")) {
+          while (!is(";") && current().type !== "eof" && !(current().newlineBefore && tokens[index - 1].type === "string")) next();
+          eat(";");
+          return { type: "ExportDeclaration", pos, declaration: null };
+        }
+        return { type: "ExportDeclaration", pos, declaration: parseStatement() };
+      }
+      if ((word === "declare" || word === "abstract") && following.type === "name" && !following.newlineBefore) {
+        next();
+        return parseStatement();
+      }
+      if (word === "class" && following.type === "name") return parseClass(false);
+      if (word === "interface" && following.type === "name" && !following.newlineBefore) {
+        next();
+        skipDeclarationHead();
+        skipBalanced("{", "}");
+        return { type: "InterfaceDeclaration", pos };
+      }
+      if (word === "type" && following.type === "name" && !following.newlineBefore) {
+        next();
+        next();
+        parseTypeParameters();
+        expect("=");
+        parseType();
+        consumeSemicolon();
+        return { type: "TypeAliasDeclaration", pos };
+      }
+      if (word === "enum" && following.type === "name" && !following.newlineBefore) {
+        next();
+        next();
+        skipBalanced("{", "}");
+        return { type: "EnumDeclaration", pos };
+      }
+      if ((word === "namespace" || word === "module") && (following.type === "name" || following.type === "string") && !following.newlineBefore) {
+        next();
+        next();
+        while (eat(".")) expectName();
+        return { type: "NamespaceDeclaration", pos, body: parseBlock() };
+      }
+      if (following.value === ":" && following.type === "punct" && !["case", "default"].includes(word)) {
+        next();
+        next();
+        return { type: "LabeledStatement", pos, body: parseStatement() };
+      }
+    }
+
+    const expression = parseExpression();
+    consumeSemicolon();
+    return { type: "ExpressionStatement", pos, expression };
+  }
+
+  const body = [];
+  while (current().type !== "eof") body.push(parseStatement());
+  return { type: "Program", pos: 0, body };
+}
+
+/* ── checks ──────────────────────────────────────────────── */
+
+function memberPath(node) {
+  if (!node) return "";
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "MemberExpression" && !node.computed) {
+    const objectPath = memberPath(node.object);
+    return objectPath ? objectPath + "." + node.property : "";
+  }
+  return "";
+}
+
+export function childNodes(node) {
+  const children = [];
+  for (const key of Object.keys(node)) {
+    if (key === "pos" || key === "type") continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (item && typeof item === "object" && typeof item.type === "string") children.push(item);
+      }
+    } else if (value && typeof value === "object" && typeof value.type === "string") {
+      children.push(value);
+    }
+  }
+  return children;
+}
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+function collectViolations(program, target, report) {
+  const crossTarget = [];
+  const isMicrobitLike = target === "microbit" || target === "maker";
+  const catalog = apiCatalogFor(target);
+
+  const checkCatalogMember = (node, root) => {
+    if (node.computed || !root) return;
+    const members = hasOwn(catalog.namespaces, root) ? catalog.namespaces[root] : null;
+    if (members && !hasOwn(members, node.property)) {
+      const names = Object.keys(members);
+      const suggestions = suggestApiNames(node.property, names).map((name) => root + "." + name);
+      report(
+        "unknown API " + root + "." + node.property,
+        node.propertyPos,
+        root + "." + node.property + " is not a " + catalog.name + " API",
+        (suggestions.length ? "did you mean " + suggestions.join(" or ") + "? " : "") + root + " has: " + names.join(", ")
+      );
+    }
+    const enumMembers = hasOwn(catalog.enums, root) ? catalog.enums[root] : null;
+    if (enumMembers && !enumMembers.has(node.property)) {
+      const names = [...enumMembers];
+      const suggestions = suggestApiNames(node.property, names).map((name) => root + "." + name);
+      report(
+        "unknown enum member " + root + "." + node.property,
+        node.propertyPos,
+        root + "." + node.property + " is not a " + catalog.name + " " + root + " value",
+        (suggestions.length ? "did you mean " + suggestions.join(" or ") + "? " : "") + root + " values: " + names.join(", ")
+      );
+    }
+  };
+
+  const checkCatalogArity = (node) => {
+    const callee = node.callee;
+    if (callee.type !== "MemberExpression" || callee.computed || callee.object.type !== "Identifier") return;
+    const root = callee.object.name;
+    const members = hasOwn(catalog.namespaces, root) ? catalog.namespaces[root] : null;
+    const range = members && hasOwn(members, callee.property) ? members[callee.property] : null;
+    if (!range || node.args.some((arg) => arg.type === "SpreadElement")) return;
+    if (node.args.length < range.min || node.args.length > range.max) {
+      const name = root + "." + callee.property;
+      report(
+        "wrong argument count for " + name,
+        node.pos,
+        name + " takes " + formatArity(range) + " but got " + node.args.length,
+        "call " + name + " with " + formatArity(range)
+      );
+    }
+  };
+
+  const checkForStatement = (node) => {
+    const init = node.init;
+    const declarator = init && init.type === "VariableDeclaration" && init.kind === "let" && init.declarations.length === 1
+      ? init.declarations[0]
+      : null;
+    const indexVar = declarator && declarator.target.type === "Identifier" && declarator.init
+      && declarator.init.type === "Literal" && declarator.init.kind === "number" && Number(declarator.init.value) === 0
+      ? declarator.target.name
+      : "";
+    if (!indexVar) {
+      report("for-loop initializer must be let i = 0", init ? init.pos : node.pos);
+      return;
+    }
+    const test = node.test;
+    if (!test || test.type !== "BinaryExpression" || (test.operator !== "<" && test.operator !== "<=")
+      || test.left.type !== "Identifier" || test.left.name !== indexVar) {
+      report("for-loop condition must be i < limit or i <= limit", test ? test.pos : node.pos);
+    }
+    const update = node.update;
+    if (!update || update.type !== "UpdateExpression" || update.operator !== "++"
+      || update.argument.type !== "Identifier" || update.argument.name !== indexVar) {
+      report("for-loop increment must be i++", update ? update.pos : node.pos);
+    }
+  };
+
+  const visit = (node, context) => {
+    if (!node) return;
+
+    switch (node.type) {
+      case "Program":
+        node.body.forEach((statement) => visit(statement, { topLevel: true, inCallback: false, inForHead: false }));
+        return;
+      case "ExpressionStatement": {
+        const expression = node.expression;
+        if (expression.type === "CallExpression" && MAKECODE_EVENT_REGISTRATION_RE.test(memberPath(expression.callee)) && !context.topLevel) {
+          report("nested event registration", node.pos);
+        }
+        break;
+      }
+      case "FunctionDeclaration":
+        if (!context.topLevel) report("non-top-level function declaration", node.pos);
+        if (node.params.some((param) => param.optional || param.init)) {
+          report("optional/default parameters in function declaration", node.pos);
+        }
+        if (node.async) report("promises/async", node.pos);
+        if (node.generator) report("generators", node.pos);
+        node.params.forEach((param) => visit(param, { topLevel: false, inCallback: false, inForHead: false }));
+        if (node.body) node.body.body.forEach((statement) => visit(statement, { topLevel: false, inCallback: false, inForHead: false }));
+        return;
+      case "FunctionExpression":
+      case "ArrowFunction":
+        if (node.type === "ArrowFunction") report("arrow functions", node.pos);
+        if (node.async) report("promises/async", node.pos);
+        if (node.generator) report("generators", node.pos);
+        node.params.forEach((param) => visit(param, { topLevel: false, inCallback: true, inForHead: false }));
+        if (node.body.type === "BlockStatement") {
+          node.body.body.forEach((statement) => visit(statement, { topLevel: false, inCallback: true, inForHead: false }));
+        } else {
+          visit(node.body, { topLevel: false, inCallback: true, inForHead: false });
+        }
+        return;
+      case "Param":
+        if (node.rest) report("spread/rest syntax", node.pos);
+        break;
+      case "ReturnStatement":
+        if (node.argument && context.inCallback) report("return value inside callback", node.pos);
+        break;
+      case "VariableDeclaration":
+        if (node.kind !== "let") report("const/var declarations", node.pos);
+        node.declarations.forEach((declarator) => {
+          if (!declarator.init && !context.inForHead) report("variable declaration without initializer", declarator.pos);
+          if (declarator.target.type === "Pattern") report("destructuring", declarator.pos);
+          visit(declarator.target, { ...context, inForHead: false });
+          visit(declarator.init, { ...context, topLevel: false, inForHead: false });
+        });
+        return;
+      case "Pattern":
+        return;
+      case "ForStatement":
+        checkForStatement(node);
+        visit(node.init, { ...context, topLevel: false, inForHead: false });
+        visit(node.test, { ...context, topLevel: false });
+        visit(node.update, { ...context, topLevel: false });
+        visit(node.body, { ...context, topLevel: false });
+        return;
+      case "ForInStatement":
+      case "ForOfStatement":
+        if (node.type === "ForInStatement") report("for...in loops", node.pos);
+        visit(node.left, { ...context, topLevel: false, inForHead: true });
+        visit(node.right, { ...context, topLevel: false });
+        visit(node.body, { ...context, topLevel: false });
+        return;
+      case "ClassDeclaration":
+      case "ClassExpression":
+        report("classes", node.pos);
+        return;
+      case "InterfaceDeclaration":
+      case "TypeAliasDeclaration":
+      case "EnumDeclaration":
+        report("TS types/enums", node.pos);
+        return;
+      case "NamespaceDeclaration":
+        report("namespaces/modules", node.pos);
+        node.body.body.forEach((statement) => visit(statement, { ...context, topLevel: false }));
+        return;
+      case "ImportDeclaration":
+        report("import/export", node.pos);
+        return;
+      case "ExportDeclaration":
+        report("import/export", node.pos);
+        visit(node.declaration, context);
+        return;
+      case "NewExpression":
+        report("new constructor", node.pos);
+        break;
+      case "AwaitExpression":
+        report("promises/async", node.pos);
+        break;
+      case "YieldExpression":
+        report("generators", node.pos);
+        break;
+      case "TemplateLiteral":
+        if (node.expressions.length) report("template string interpolation", node.pos);
+        break;
+      case "CallExpression": {
+        const callee = node.callee;
+        const path = memberPath(callee);
+        checkCatalogArity(node);
+        if (callee.type === "MemberExpression" && !callee.computed && MAKECODE_HIGHER_ORDER_METHODS.has(callee.property)) {
+          report("higher-order array methods", callee.propertyPos);
+        }
+        if (path === "setTimeout" || path === "setInterval") report("timers", node.pos);
+        if (path === "randint") report("randint()", node.pos);
+        if (path === "eval") report("eval", node.pos);
+        if (node.optional) report("optional chaining", node.pos);
+        break;
+      }
+      case "MemberExpression": {
+        if (node.optional) report("optional chaining", node.pos);
+        const root = node.object.type === "Identifier" ? node.object.name : "";
+        if (root === "console") report("console calls", node.pos);
+        if (isMicrobitLike && (/^(?:sprites|controller|scene)$/i.test(root) || (/^game$/i.test(root) && /^onUpdate/i.test(node.property)))) {
+          crossTarget.push({ rule: "Arcade APIs in micro:bit/Maker", pos: node.pos });
+        }
+        if (target === "arcade" && /^(?:led|radio)$/i.test(root)) {
+          crossTarget.push({ rule: "micro:bit APIs in Arcade", pos: node.pos });
+        }
+        checkCatalogMember(node, root);
+        break;
+      }
+      case "Identifier":
+        if (node.name === "undefined") report("undefined", node.pos);
+        if (node.name === "Promise") report("promises/async", node.pos);
+        break;
+      case "Literal":
+        if (node.kind === "null") report("null", node.pos);
+        break;
+      case "AsExpression":
+      case "TypeAssertion":
+        report("casts", node.pos);
+        break;
+      case "UnaryExpression":
+        if (node.operator === "~") report("bitwise operators", node.pos);
+        break;
+      case "BinaryExpression":
+        if (MAKECODE_BITWISE_OPERATORS.has(node.operator)) report("bitwise operators", node.operatorPos);
+        if (node.operator === "??") report("nullish coalescing", node.operatorPos);
+        break;
+      case "AssignmentExpression":
+        if (!MAKECODE_ALLOWED_ASSIGNMENTS.has(node.operator)) report("unsupported assignment operators", node.operatorPos);
+        break;
+      case "ConditionalExpression":
+        report("ternary operator", node.pos);
+        break;
+      case "SpreadElement":
+        report("spread/rest syntax", node.pos);
+        break;
+      default:
+        break;
+    }
+
+    const childContext = { ...context, topLevel: false };
+    childNodes(node).forEach((child) => visit(child, childContext));
+  };
+
+  visit(program, { topLevel: true, inCallback: false, inForHead: false });
+  return crossTarget;
+}
+
+function lineStartsFor(code) {
+  const starts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === "\n") starts.push(i + 1);
+  }
+  return starts;
+}
+
+function locateOffset(lineStarts, pos) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= pos) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, column: pos - lineStarts[low] + 1 };
+}
+
+/**
+ * Checks that MakeCode Static TypeScript will decompile to Blocks.
+ * Returns { ok, violations, diagnostics }: violations are unique rule names in
+ * first-seen order (used in retry prompts), diagnostics hold every occurrence
+ * with its 1-based line and column plus the trimmed source line as snippet.
+ * Calls into catalogued MakeCode namespaces are checked for unknown members,
+ * enum values and argument counts; those diagnostics also carry a retry hint.
+ */
+export function validateBlocksCompatibility(code, target) {
+  const source = String(code || "").replace(/\r\n?/g, "\n");
+  const lineStarts = lineStartsFor(source);
+  const lines = source.split("\n");
+  const diagnostics = [];
+  const diagnosticAt = (rule, pos, message, hint) => {
+    const location = locateOffset(lineStarts, Math.max(0, Math.min(pos || 0, source.length)));
+    const snippet = lines[location.line - 1].trim();
+    return {
+      rule,
+      message: message || rule,
+      line: location.line,
+      column: location.column,
+      snippet: snippet.length > DIAGNOSTIC_SNIPPET_CHARS ? snippet.slice(0, DIAGNOSTIC_SNIPPET_CHARS - 3) + "..." : snippet,
+      ...(hint ? { hint } : {})
+    };
+  };
+  const report = (rule, pos, message, hint) => {
+    diagnostics.push(diagnosticAt(rule, pos, message, hint));
+  };
+  const finish = (items) => {
+    const violations = [...new Set(items.map((item) => item.rule))];
+    return { ok: violations.length === 0, violations, diagnostics: items };
+  };
+
+  let parsed;
+  let crossTarget;
+  try {
+    parsed = parseMakeCode(source);
+    crossTarget = collectViolations(parsed.program, target, report);
+  } catch (error) {
+    const syntaxError = isStackOverflow(error) ? blocksSyntaxError(TOO_DEEP_MESSAGE, 0) : error;
+    if (!isBlocksSyntaxError(syntaxError)) throw error;
+    diagnostics.length = 0;
+    report("syntax error", syntaxError.pos, "Syntax error: " + syntaxError.message);
+    return finish(diagnostics);
+  }
+
+  if (crossTarget.length) {
+    return finish(crossTarget.map((entry) => diagnosticAt(entry.rule, entry.pos)));
+  }
+
+  parsed.notes.forEach((entry) => report(entry.rule, entry.pos));
+  parsed.comments.forEach((comment) => report(comment.kind === "line" ? "line comments" : "block comments", comment.start));
+
+  lines.forEach((line, lineIndex) => {
+    const column = line.search(/[^\x09\x20-\x7E]/);
+    if (column !== -1) report("non-ASCII characters", lineStarts[lineIndex] + column);
+  });
+
+  diagnostics.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+  return finish(diagnostics);
+}
+
+/**
+ * Formats a validation result for retry prompts and logs, for example
+ * "arrow functions (line 4), null (lines 8, 9)". Catalog hints are appended in
+ * brackets so the model learns which API it should have used.
+ */
+export function describeViolations(validation) {
+  const diagnostics = (validation && validation.diagnostics) || [];
+  return ((validation && validation.violations) || []).map((rule) => {
+    const matches = diagnostics.filter((item) => item.rule === rule);
+    const lines = [...new Set(matches.map((item) => item.line))];
+    const hint = matches.length && matches[0].hint ? " [" + matches[0].hint + "]" : "";
+    if (!lines.length) return rule + hint;
+    const shown = lines.slice(0, 5).join(", ") + (lines.length > 5 ? ", ..." : "");
+    return rule + " (" + (lines.length === 1 ? "line " : "lines ") + shown + ")" + hint;
+  }).join(", ");
+}
+
+/**
+ * The rule without the API name in it ("unknown API basic.showRainbow" -> "unknown API"),
+ * so callers that count violations, such as the backend's metrics, get a fixed set of values.
+ */
+export function violationCategory(rule) {
+  const match = String(rule || "").match(/^(unknown API|unknown enum member|wrong argument count) /);
+  return match ? match[1] : String(rule || "");
+}
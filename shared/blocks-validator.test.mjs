@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { validateBlocksCompatibility, violationCategory } from "./blocks-validator.mjs";
+
+const validate = (code, target = "microbit") => validateBlocksCompatibility(code, target);
+const categories = (code, target) => validate(code, target).violations.map(violationCategory);
+
+test("=> inside a string is not an arrow function", () => {
+  assert.equal(validate('basic.showString("a => b")').ok, true);
+});
+
+test("comparisons are not read as generics", () => {
+  const code = [
+    "let a = 1",
+    "let b = 2",
+    "let c = 3",
+    "let d = 0",
+    "if (a < b && c > d) {",
+    "    basic.showNumber(1)",
+    "}"
+  ].join("\n");
+  assert.equal(validate(code).ok, true);
+});
+
+test("braces inside strings and img literals do not affect nesting", () => {
+  const strings = [
+    'basic.showString("{ { {")',
+    "basic.forever(function () {",
+    '    basic.showString("}")',
+    "})"
+  ].join("\n");
+  const image = [
+    "let picture = img`",
+    "    . # . { .",
+    "    } # . # .",
+    "`",
+    "scene.setBackgroundImage(picture)"
+  ].join("\n");
+  assert.equal(validate(strings).ok, true);
+  assert.equal(validate(image, "arcade").ok, true);
+});
+
+test("violations report their line and column", () => {
+  const arrow = validate("basic.forever(function () {\n    let f = (x: number) => x\n})");
+  assert.deepEqual(arrow.violations, ["arrow functions"]);
+  assert.equal(arrow.diagnostics[0].line, 2);
+  assert.equal(arrow.diagnostics[0].column, 13);
+
+  const generics = validate("let x = 1\nlet list: Array<number> = []");
+  assert.deepEqual(generics.violations, ["generics syntax"]);
+  assert.equal(generics.diagnostics[0].line, 2);
+  assert.equal(generics.diagnostics[0].column, 16);
+});
+
+test("very deep nesting is a syntax error, not a stack overflow", () => {
+  const depth = 1500;
+  [
+    "let x = " + "(".repeat(depth) + "1" + ")".repeat(depth),
+    "if (a) {\n".repeat(depth) + "x = 1" + "}".repeat(depth),
+    "let x = " + "[".repeat(depth) + "]".repeat(depth),
+    "let x = 1" + " + 1".repeat(depth * 20)
+  ].forEach((code) => assert.deepEqual(validate(code).violations, ["syntax error"]));
+});
+
+test("invented calls in catalog namespaces are rejected", () => {
+  ["sprites.explode()", "game.explode()", "music.playRainbow()", "controller.shake()", "effects.sparkle.startScreenEffect()"].forEach((code) => {
+    assert.deepEqual(categories(code, "arcade"), ["unknown API"], code);
+  });
+  ["pins.explode()", "music.playRainbow()"].forEach((code) => {
+    assert.deepEqual(categories(code), ["unknown API"], code);
+  });
+});
+
+test("real members the editor emits are accepted", () => {
+  [
+    "let mySprite = sprites.create(img`\n    . .\n`, SpriteKind.Player)\nsprites.destroy(mySprite, effects.fire, 500)",
+    "music.play(music.melodyPlayable(music.baDing), music.PlaybackMode.UntilDone)",
+    "game.showLongText(\"hi\", DialogLayout.Bottom)"
+  ].forEach((code) => assert.equal(validate(code, "arcade").ok, true, code));
+  assert.equal(validate("music._playDefaultBackground(music.builtInPlayableMelody(Melodies.Dadadadum), music.PlaybackMode.InBackground)").ok, true);
+});
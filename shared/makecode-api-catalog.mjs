@@ -0,0 +1,151 @@
+// Per-target catalog of the MakeCode APIs Vibbit lets the model use, covering
+// the namespaces listed in TARGET_CONFIGS (server) and sysFor (work.js).
+// blocks-validator.mjs checks generated calls against it, so keep it free of
+// imports; work.js inlines it ahead of the validator.
+//
+// Namespace entries are space-separated members: "name:min-max" for functions
+// (argument count range), "name:n" for an exact count and a bare "name" for a
+// property or sub-object such as controller.A. Namespaces that are not listed
+// (tiles, animation, loops on micro:bit, ...) are not checked. Every member of a
+// listed namespace must be here, including helpers the editor's blocks emit
+// such as music._playDefaultBackground, or valid code is rejected.
+
+const SHARED_NAMESPACES = {
+  Math: "randomRange:2 random:0 randomBoolean:0 percentChance:1 abs:1 max:2 min:2 round:1 floor:1 ceil:1 trunc:1 sqrt:1 pow:2 sign:1 idiv:2 imul:2 constrain:3 map:5 sin:1 cos:1 tan:1 asin:1 acos:1 atan:1 atan2:2 exp:1 log:1 roundWithPrecision:2 PI E LN2 LN10 LOG2E LOG10E SQRT1_2 SQRT2"
+};
+
+const MICROBIT_PINS = "digitalReadPin:1 digitalWritePin:2 analogReadPin:1 analogWritePin:2 analogSetPeriod:2 servoWritePin:2 servoSetContinuous:2 servoSetPulse:2 map:5 onPulsed:3 pulseDuration:0 pulseIn:2-3 setPull:2 setEvents:2 analogSetPitchPin:1 analogPitch:2 analogSetPitchVolume:1 analogPitchVolume:0 i2cReadNumber:2-3 i2cWriteNumber:3-4 i2cReadBuffer:2-3 i2cWriteBuffer:2-3 spiWrite:1 spiFrequency:1 spiFormat:2 spiPins:3 spiTransfer:2 pushButton:1 touchSetMode:2 setAudioPin:1 setAudioPinEnabled:1 createBuffer:1 createBufferFromArray:1 sizeOf:1";
+
+const MICROBIT_MUSIC = "playTone:2 ringTone:1 rest:1 beat:0-1 tempo:0 setTempo:1 changeTempoBy:1 noteFrequency:1 startMelody:1-2 beginMelody:1-2 playMelody:2 stopMelody:1 stopAllSounds:0 setVolume:1 volume:0 onEvent:2 setBuiltInSpeakerEnabled:1 builtInMelody:1 builtInPlayableMelody:1 builtinPlayableSoundEffect:1 play:2-3 stringPlayable:2 tonePlayable:2 createSoundEffect:6-9 playSoundEffect:1-2 setSilenceLevel:1 isSoundPlaying:0 createSong:1 PlaybackMode _playDefaultBackground:2";
+
+const MICROBIT_ENUMS = {
+  Button: "A B AB",
+  Gesture: "Shake LogoUp LogoDown ScreenUp ScreenDown TiltLeft TiltRight FreeFall ThreeG SixG EightG",
+  TouchPin: "P0 P1 P2",
+  Dimension: "X Y Z Strength",
+  Rotation: "Pitch Roll",
+  IconNames: "Heart SmallHeart Yes No Happy Sad Confused Angry Asleep Surprised Silly Fabulous Meh TShirt Rollerskate Duck House Tortoise Butterfly StickFigure Ghost Sword Giraffe Skull Umbrella Snake Rabbit Cow QuarterNote EigthNote EighthNote Pitchfork Target Triangle LeftTriangle Chessboard Diamond SmallDiamond Square SmallSquare Scissors",
+  ArrowNames: "North NorthEast East SouthEast South SouthWest West NorthWest",
+  BeatFraction: "Whole Half Quarter Eighth Sixteenth Double Breve",
+  PulseValue: "High Low",
+  Direction: "Right Left",
+  MelodyOptions: "Once Forever OnceInBackground ForeverInBackground",
+  Melodies: "Dadadadum Entertainer Prelude Ode Nyan Ringtone Funk Blues Birthday Wedding Funeral Punchline Baddy Chase BaDing Wawawawaa JumpUp JumpDown PowerUp PowerDown",
+  DigitalPin: "P0 P1 P2 P3 P4 P5 P6 P7 P8 P9 P10 P11 P12 P13 P14 P15 P16 P19 P20",
+  AnalogPin: "P0 P1 P2 P3 P4 P10"
+};
+
+const MAKECODE_API_CATALOG = {
+  microbit: {
+    name: "micro:bit",
+    namespaces: {
+      ...SHARED_NAMESPACES,
+      basic: "showNumber:1-2 showString:1-2 showIcon:1-2 showLeds:1-2 showArrow:1-2 showAnimation:1-2 plotLeds:1 clearScreen:0 forever:1 pause:1 setLedColor:1 turnRgbLedOff:0",
+      input: "onButtonPressed:2 onButtonEvent:3 onGesture:2 onPinPressed:2 onPinReleased:2 onPinTouchEvent:3 onLogoEvent:2 onSound:2 setSoundThreshold:2 buttonIsPressed:1 pinIsPressed:1 logoIsPressed:0 isGesture:1 temperature:0 lightLevel:0 soundLevel:0 acceleration:1 compassHeading:0 rotation:1 magneticForce:1 runningTime:0 runningTimeMicros:0 calibrateCompass:0 setAccelerometerRange:1",
+      music: MICROBIT_MUSIC,
+      led: "plot:2 unplot:2 toggle:2 point:2 brightness:0 setBrightness:1 plotBarGraph:2-3 enable:1 plotBrightness:3 pointBrightness:2 stopAnimation:0 setDisplayMode:1 displayMode:0 toggleAll:0 plotAll:0 fadeIn:0-1 fadeOut:0-1 screenshot:0",
+      radio: "sendNumber:1 sendString:1 sendValue:2 sendBuffer:1 onReceivedNumber:1 onReceivedString:1 onReceivedValue:1 onReceivedBuffer:1 setGroup:1 setTransmitPower:1 setTransmitSerialNumber:1 setFrequencyBand:1 receivedPacket:1 raiseEvent:2 writeReceivedPacketToSerial:0 on:0 off:0",
+      pins: MICROBIT_PINS,
+      game: "createSprite:2 addScore:1 score:0 setScore:1 setLife:1 addLife:1 removeLife:1 life:0 gameOver:0 isGameOver:0 isRunning:0 isPaused:0 pause:0 resume:0 startCountdown:1 currentTime:0",
+      images: "createImage:1 createBigImage:1 arrowImage:1 iconImage:1 arrowNumber:1",
+      serial: "writeLine:1 writeNumber:1 writeValue:2 writeString:1 writeNumbers:1 writeBuffer:1 readLine:0 readString:0 readUntil:1 readBuffer:1 onDataReceived:2 redirect:3 redirectToUSB:0 setBaudRate:1 setRxBufferSize:1 setTxBufferSize:1 setWriteLinePadding:1",
+      control: "inBackground:1 reset:0 waitMicros:1 millis:0 micros:0 deviceName:0 deviceSerialNumber:0 deviceLongSerialNumber:0 onEvent:3-4 raiseEvent:2-3 eventTimestamp:0 eventValue:0 eventSourceId:1 eventValueId:1 waitForEvent:2 panic:1 assert:1-2 runInParallel:1 hardwareVersion:0"
+    },
+    enums: MICROBIT_ENUMS
+  },
+  arcade: {
+    name: "Arcade",
+    namespaces: {
+      ...SHARED_NAMESPACES,
+      sprites: "create:1-2 destroy:1-3 createProjectileFromSprite:4 createProjectileFromSide:3 createProjectile:3-5 onCreated:2 onDestroyed:2 onOverlap:3 allOfKind:1 destroyAllSpritesOfKind:1-3 setDataNumber:3 readDataNumber:2 changeDataNumberBy:3 setDataString:3 readDataString:2 setDataBoolean:3 readDataBoolean:2 setDataSprite:3 readDataSprite:2 setDataImage:3 readDataImage:2 builtin castle dungeon duck food projectile space swamp vehicle",
+      controller: "moveSprite:1-3 dx:0-1 dy:0-1 onEvent:2 configureRepeatEventDefaults:2 pauseUntilAnyButtonIsPressed:0 vibrate:1 A B up down left right menu anyButton player1 player2 player3 player4",
+      scene: "setBackgroundColor:1 setBackgroundImage:1 backgroundColor:0 backgroundImage:0 cameraFollowSprite:1 centerCameraAt:2 cameraShake:0-2 cameraProperty:1 setTileMapLevel:1 setTileMap:1-2 setTile:2-3 setTileAt:2 setWallAt:2 getTile:2 getTileLocation:2 getTilesByType:1 placeOnRandomTile:2 tileAtLocationEquals:2 tileAtLocationIsWall:1 onHitWall:2 onHitTile:3 onOverlapTile:3 createRenderable:2-3 screenWidth:0 screenHeight:0",
+      game: "onUpdate:1 onUpdateInterval:2 onPaint:1 onShade:1 splash:1-2 showDialog:2-3 over:0-2 reset:0 showLongText:2 ask:1-2 askForNumber:1-2 askForString:1-2 runtime:0 setGameOverEffect:2 setGameOverMessage:2 setGameOverPlayable:3 setGameOverScoringType:1 gameOverPlayerWin:1 setDialogFrame:1 setDialogCursor:1 setDialogTextColor:1 pushScene:0 popScene:0 currentScene:0 addScenePushHandler:1 addScenePopHandler:1 eventContext:0 consoleOverlay stats debug",
+      info: "score:0 setScore:1 changeScoreBy:1 life:0 setLife:1 changeLifeBy:1 hasLife:0 startCountdown:1 stopCountdown:0 changeCountdownBy:1 countdown:0 onCountdownEnd:1 onLifeZero:1 onScore:2 highScore:0 saveHighScore:0 showScore:1 showLife:1 showCountdown:1 setBorderColor:1 setFontColor:1 setBackgroundColor:1 setLifeImage:1 player1 player2 player3 player4",
+      music: "playTone:2 ringTone:1 rest:1 setTempo:1 changeTempoBy:1 tempo:0 beat:0-1 noteFrequency:1 playMelody:2 setVolume:1 volume:0 stopAllSounds:0 playSound:1 playSoundUntilDone:1 play:2 melodyPlayable:1 stringPlayable:2 tonePlayable:2 PlaybackMode _playDefaultBackground:2 createSong:1 playSoundEffect:1-2 createSoundEffect:6-9 baDing wawawawaa powerUp powerDown jumpUp jumpDown magicWand siren pewPew knock footstep thump smallCrash bigCrash zapped buzzer sonar spooky",
+      effects: "spray fire warmRadial coolRadial halo fountain confetti hearts smiles rings ashes trail bubbles blizzard starField disintegrate dissolve melt splatter slash clearParticles:1"
+    },
+    enums: {
+      ControllerButtonEvent: "Pressed Released Repeated",
+      CollisionDirection: "Left Top Right Bottom"
+    }
+  },
+  maker: {
+    name: "Maker",
+    namespaces: {
+      ...SHARED_NAMESPACES,
+      pins: MICROBIT_PINS,
+      loops: "forever:1 pause:1 everyInterval:2",
+      music: MICROBIT_MUSIC
+    },
+    enums: {
+      BeatFraction: MICROBIT_ENUMS.BeatFraction,
+      PulseValue: MICROBIT_ENUMS.PulseValue,
+      DigitalPin: MICROBIT_ENUMS.DigitalPin,
+      AnalogPin: MICROBIT_ENUMS.AnalogPin
+    }
+  }
+};
+
+const parsedApiCatalogs = {};
+
+const parseApiMembers = (spec) => {
+  const members = {};
+  spec.split(/\s+/).filter(Boolean).forEach((entry) => {
+    const [name, arity] = entry.split(":");
+    if (arity === undefined) {
+      members[name] = null;
+      return;
+    }
+    const [min, max] = arity.split("-").map(Number);
+    members[name] = { min, max: max === undefined ? min : max };
+  });
+  return members;
+};
+
+/* returns { name, namespaces: { ns: { member: { min, max } | null } }, enums: { Enum: Set } } */
+export function apiCatalogFor(target) {
+  const key = MAKECODE_API_CATALOG[target] ? target : "microbit";
+  if (!parsedApiCatalogs[key]) {
+    const source = MAKECODE_API_CATALOG[key];
+    const namespaces = {};
+    const enums = {};
+    Object.keys(source.namespaces).forEach((ns) => {
+      namespaces[ns] = parseApiMembers(source.namespaces[ns]);
+    });
+    Object.keys(source.enums).forEach((name) => {
+      enums[name] = new Set(source.enums[name].split(/\s+/).filter(Boolean));
+    });
+    parsedApiCatalogs[key] = { name: source.name, namespaces, enums };
+  }
+  return parsedApiCatalogs[key];
+}
+
+const editDistance = (a, b) => {
+  const left = a.toLowerCase();
+  const right = b.toLowerCase();
+  let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= left.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= right.length; j++) {
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1));
+    }
+    previous = row;
+  }
+  return previous[right.length];
+};
+
+/* closest known names first, so retry hints lead with the likely intended member */
+export function suggestApiNames(name, candidates, limit = 3) {
+  return candidates
+    .map((candidate) => ({ candidate, distance: editDistance(name, candidate) }))
+    .filter((entry) => entry.distance <= Math.max(2, Math.floor(name.length / 2)))
+    .sort((a, b) => (a.distance - b.distance) || a.candidate.localeCompare(b.candidate))
+    .slice(0, limit)
+    .map((entry) => entry.candidate);
+}
+
+export function formatArity(range) {
+  if (range.min === range.max) return range.min + (range.min === 1 ? " argument" : " arguments");
+  return range.min + "-" + range.max + " arguments";
+}
@@ -0,0 +1,120 @@
+// Safeguarding check for what a student typed, run before anything is sent to
+// a model. Shared by the panel (BYOK) and the managed backend. The policy is
+// plain data so the backend can extend it from a JSON file.
+
+const MODERATION_ACTION_RANK = { allow: 0, flag: 1, block: 2 };
+
+// Order matters: when several categories block, the first one's message is shown.
+export const DEFAULT_MODERATION_POLICY = {
+  "self-harm": {
+    action: "block",
+    message: "It sounds like things might be hard right now. Vibbit can't help with that, but please talk to a teacher, a parent or another adult you trust. You are not alone.",
+    patterns: [
+      // Not when an object follows: "cut myself a slice of cake" is about cake.
+      "\\b(kill|hurt|harm|cut)(ing)? my ?self\\b(?! +(a|an|the|some|another|one|my|\\d+)\\b)",
+      "\\bsuicid(e|al)\\b",
+      "\\bself[- ]?harm",
+      "\\bi (really |just )?want to die\\b",
+      "\\bend(ing)? my (own )?life\\b",
+      "\\bkys\\b",
+      "\\bkill your ?self\\b"
+    ]
+  },
+  pii: {
+    action: "block",
+    message: "Please leave out personal details like phone numbers, email addresses, home addresses or ID numbers, then try again.",
+    patterns: [
+      "[\\w.+-]+@[\\w-]+\\.[\\w.-]+",
+      // Bare digit runs are too common in programs (tones, pauses, scores), so phone numbers
+      // need a leading + or 0, or a word like "phone" or "call me" just before them.
+      "\\+\\d[\\d -]{7,}\\d",
+      "\\b0\\d([ -]?\\d){6,}\\b",
+      "\\b(phone|mobile|cell|hp|call me|text me|whatsapp)\\b\\D{0,20}\\d([ -]?\\d){7,}\\b",
+      "\\b[STFGM]\\d{7}[A-Z]\\b",
+      "\\bmy (home )?address is\\b",
+      "\\bmy (phone|mobile|cell)( number)? is\\b",
+      "\\bmy password is\\b",
+      // "drive" and "close" are also verbs in game prompts ("make 3 cars drive across"), so
+      // addresses ending in them only count after "I live at" and the like.
+      "\\b\\d{1,5} \\w+ (street|st|road|rd|avenue|ave|lane|ln|crescent)\\b",
+      "\\b(i|we) (live|stay)( at| on)? (no\\.? ?)?\\d{1,5}[a-z]? \\w+( \\w+)? (drive|dr|close|way|place|court)\\b"
+    ]
+  },
+  abuse: {
+    action: "block",
+    message: "Let's keep things kind. Try asking again without that language.",
+    patterns: [
+      "\\bf+u+c+k+",
+      "\\bsh[i1]t+(ty|head)?\\b",
+      "\\bb[i1]tch(es)?\\b",
+      "\\bbastards?\\b",
+      "\\bc+u+n+t+s?\\b",
+      "\\bdick ?heads?\\b",
+      "\\bretard(ed|s)?\\b",
+      "\\bwh[o0]res?\\b",
+      "\\bslut"
+    ]
+  }
+};
+
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// overrides: { categories: { name: { action, message, patterns } }, blocklist: ["word", ...] }.
+// Category patterns are added to the defaults; blocklist words are blocked as "abuse".
+// Returns categories with compiled regexes, or throws on an invalid pattern.
+export function buildModerationPolicy(overrides) {
+  const extra = (overrides && overrides.categories) || {};
+  const names = Object.keys(DEFAULT_MODERATION_POLICY).concat(Object.keys(extra).filter((name) => !DEFAULT_MODERATION_POLICY[name]));
+  const blocklist = ((overrides && overrides.blocklist) || [])
+    .map((word) => String(word).trim())
+    .filter(Boolean)
+    .map((word) => "\\b" + escapeRegExp(word) + "\\b");
+
+  return names.map((name) => {
+    const base = DEFAULT_MODERATION_POLICY[name] || { action: "block", message: "Vibbit can't help with that request. Try asking for something else.", patterns: [] };
+    const custom = extra[name] || {};
+    const patterns = base.patterns.concat(custom.patterns || [], name === "abuse" ? blocklist : []);
+    const action = custom.action || base.action;
+    if (MODERATION_ACTION_RANK[action] === undefined) throw new Error("Unknown moderation action '" + action + "' for " + name);
+    return {
+      name,
+      action,
+      message: custom.message || base.message,
+      patterns: patterns.map((pattern) => new RegExp(pattern, "i"))
+    };
+  });
+}
+
+// Maps an OpenAI moderation result ({ categories: { "self-harm": true, ... } }) to policy category names.
+export function openAIModerationCategories(result) {
+  const flags = (result && result.categories) || {};
+  const names = [];
+  Object.keys(flags).forEach((key) => {
+    if (!flags[key]) return;
+    let name = "";
+    if (key.indexOf("self-harm") === 0) name = "self-harm";
+    else if (key.indexOf("harassment") === 0 || key.indexOf("hate") === 0 || key.indexOf("sexual") === 0) name = "abuse";
+    if (name && names.indexOf(name) === -1) names.push(name);
+  });
+  return names;
+}
+
+// Checks text against the compiled policy plus any categories already flagged by a provider.
+// Returns { action: "allow" | "flag" | "block", categories, message }.
+export function moderatePrompt(text, policy, providerCategories) {
+  const hits = policy.filter((category) => (
+    (providerCategories || []).indexOf(category.name) !== -1
+    || category.patterns.some((pattern) => pattern.test(String(text || "")))
+  ));
+
+  let action = "allow";
+  hits.forEach((category) => {
+    if (MODERATION_ACTION_RANK[category.action] > MODERATION_ACTION_RANK[action]) action = category.action;
+  });
+  const blocking = hits.filter((category) => category.action === "block");
+  return {
+    action,
+    categories: hits.map((category) => category.name),
+    message: blocking.length ? blocking[0].message : ""
+  };
+}
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildModerationPolicy, moderatePrompt } from "./moderation.mjs";
+
+const policy = buildModerationPolicy();
+const check = (text) => moderatePrompt(text, policy);
+
+test("numbers in ordinary coding prompts are not treated as phone numbers", () => {
+  [
+    "play a random tone between 1000-2000 Hz",
+    "play a tone at 2000 Hz for 1000 ms",
+    "pause 1000 2000 then show",
+    "set score to 12345678",
+    "show the year 2024 2025",
+    "count from 0 to 10000000"
+  ].forEach((text) => assert.equal(check(text).action, "allow", text));
+});
+
+test("phone numbers with a leading + or 0 or a phone word are blocked", () => {
+  [
+    "text +65 9123 4567 when the button is pressed",
+    "show 0412 345 678 on the screen",
+    "call me on 9123 4567",
+    "make it scroll my phone 91234567"
+  ].forEach((text) => assert.deepEqual(check(text).categories, ["pii"], text));
+});
+
+test("self-harm phrases are blocked unless they have an object", () => {
+  assert.deepEqual(check("i want to hurt myself").categories, ["self-harm"]);
+  assert.deepEqual(check("sometimes I cut myself.").categories, ["self-harm"]);
+  assert.equal(check("make a game where I cut myself a slice of cake").action, "allow");
+  assert.equal(check("a character who can heal and not hurt himself").action, "allow");
+});
+
+test("counting things that drive or stay close is not an address", () => {
+  [
+    "make 3 cars drive across the screen",
+    "spawn 5 enemies close to the player",
+    "when 4 sprites close together, play a sound",
+    "make 2 balls drive around"
+  ].forEach((text) => assert.equal(check(text).action, "allow", text));
+});
+
+test("home addresses are blocked", () => {
+  [
+    "show 12 Baker Street on the screen",
+    "scroll 221 Orchard Road",
+    "I live at 7 Maple Drive, make a map",
+    "we live on 15 Hill Close"
+  ].forEach((text) => assert.deepEqual(check(text).categories, ["pii"], text));
+});
@@ -0,0 +1,96 @@
+// Retry layer for provider HTTP calls, shared by the panel (BYOK) and the managed
+// backend. Rate limits, overloads and network drops are retried with exponential
+// backoff and jitter, honouring Retry-After, until the wait budget runs out; any
+// other non-OK response is returned at once for the caller to report.
+
+export const DEFAULT_RETRY_POLICY = { maxRetries: 3, budgetMs: 15000, baseDelayMs: 1000, maxDelayMs: 8000 };
+
+// 529 is Anthropic's "overloaded"; 501 and other 5xx codes that mean "never" are not retried.
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504, 529];
+
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.indexOf(Number(status)) !== -1;
+}
+
+// Reads retry-after-ms (OpenAI) or Retry-After (seconds or an HTTP date). Returns ms, or null when absent.
+export function retryAfterMs(headers, now) {
+  if (!headers || typeof headers.get !== "function") return null;
+  const exact = Number(headers.get("retry-after-ms"));
+  if (headers.get("retry-after-ms") && exact >= 0) return exact;
+  const value = headers.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - (now === undefined ? Date.now() : now));
+}
+
+// Exponential backoff with "equal jitter": between half and all of base * 2^retry, capped.
+export function backoffDelayMs(retry, policy, random) {
+  const settings = Object.assign({}, DEFAULT_RETRY_POLICY, policy || {});
+  const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * Math.pow(2, retry));
+  return Math.round(ceiling / 2 + (random || Math.random)() * (ceiling / 2));
+}
+
+function retryAbortError() {
+  const error = new Error("Request aborted");
+  error.name = "AbortError";
+  return error;
+}
+
+function waitBeforeRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(retryAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(retryAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// fetch() with retries. onWait({ retry, delayMs, status, reason }) is called before each wait;
+// status is 0 when the host could not be reached. Resolves with the last response (OK or not)
+// and rejects with the last network error when every try failed to connect.
+export async function fetchWithRetry(url, init, options) {
+  const request = init || {};
+  const settings = Object.assign({}, DEFAULT_RETRY_POLICY, (options && options.policy) || {});
+  const onWait = (options && options.onWait) || (() => {});
+  let waitedMs = 0;
+
+  for (let retry = 0; ; retry += 1) {
+    let response = null;
+    let failure = null;
+    try {
+      response = await fetch(url, request);
+    } catch (error) {
+      if ((error && error.name === "AbortError") || (request.signal && request.signal.aborted)) throw error;
+      failure = error;
+    }
+    if (response && (response.ok || !isRetryableStatus(response.status))) return response;
+
+    const hinted = response ? retryAfterMs(response.headers) : null;
+    const delayMs = hinted === null ? backoffDelayMs(retry, settings) : hinted;
+    if (retry >= settings.maxRetries || waitedMs + delayMs > settings.budgetMs) {
+      if (failure) throw failure;
+      return response;
+    }
+
+    if (response && response.body) response.body.cancel().catch(() => {});
+    waitedMs += delayMs;
+    onWait({
+      retry: retry + 1,
+      delayMs,
+      status: response ? response.status : 0,
+      reason: response ? "HTTP " + response.status : (failure && failure.message) || "network error"
+    });
+    await waitBeforeRetry(delayMs, request.signal);
+  }
+}
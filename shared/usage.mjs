@@ -0,0 +1,88 @@
+// Token usage and estimated cost of provider calls, shared by the panel (BYOK)
+// and the managed backend. Prices are US dollars per million tokens and are
+// estimates: check the provider's pricing page and override them as needed.
+
+export const DEFAULT_PRICE_TABLE = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-5-nano": { input: 0.05, output: 0.4 },
+  "gpt-5-mini": { input: 0.25, output: 2 },
+  "gpt-5": { input: 1.25, output: 10 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "claude-haiku-4-5": { input: 1, output: 5 },
+  "claude-sonnet-4-5": { input: 3, output: 15 },
+  "claude-opus-4-1": { input: 15, output: 75 }
+};
+
+// Reads usage (OpenAI, OpenRouter and compatible servers), usage with input_tokens (Anthropic)
+// or usageMetadata (Gemini). Returns { inputTokens, outputTokens, model } or null when absent.
+export function extractUsage(data) {
+  if (!data) return null;
+  const model = typeof data.model === "string" ? data.model : (typeof data.modelVersion === "string" ? data.modelVersion : "");
+  const usage = data.usage;
+  if (usage && (usage.prompt_tokens !== undefined || usage.completion_tokens !== undefined)) {
+    return { inputTokens: Number(usage.prompt_tokens) || 0, outputTokens: Number(usage.completion_tokens) || 0, model };
+  }
+  if (usage && (usage.input_tokens !== undefined || usage.output_tokens !== undefined)) {
+    return { inputTokens: Number(usage.input_tokens) || 0, outputTokens: Number(usage.output_tokens) || 0, model };
+  }
+  const meta = data.usageMetadata;
+  if (meta) {
+    // Gemini bills thinking tokens as output.
+    const output = (Number(meta.candidatesTokenCount) || 0) + (Number(meta.thoughtsTokenCount) || 0);
+    return { inputTokens: Number(meta.promptTokenCount) || 0, outputTokens: output, model };
+  }
+  return null;
+}
+
+// Longest matching prefix wins, so "gpt-4o-mini-2024-07-18" uses "gpt-4o-mini" rather than "gpt-4o".
+// OpenRouter-style vendor prefixes ("openai/gpt-4o") are ignored. Returns { input, output } or null.
+export function priceFor(model, table) {
+  const name = String(model || "").toLowerCase().replace(/^[\w.-]+\//, "");
+  const prices = table || DEFAULT_PRICE_TABLE;
+  const match = Object.keys(prices)
+    .filter((key) => name.indexOf(key.toLowerCase()) === 0)
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+// Estimated cost in dollars, or null when the model has no price.
+export function usageCost(usage, model, table) {
+  const price = usage ? priceFor(model, table) : null;
+  if (!price) return null;
+  return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1000000;
+}
+
+// items: [{ inputTokens, outputTokens, cost }]. Calls without a price are counted in `unpriced`.
+export function sumUsage(items) {
+  const total = { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+  (items || []).forEach((item) => {
+    if (!item) return;
+    total.calls += 1;
+    total.inputTokens += Number(item.inputTokens) || 0;
+    total.outputTokens += Number(item.outputTokens) || 0;
+    if (typeof item.cost === "number") total.cost += item.cost;
+    else total.unpriced += 1;
+  });
+  total.cost = Math.round(total.cost * 1000000) / 1000000;
+  return total;
+}
+
+export function formatCost(cost) {
+  return "$" + (cost > 0 && cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2));
+}
+
+// "2 calls, 2400 input + 900 output tokens, est. $0.0009"
+export function describeUsage(total) {
+  if (!total || !total.calls) return "no provider calls";
+  let text = total.calls + (total.calls === 1 ? " call, " : " calls, ")
+    + total.inputTokens + " input + " + total.outputTokens + " output tokens";
+  if (total.unpriced < total.calls) text += ", est. " + formatCost(total.cost);
+  if (total.unpriced) text += total.unpriced < total.calls ? " (some calls have no price)" : " (no price for this model)";
+  return text;
+}
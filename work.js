@@ -11,9 +11,14 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
   const STORAGE_KEY_PREFIX = "__vibbit_key_";
   const STORAGE_PROVIDER = "__vibbit_provider";
   const STORAGE_MODEL = "__vibbit_model";
+  const STORAGE_CUSTOM_BASE = "__vibbit_custom_base";
+  const STORAGE_CUSTOM_MODEL = "__vibbit_custom_model";
   const STORAGE_SETUP_DONE = "__vibbit_setup_done";
   const STORAGE_SERVER = "__vibbit_server";
+  const STORAGE_SESSION = "__vibbit_session";
+  const STORAGE_PROFILE = "__vibbit_profile";
   const STORAGE_TARGET = "__vibbit_target";
+  const STORAGE_REVIEW = "__vibbit_review";
 
   const MODEL_PRESETS = {
     openai: [
@@ -31,6 +36,11 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
       { id: "google/gemini-2.5-flash-lite-preview-09-2025", label: "Gemini 2.5 Flash Lite (Preview)" },
       { id: "openai/gpt-5.2", label: "GPT-5.2" },
       { id: "minimax/minimax-m2.5", label: "MiniMax M2.5" }
+    ],
+    anthropic: [
+      { id: "claude-sonnet-4-5", label: "Claude Sonnet 4.5", default: true },
+      { id: "claude-haiku-4-5", label: "Claude Haiku 4.5" },
+      { id: "claude-opus-4-1", label: "Claude Opus 4.1" }
     ]
   };
 
@@ -112,13 +122,23 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     + '      <option value="openai">OpenAI</option>'
     + '      <option value="gemini">Gemini</option>'
     + '      <option value="openrouter">OpenRouter</option>'
+    + '      <option value="anthropic">Anthropic (Claude)</option>'
+    + '      <option value="custom">Custom (OpenAI-compatible)</option>'
     + '    </select>'
     + '  </div>'
 
+    /* BYOK: custom base URL */
+    + '  <div id="setup-byok-base" style="display:none;gap:4px">'
+    + '    <div style="' + S_LABEL + '">Base URL</div>'
+    + '    <input id="setup-base" placeholder="http://localhost:11434/v1" style="' + S_INPUT + '">'
+    + '  </div>'
+
     /* BYOK: model */
     + '  <div id="setup-byok-model" style="display:grid;gap:4px">'
     + '    <div style="' + S_LABEL + '">Model</div>'
     + '    <select id="setup-model" style="' + S_SELECT + '"></select>'
+    + '    <input id="setup-model-text" list="vibbit-setup-models" placeholder="Model name, e.g. llama3.1" style="' + S_INPUT + ';display:none">'
+    + '    <datalist id="vibbit-setup-models"></datalist>'
     + '  </div>'
 
     /* BYOK: API key */
@@ -128,11 +148,20 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     + '  </div>'
 
     /* Managed: server URL */
-    + '  <div id="setup-managed-server" style="display:none">'
+    + '  <div id="setup-managed-server" style="display:none;gap:12px">'
     + '    <div style="display:grid;gap:4px">'
     + '      <div style="' + S_LABEL + '">Server URL</div>'
     + '      <input id="setup-server" placeholder="vibbit.tk.sg" style="' + S_INPUT + '">'
     + '    </div>'
+    + '    <div style="display:grid;gap:4px">'
+    + '      <div style="' + S_LABEL + '">Class join code</div>'
+    + '      <input id="setup-join-code" placeholder="From your teacher, e.g. K7P2QX" autocomplete="off" style="' + S_INPUT + ';text-transform:uppercase">'
+    + '    </div>'
+    + '    <div style="display:grid;gap:4px">'
+    + '      <div style="' + S_LABEL + '">Your name</div>'
+    + '      <input id="setup-student" placeholder="First name or nickname" maxlength="40" autocomplete="off" style="' + S_INPUT + '">'
+    + '    </div>'
+    + '    <div id="setup-join-status" style="display:none;font-size:12px;color:#fca5a5"></div>'
     + '  </div>'
 
     /* get started */
@@ -159,15 +188,40 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
 
     /* body */
     + '<div style="padding:12px 14px;display:grid;gap:10px;align-content:start;min-height:170px">'
+    + '  <div id="threadBox" style="display:none;border:1px solid #22325a;border-radius:8px;background:#0e162f">'
+    + '    <div style="display:flex;align-items:center;justify-content:space-between;padding:6px 10px;border-bottom:1px solid #1f2b47">'
+    + '      <div style="' + S_LABEL + '">Conversation</div>'
+    + '      <button id="newChat" style="background:rgba(148,163,255,0.15);color:#cdd9ff;border:1px solid rgba(148,163,255,0.3);border-radius:16px;padding:2px 10px;font-size:11px;font-weight:500;cursor:pointer">New conversation</button>'
+    + '    </div>'
+    + '    <div id="thread" style="display:grid;gap:6px;padding:8px 10px;max-height:200px;overflow:auto;font-size:12px;line-height:1.35"></div>'
+    + '  </div>'
     + '  <textarea id="p" rows="6" placeholder="Describe what you want the block code to do \u2013 try to be specific" style="resize:vertical;min-height:96px;padding:10px;border-radius:8px;border:1px solid #29324e;background:#0b1020;color:#e6e8ef;font-size:13px;line-height:1.4"></textarea>'
-    + '  <label style="display:flex;gap:6px;align-items:center;font-size:12px;color:#c7d2fe;cursor:pointer"><input id="inc" type="checkbox" checked style="cursor:pointer">Use current code</label>'
+    + '  <div style="display:flex;gap:14px;align-items:center">'
+    + '    <label style="display:flex;gap:6px;align-items:center;font-size:12px;color:#c7d2fe;cursor:pointer"><input id="inc" type="checkbox" checked style="cursor:pointer">Use current code</label>'
+    + '    <label style="display:flex;gap:6px;align-items:center;font-size:12px;color:#c7d2fe;cursor:pointer"><input id="rev" type="checkbox" style="cursor:pointer">Review before applying</label>'
+    + '  </div>'
     + '  <div style="display:flex;gap:8px;align-items:center">'
     + '    <button id="go" style="flex:1 1 auto;padding:10px;border:none;border-radius:8px;background:#3454D1;color:#fff;font-weight:600;cursor:pointer">Generate</button>'
+    + '    <button id="stop" aria-label="Stop generating" title="Stop generating" style="display:none;padding:10px 14px;border:1px solid #7f1d1d;border-radius:8px;background:#3b1020;color:#fecaca;font-weight:600;cursor:pointer">Stop</button>'
     + '    <button id="revert" aria-label="Revert to previous code" title="Revert to previous code" style="width:38px;height:38px;display:none;align-items:center;justify-content:center;border:1px solid #2b3a5a;border-radius:999px;background:#1a2745;color:#d6e4ff;cursor:pointer" disabled><svg width="16" height="16" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M3.5 4.5H8a4.5 4.5 0 1 1-4.5 4.5"/><path d="M3.5 4.5L6 2"/><path d="M3.5 4.5 6 7"/></svg></button>'
+    + '    <button id="redo" aria-label="Redo next version" title="Redo next version" style="width:38px;height:38px;display:none;align-items:center;justify-content:center;border:1px solid #2b3a5a;border-radius:999px;background:#1a2745;color:#d6e4ff;cursor:pointer" disabled><svg width="16" height="16" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M12.5 4.5H8a4.5 4.5 0 1 0 4.5 4.5"/><path d="M12.5 4.5L10 2"/><path d="M12.5 4.5 10 7"/></svg></button>'
     + '  </div>'
     + '  <div id="activity" style="min-height:18px;font-size:12px;line-height:1.2;color:#9bb1dd" aria-live="polite"></div>'
     + '</div>'
 
+    /* review */
+    + '<div id="review" style="display:none;margin:0 12px 10px;padding:10px;border-radius:10px;background:#0e162f;border:1px solid #354b7d">'
+    + '  <div style="display:flex;align-items:center;justify-content:space-between;gap:8px;margin-bottom:6px">'
+    + '    <div id="reviewTitle" style="' + S_LABEL + '">Review changes</div>'
+    + '    <div id="reviewSummary" style="font-size:11px;color:#9bb1dd"></div>'
+    + '  </div>'
+    + '  <div id="reviewDiff" style="max-height:220px;overflow:auto;font-family:ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;font-size:11px;line-height:1.35;border:1px solid #22325a;border-radius:6px;background:#0b1020"></div>'
+    + '  <div style="display:flex;gap:8px;margin-top:8px">'
+    + '    <button id="reviewApply" style="flex:1;padding:8px;border:none;border-radius:8px;background:#16a34a;color:#fff;font-weight:600;cursor:pointer">Apply</button>'
+    + '    <button id="reviewDiscard" style="flex:1;padding:8px;border:1px solid #2b3a5a;border-radius:8px;background:#1a2745;color:#d6e4ff;font-weight:600;cursor:pointer">Discard</button>'
+    + '  </div>'
+    + '</div>'
+
     /* feedback */
     + '<div id="fb" style="display:none;margin:0 12px 10px;padding:12px;border-radius:10px;background:linear-gradient(135deg,#1b2441,#101a33);border:1px solid #354b7d;box-shadow:0 4px 18px rgba(0,0,0,.3);">'
     + '  <div style="display:flex;align-items:center;justify-content:space-between;gap:8px;margin-bottom:6px;">'
@@ -180,6 +234,22 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     + '  <div id="fbLines" style="display:grid;gap:6px;font-size:12px;color:#e4ecff;line-height:1.35;"></div>'
     + '</div>'
 
+    /* validation issues */
+    + '<div id="issues" style="display:none;margin:0 12px 10px;padding:10px;border-radius:10px;background:#0e162f;border:1px solid #7f1d1d">'
+    + '  <div style="display:flex;align-items:center;justify-content:space-between;gap:8px;margin-bottom:6px">'
+    + '    <div style="' + S_LABEL + '">Why the output was rejected</div>'
+    + '    <div id="issuesSummary" style="font-size:11px;color:#9bb1dd"></div>'
+    + '  </div>'
+    + '  <div id="issuesList" style="display:grid;gap:4px;max-height:180px;overflow:auto"></div>'
+    + '  <div style="margin-top:6px;font-size:11px;color:#6b7fa8">Click an issue to open the rejected code in the JavaScript editor at that line.</div>'
+    + '</div>'
+
+    /* history */
+    + '<div style="margin:0 12px 6px;padding-top:8px;border-top:1px solid #1f2b47;">'
+    + '  <button id="historyToggle" aria-expanded="false" style="background:transparent;border:none;color:#98add7;font-size:11px;cursor:pointer;padding:0;line-height:1.2">Show history</button>'
+    + '  <div id="history" style="margin-top:8px;display:none;max-height:180px;overflow:auto;background:#0e162f;border:1px solid #22325a;border-radius:8px"></div>'
+    + '</div>'
+
     /* log */
     + '<div style="margin:0 12px 10px;padding-top:8px;border-top:1px solid #1f2b47;">'
     + '  <button id="logToggle" aria-expanded="false" style="background:transparent;border:none;color:#98add7;font-size:11px;cursor:pointer;padding:0;line-height:1.2">Show logs</button>'
@@ -216,13 +286,23 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     + '      <option value="openai">OpenAI</option>'
     + '      <option value="gemini">Gemini</option>'
     + '      <option value="openrouter">OpenRouter</option>'
+    + '      <option value="anthropic">Anthropic (Claude)</option>'
+    + '      <option value="custom">Custom (OpenAI-compatible)</option>'
     + '    </select>'
     + '  </div>'
 
+    /* BYOK: custom base URL */
+    + '  <div id="set-byok-base" style="display:none;gap:4px">'
+    + '    <div style="' + S_LABEL + '">Base URL</div>'
+    + '    <input id="set-base" placeholder="http://localhost:11434/v1" style="' + S_INPUT + '">'
+    + '  </div>'
+
     /* BYOK: model */
     + '  <div id="set-byok-model" style="display:grid;gap:4px">'
     + '    <div style="' + S_LABEL + '">Model</div>'
     + '    <select id="set-model" style="' + S_SELECT + '"></select>'
+    + '    <input id="set-model-text" list="vibbit-set-models" placeholder="Model name, e.g. llama3.1" style="' + S_INPUT + ';display:none">'
+    + '    <datalist id="vibbit-set-models"></datalist>'
     + '  </div>'
 
     /* BYOK: API key */
@@ -235,11 +315,29 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     + '  </div>'
 
     /* Managed: server URL */
-    + '  <div id="set-managed-server" style="display:none">'
+    + '  <div id="set-managed-server" style="display:none;gap:12px">'
     + '    <div style="display:grid;gap:4px">'
     + '      <div style="' + S_LABEL + '">Server URL</div>'
     + '      <input id="set-server" placeholder="vibbit.tk.sg" style="' + S_INPUT + '">'
     + '    </div>'
+    + '    <div style="display:grid;gap:4px">'
+    + '      <div style="' + S_LABEL + '">Class</div>'
+    + '      <div style="display:flex;gap:8px;align-items:center">'
+    + '        <div id="set-session" style="flex:1;font-size:12px;color:#c7d2fe">Not signed in to a class</div>'
+    + '        <button id="set-leave" style="display:none;padding:6px 10px;border:1px solid #2b3a5a;border-radius:8px;background:#1a2745;color:#d6e4ff;font-weight:600;cursor:pointer">Leave</button>'
+    + '      </div>'
+    + '      <div style="display:flex;gap:8px">'
+    + '        <input id="set-join-code" placeholder="Join code" autocomplete="off" style="flex:1;min-width:0;padding:8px;border-radius:8px;border:1px solid #29324e;background:#0b1020;color:#e6e8ef;text-transform:uppercase">'
+    + '        <input id="set-student" placeholder="Your name" maxlength="40" autocomplete="off" style="flex:1;min-width:0;padding:8px;border-radius:8px;border:1px solid #29324e;background:#0b1020;color:#e6e8ef">'
+    + '        <button id="set-join" style="padding:8px 12px;border:none;border-radius:8px;background:#16a34a;color:#fff;font-weight:600;cursor:pointer;white-space:nowrap">Join</button>'
+    + '      </div>'
+    + '      <div id="set-join-status" style="display:none;font-size:12px;color:#fca5a5"></div>'
+    + '    </div>'
+    + '    <div id="set-profile-row" style="display:none;gap:4px">'
+    + '      <div style="' + S_LABEL + '">Profile</div>'
+    + '      <select id="set-profile" style="' + S_SELECT + '"></select>'
+    + '      <div id="set-profile-info" style="font-size:12px;color:#9bb1dd"></div>'
+    + '    </div>'
     + '  </div>'
 
     /* advanced (collapsible) */
@@ -317,12 +415,19 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
   const setupMode = $("#setup-mode");
   const setupProv = $("#setup-prov");
   const setupModel = $("#setup-model");
+  const setupModelText = $("#setup-model-text");
+  const setupModelList = $("#vibbit-setup-models");
+  const setupBase = $("#setup-base");
+  const setupByokBase = $("#setup-byok-base");
   const setupKey = $("#setup-key");
   const setupServer = $("#setup-server");
   const setupByokProvider = $("#setup-byok-provider");
   const setupByokModel = $("#setup-byok-model");
   const setupByokKey = $("#setup-byok-key");
   const setupManagedServer = $("#setup-managed-server");
+  const setupJoinCode = $("#setup-join-code");
+  const setupStudent = $("#setup-student");
+  const setupJoinStatus = $("#setup-join-status");
   const setupGo = $("#setup-go");
 
   /* main view refs */
@@ -330,20 +435,41 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
   const busyIndicator = $("#busy-indicator");
   const gearBtn = $("#gear");
   const promptEl = $("#p");
+  const threadBox = $("#threadBox");
+  const threadEl = $("#thread");
+  const newChatBtn = $("#newChat");
   const includeCurrent = $("#inc");
+  const reviewToggle = $("#rev");
   const go = $("#go");
+  const stopBtn = $("#stop");
   const revertBtn = $("#revert");
+  const redoBtn = $("#redo");
+  const historyToggle = $("#historyToggle");
+  const historyList = $("#history");
   const activityEl = $("#activity");
   const logToggle = $("#logToggle");
   const log = $("#log");
   const feedbackBox = $("#fb");
   const feedbackLines = $("#fbLines");
   const feedbackToggle = $("#fbToggle");
+  const reviewBox = $("#review");
+  const reviewTitle = $("#reviewTitle");
+  const reviewSummary = $("#reviewSummary");
+  const reviewDiff = $("#reviewDiff");
+  const reviewApply = $("#reviewApply");
+  const reviewDiscard = $("#reviewDiscard");
+  const issuesBox = $("#issues");
+  const issuesSummary = $("#issuesSummary");
+  const issuesList = $("#issuesList");
 
   /* settings view refs */
   const setMode = $("#set-mode");
   const setProv = $("#set-prov");
   const setModel = $("#set-model");
+  const setModelText = $("#set-model-text");
+  const setModelList = $("#vibbit-set-models");
+  const setBase = $("#set-base");
+  const setByokBase = $("#set-byok-base");
   const setKey = $("#set-key");
   const setServer = $("#set-server");
   const setTarget = $("#set-target");
@@ -351,6 +477,15 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
   const setByokModel = $("#set-byok-model");
   const setByokKey = $("#set-byok-key");
   const setManagedServer = $("#set-managed-server");
+  const setSession = $("#set-session");
+  const setLeave = $("#set-leave");
+  const setJoinCode = $("#set-join-code");
+  const setStudent = $("#set-student");
+  const setJoin = $("#set-join");
+  const setJoinStatus = $("#set-join-status");
+  const setProfileRow = $("#set-profile-row");
+  const setProfile = $("#set-profile");
+  const setProfileInfo = $("#set-profile-info");
   const saveBtn = $("#save");
   const backBtn = $("#back");
 
@@ -380,24 +515,68 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     }
   };
 
+  /* ── custom OpenAI-compatible endpoint ───────────────────── */
+  const refreshCustomModels = (refs) => {
+    const base = refs.base.value.trim();
+    if (!base) return Promise.resolve([]);
+    const root = customApiRoot(base);
+    return listCustomModels(base, refs.key.value.trim())
+      .then((ids) => {
+        refs.modelList.innerHTML = "";
+        ids.forEach((id) => {
+          const opt = document.createElement("option");
+          opt.value = id;
+          refs.modelList.appendChild(opt);
+        });
+        if (!refs.modelText.value.trim() && ids.length) refs.modelText.value = ids[0];
+        logLine("Found " + ids.length + " model(s) at " + root + ".");
+        return ids;
+      })
+      .catch((error) => {
+        logLine("Could not list models at " + root + ": " + (error && error.message ? error.message : String(error)));
+        return [];
+      });
+  };
+
   /* ── mode-dependent field visibility ─────────────────────── */
   const setModeVisibility = (mode, refs) => {
     const isByok = mode === "byok";
+    const isCustom = refs.provider.value === "custom";
     refs.byokProvider.style.display = isByok ? "grid" : "none";
+    refs.byokBase.style.display = isByok && isCustom ? "grid" : "none";
     refs.byokModel.style.display = isByok ? "grid" : "none";
     refs.byokKey.style.display = isByok ? "grid" : "none";
     refs.managedServer.style.display = isByok ? "none" : "grid";
+    refs.model.style.display = isCustom ? "none" : "";
+    refs.modelText.style.display = isCustom ? "" : "none";
+    refs.key.placeholder = isCustom ? "Optional for local servers" : refs.keyPlaceholder;
   };
 
   const setupModeRefs = {
+    provider: setupProv,
+    model: setupModel,
+    modelText: setupModelText,
+    modelList: setupModelList,
+    base: setupBase,
+    key: setupKey,
+    keyPlaceholder: setupKey.placeholder,
     byokProvider: setupByokProvider,
+    byokBase: setupByokBase,
     byokModel: setupByokModel,
     byokKey: setupByokKey,
     managedServer: setupManagedServer
   };
 
   const settingsModeRefs = {
+    provider: setProv,
+    model: setModel,
+    modelText: setModelText,
+    modelList: setModelList,
+    base: setBase,
+    key: setKey,
+    keyPlaceholder: setKey.placeholder,
     byokProvider: setByokProvider,
+    byokBase: setByokBase,
     byokModel: setByokModel,
     byokKey: setByokKey,
     managedServer: setManagedServer
@@ -413,11 +592,20 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
   };
 
   /* ── state ───────────────────────────────────────────────── */
-  let undoStack = [];
+  let history = { projectId: "", entries: [], cursor: -1 };
+  let historyCollapsed = true;
   let busy = false;
   let feedbackCollapsed = false;
   let logsCollapsed = true;
   let activityTimer = 0;
+  let generationController = null;
+  let conversation = [];
+  /* target + prompt of the last Generate press; pressing again with the same prompt skips the backend cache */
+  let lastGenerateKey = "";
+  let rejectedOutput = null;
+  /* generation profiles last listed by the managed backend */
+  let profileOptions = [];
+  let issueDecorations = [];
 
   const setStatus = (value) => {
     const next = value || "";
@@ -447,13 +635,17 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     }
   };
 
+  const setRoundButtonEnabled = (button, enabled) => {
+    button.disabled = !enabled;
+    button.style.display = enabled ? "flex" : "none";
+    button.style.pointerEvents = enabled ? "auto" : "none";
+    button.style.cursor = enabled ? "pointer" : "default";
+    button.setAttribute("aria-hidden", enabled ? "false" : "true");
+  };
+
   const refreshRevertButton = () => {
-    const canRevert = undoStack.length > 0 && !busy;
-    revertBtn.disabled = !canRevert;
-    revertBtn.style.display = canRevert ? "flex" : "none";
-    revertBtn.style.pointerEvents = canRevert ? "auto" : "none";
-    revertBtn.style.cursor = canRevert ? "pointer" : "default";
-    revertBtn.setAttribute("aria-hidden", canRevert ? "false" : "true");
+    setRoundButtonEnabled(revertBtn, history.cursor > 0 && !busy);
+    setRoundButtonEnabled(redoBtn, history.cursor >= 0 && history.cursor < history.entries.length - 1 && !busy);
   };
 
   const applyLogCollapse = () => {
@@ -528,6 +720,151 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
   setBusyIndicator(false);
   refreshRevertButton();
 
+  /* ── conversation thread ─────────────────────────────────── */
+  const PROMPT_PLACEHOLDER = promptEl.getAttribute("placeholder");
+
+  const renderThread = () => {
+    threadEl.innerHTML = "";
+    threadBox.style.display = conversation.length ? "block" : "none";
+    promptEl.setAttribute("placeholder", conversation.length ? "Ask for a follow-up change, e.g. \u201cnow make it faster\u201d" : PROMPT_PLACEHOLDER);
+    conversation.forEach((turn) => {
+      const asked = document.createElement("div");
+      asked.textContent = turn.request;
+      asked.style.cssText = "justify-self:end;max-width:85%;padding:6px 10px;border-radius:10px 10px 2px 10px;background:#3454D1;color:#fff;white-space:pre-wrap";
+      const lineCount = turn.code ? turn.code.split("\n").length : 0;
+      const answered = document.createElement("div");
+      answered.textContent = (turn.feedback.length ? turn.feedback.join(" ") + " " : "")
+        + "(" + lineCount + " line" + (lineCount === 1 ? "" : "s") + " of code)";
+      answered.style.cssText = "justify-self:start;max-width:85%;padding:6px 10px;border-radius:10px 10px 10px 2px;background:rgba(59,130,246,0.14);color:#e4ecff";
+      threadEl.appendChild(asked);
+      threadEl.appendChild(answered);
+    });
+    threadEl.scrollTop = threadEl.scrollHeight;
+  };
+
+  const resetConversation = () => {
+    conversation = [];
+    renderThread();
+  };
+
+  /* ── review diff ─────────────────────────────────────────── */
+  const DIFF_MAX_CELLS = 4000000;
+  const DIFF_CONTEXT = 2;
+
+  const diffLines = (before, after) => {
+    const a = String(before || "").replace(/\r\n?/g, "\n").split("\n");
+    const b = String(after || "").replace(/\r\n?/g, "\n").split("\n");
+    const n = a.length;
+    const m = b.length;
+    if (n * m > DIFF_MAX_CELLS) {
+      return a.map((text) => ({ op: "-", text })).concat(b.map((text) => ({ op: "+", text })));
+    }
+
+    /* longest-common-subsequence table, filled from the end */
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    const out = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[i] === b[j]) {
+        out.push({ op: " ", text: a[i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        out.push({ op: "-", text: a[i++] });
+      } else {
+        out.push({ op: "+", text: b[j++] });
+      }
+    }
+    while (i < n) out.push({ op: "-", text: a[i++] });
+    while (j < m) out.push({ op: "+", text: b[j++] });
+    return out;
+  };
+
+  const renderDiff = (rows) => {
+    reviewDiff.innerHTML = "";
+    const styles = {
+      "+": "background:rgba(34,197,94,0.16);color:#bbf7d0",
+      "-": "background:rgba(239,68,68,0.16);color:#fecaca",
+      " ": "color:#9bb1dd"
+    };
+    const appendRow = (op, text) => {
+      const row = document.createElement("div");
+      row.textContent = op + " " + text;
+      row.style.cssText = "white-space:pre;padding:0 8px;" + (styles[op] || styles[" "]);
+      reviewDiff.appendChild(row);
+    };
+    const appendGap = (count) => {
+      const row = document.createElement("div");
+      row.textContent = "\u2026 " + count + " unchanged line" + (count === 1 ? "" : "s");
+      row.style.cssText = "padding:2px 8px;color:#6b7fa8;font-style:italic";
+      reviewDiff.appendChild(row);
+    };
+
+    let index = 0;
+    while (index < rows.length) {
+      if (rows[index].op !== " ") {
+        appendRow(rows[index].op, rows[index].text);
+        index++;
+        continue;
+      }
+      let end = index;
+      while (end < rows.length && rows[end].op === " ") end++;
+      const head = index === 0 ? 0 : DIFF_CONTEXT;
+      const tail = end === rows.length ? 0 : DIFF_CONTEXT;
+      if (end - index > head + tail + 1) {
+        for (let k = index; k < index + head; k++) appendRow(" ", rows[k].text);
+        appendGap(end - index - head - tail);
+        for (let k = end - tail; k < end; k++) appendRow(" ", rows[k].text);
+      } else {
+        for (let k = index; k < end; k++) appendRow(" ", rows[k].text);
+      }
+      index = end;
+    }
+  };
+
+  const hideReview = () => {
+    reviewBox.style.display = "none";
+    reviewDiff.innerHTML = "";
+    reviewApply.onclick = null;
+    reviewDiscard.onclick = null;
+  };
+
+  /* resolves true on Apply and false on Discard */
+  const reviewChanges = (before, after, labels) => {
+    const text = Object.assign({ title: "Review changes", apply: "Apply", discard: "Discard" }, labels || {});
+    reviewTitle.textContent = text.title;
+    reviewApply.textContent = text.apply;
+    reviewDiscard.textContent = text.discard;
+    const rows = diffLines(before, after);
+    const added = rows.filter((row) => row.op === "+").length;
+    const removed = rows.filter((row) => row.op === "-").length;
+    reviewSummary.textContent = (added || removed)
+      ? ("+" + added + " / \u2212" + removed + " lines")
+      : "No changes";
+    renderDiff(rows);
+    reviewBox.style.display = "block";
+    return new Promise((resolve) => {
+      reviewApply.onclick = () => {
+        hideReview();
+        resolve(true);
+      };
+      reviewDiscard.onclick = () => {
+        hideReview();
+        resolve(false);
+      };
+    });
+  };
+
   /* ── resolve effective backend URL ───────────────────────── */
   const DEFAULT_SERVER = BACKEND.replace(/^https?:\/\//, "");
 
@@ -540,19 +877,120 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     return BACKEND;
   };
 
+  /* ── class session (join code sign-in) ──────────────────── */
+  /* a session only counts for the server that issued it and until it expires */
+  const getSession = () => {
+    try {
+      const session = JSON.parse(storageGet(STORAGE_SESSION) || "null");
+      if (!session || !session.token || session.server !== getBackendUrl()) return null;
+      if (session.expiresAt && Date.parse(session.expiresAt) <= Date.now()) return null;
+      return session;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const renderSession = () => {
+    const session = getSession();
+    setSession.textContent = session
+      ? "Signed in as " + session.student + (session.className ? " \u00b7 " + session.className : "")
+      : "Not signed in to a class";
+    setLeave.style.display = session ? "" : "none";
+  };
+
+  /* ── generation profiles (managed mode) ─────────────────── */
+  const describeProfile = () => {
+    const profile = profileOptions.find((item) => item.id === setProfile.value);
+    setProfileInfo.textContent = profile
+      ? [profile.description, profile.provider + (profile.model ? " \u00b7 " + profile.model : "")].filter(Boolean).join(" \u2014 ")
+      : "The server's usual model and settings.";
+  };
+
+  /* a saved profile the server no longer offers falls back to the server default */
+  const renderProfiles = (profiles) => {
+    const saved = storageGet(STORAGE_PROFILE) || "";
+    profileOptions = profiles;
+    setProfile.innerHTML = "";
+    [{ id: "", name: "Server default" }].concat(profiles).forEach((profile) => {
+      const opt = document.createElement("option");
+      opt.value = profile.id;
+      opt.textContent = profile.name || profile.id;
+      setProfile.appendChild(opt);
+    });
+    const known = profiles.some((profile) => profile.id === saved);
+    if (saved && !known) {
+      storageRemove(STORAGE_PROFILE);
+      logLine("Profile \"" + saved + "\" is no longer offered by the server. Using the server default.");
+    }
+    setProfile.value = known ? saved : "";
+    setProfileRow.style.display = profiles.length ? "grid" : "none";
+    describeProfile();
+  };
+
+  /* the picker stays hidden in BYOK mode and for servers without profiles */
+  const refreshProfiles = () => {
+    if ((storageGet(STORAGE_MODE) || "byok") !== "managed") {
+      setProfileRow.style.display = "none";
+      return Promise.resolve();
+    }
+    return fetchProfiles()
+      .then(renderProfiles)
+      .catch((error) => {
+        setProfileRow.style.display = "none";
+        /* not signed in to a class yet: the picker appears after joining */
+        if (error && error.status === 401) return;
+        logLine("Could not load profiles: " + (error && error.message ? error.message : String(error)));
+      });
+  };
+
+  /* validates the code/name inputs, joins, and reports problems next to them; resolves true on success */
+  const joinFrom = (codeInput, nameInput, statusEl) => {
+    const code = codeInput.value.trim();
+    const name = nameInput.value.trim();
+    const missing = !code ? codeInput : (!name ? nameInput : null);
+    codeInput.style.borderColor = "#29324e";
+    nameInput.style.borderColor = "#29324e";
+    if (missing) {
+      missing.style.borderColor = "#ef4444";
+      missing.focus();
+      return Promise.resolve(false);
+    }
+    statusEl.style.display = "block";
+    statusEl.style.color = "#c7d2fe";
+    statusEl.textContent = "Joining class...";
+    return joinClass(code, name)
+      .then((session) => {
+        statusEl.style.display = "none";
+        codeInput.value = "";
+        renderSession();
+        logLine("Joined " + (session.className || "class") + " as " + session.student + ".");
+        return true;
+      })
+      .catch((error) => {
+        statusEl.style.color = "#fca5a5";
+        statusEl.textContent = error && error.message ? error.message : String(error);
+        return false;
+      });
+  };
+
   /* ── load saved state ────────────────────────────────────── */
   const savedMode = storageGet(STORAGE_MODE) || "byok";
   const savedProvider = storageGet(STORAGE_PROVIDER) || "openai";
   const savedModel = storageGet(STORAGE_MODEL);
   const savedKey = getStoredProviderKey(savedProvider);
+  const savedCustomBase = storageGet(STORAGE_CUSTOM_BASE) || "";
+  const savedCustomModel = storageGet(STORAGE_CUSTOM_MODEL) || "";
   const savedServer = storageGet(STORAGE_SERVER) || "";
   const savedTarget = storageGet(STORAGE_TARGET) || "microbit";
   const setupDone = storageGet(STORAGE_SETUP_DONE) === "1";
+  reviewToggle.checked = storageGet(STORAGE_REVIEW) === "1";
 
   /* hydrate setup view */
   setupMode.value = savedMode;
   setupProv.value = savedProvider;
   populateModels(setupModel, savedProvider, savedModel);
+  setupModelText.value = savedCustomModel;
+  setupBase.value = savedCustomBase;
   setupKey.value = savedKey;
   setupServer.value = savedServer || DEFAULT_SERVER;
   applySetupMode();
@@ -561,9 +999,12 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
   setMode.value = savedMode;
   setProv.value = savedProvider;
   populateModels(setModel, savedProvider, savedModel);
+  setModelText.value = savedCustomModel;
+  setBase.value = savedCustomBase;
   setKey.value = savedKey;
   setServer.value = savedServer || DEFAULT_SERVER;
   setTarget.value = savedTarget;
+  renderSession();
   applySettingsMode();
 
   /* show correct initial view */
@@ -577,25 +1018,56 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
   setupProv.onchange = () => {
     populateModels(setupModel, setupProv.value, null);
     setupKey.value = getStoredProviderKey(setupProv.value);
+    applySetupMode();
+    if (setupProv.value === "custom") refreshCustomModels(setupModeRefs);
+  };
+
+  setupBase.onchange = () => {
+    refreshCustomModels(setupModeRefs);
+  };
+
+  setupModelText.onfocus = () => {
+    if (!setupModelList.options.length) refreshCustomModels(setupModeRefs);
   };
 
   setupGo.onclick = () => {
     const mode = setupMode.value;
     if (mode === "byok") {
+      const isCustom = setupProv.value === "custom";
       const key = setupKey.value.trim();
-      if (!key) {
-        setupKey.style.borderColor = "#ef4444";
-        setupKey.focus();
+      const required = isCustom ? setupBase : setupKey;
+      if (!required.value.trim()) {
+        required.style.borderColor = "#ef4444";
+        required.focus();
         return;
       }
-      setupKey.style.borderColor = "#29324e";
+      required.style.borderColor = "#29324e";
       storageSet(STORAGE_PROVIDER, setupProv.value);
       storageSet(STORAGE_MODEL, setupModel.value);
+      if (isCustom) {
+        storageSet(STORAGE_CUSTOM_BASE, setupBase.value.trim());
+        storageSet(STORAGE_CUSTOM_MODEL, setupModelText.value.trim());
+      }
       setStoredProviderKey(setupProv.value, key);
     } else {
       const server = setupServer.value.trim() || DEFAULT_SERVER;
       storageSet(STORAGE_SERVER, server);
+      if (setupJoinCode.value.trim()) {
+        setupGo.disabled = true;
+        joinFrom(setupJoinCode, setupStudent, setupJoinStatus)
+          .then((joined) => {
+            if (joined) finishSetup(mode);
+          })
+          .finally(() => {
+            setupGo.disabled = false;
+          });
+        return;
+      }
     }
+    finishSetup(mode);
+  };
+
+  const finishSetup = (mode) => {
     storageSet(STORAGE_MODE, mode);
     storageSet(STORAGE_SETUP_DONE, "1");
 
@@ -603,6 +1075,8 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     setMode.value = mode;
     setProv.value = setupProv.value;
     populateModels(setModel, setupProv.value, setupModel.value);
+    setModelText.value = setupModelText.value;
+    setBase.value = setupBase.value;
     setKey.value = getStoredProviderKey(setupProv.value);
     setServer.value = setupServer.value;
     applySettingsMode();
@@ -613,6 +1087,7 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
   /* ── settings view events ────────────────────────────────── */
   setMode.onchange = () => {
     applySettingsMode();
+    refreshProfiles();
   };
 
   setProv.onchange = () => {
@@ -621,12 +1096,30 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     /* select the default and persist */
     storageSet(STORAGE_MODEL, setModel.value);
     setKey.value = getStoredProviderKey(setProv.value);
+    applySettingsMode();
+    if (setProv.value === "custom") refreshCustomModels(settingsModeRefs).then(saveCustomModel);
   };
 
   setModel.onchange = () => {
     storageSet(STORAGE_MODEL, setModel.value);
   };
 
+  const saveCustomModel = () => {
+    storageSet(STORAGE_CUSTOM_MODEL, setModelText.value.trim());
+  };
+
+  setModelText.onchange = saveCustomModel;
+
+  setModelText.onfocus = () => {
+    if (!setModelList.options.length) refreshCustomModels(settingsModeRefs).then(saveCustomModel);
+  };
+
+  setBase.onchange = () => {
+    storageSet(STORAGE_CUSTOM_BASE, setBase.value.trim());
+    setModelList.innerHTML = "";
+    refreshCustomModels(settingsModeRefs).then(saveCustomModel);
+  };
+
   saveBtn.onclick = () => {
     try {
       setStoredProviderKey(setProv.value, setKey.value.trim());
@@ -639,13 +1132,52 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
 
   setServer.onchange = () => {
     storageSet(STORAGE_SERVER, setServer.value.trim());
+    renderSession();
+    refreshProfiles();
+  };
+
+  setJoin.onclick = () => {
+    setJoin.disabled = true;
+    joinFrom(setJoinCode, setStudent, setJoinStatus)
+      .then((joined) => {
+        if (joined) refreshProfiles();
+      })
+      .finally(() => {
+        setJoin.disabled = false;
+      });
+  };
+
+  setLeave.onclick = () => {
+    storageRemove(STORAGE_SESSION);
+    renderSession();
+    logLine("Left the class on this browser.");
+    refreshProfiles();
+  };
+
+  setProfile.onchange = () => {
+    if (setProfile.value) storageSet(STORAGE_PROFILE, setProfile.value);
+    else storageRemove(STORAGE_PROFILE);
+    describeProfile();
   };
 
   setTarget.onchange = () => {
     storageSet(STORAGE_TARGET, setTarget.value);
   };
 
-  gearBtn.onclick = () => showView("settings");
+  newChatBtn.onclick = () => {
+    if (busy) return;
+    resetConversation();
+    logLine("Started a new conversation.");
+  };
+
+  reviewToggle.onchange = () => {
+    storageSet(STORAGE_REVIEW, reviewToggle.checked ? "1" : "0");
+  };
+
+  gearBtn.onclick = () => {
+    showView("settings");
+    refreshProfiles();
+  };
   backBtn.onclick = () => showView("main");
 
   /* ── close buttons ───────────────────────────────────────── */
@@ -826,36 +1358,287 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     });
   };
 
+  const ISSUE_MARKER_OWNER = "vibbit";
+
+  const clearIssueMarkers = (ctx) => {
+    try {
+      if (ctx.win.monaco && ctx.win.monaco.editor.setModelMarkers) ctx.win.monaco.editor.setModelMarkers(ctx.model, ISSUE_MARKER_OWNER, []);
+      if (ctx.editor && issueDecorations.length) issueDecorations = ctx.editor.deltaDecorations(issueDecorations, []);
+    } catch (error) {
+      logLine("Could not clear issue markers: " + error);
+    }
+  };
+
+  const ensureIssueStyles = (doc) => {
+    if (doc.getElementById("vibbit-issue-style")) return;
+    const style = doc.createElement("style");
+    style.id = "vibbit-issue-style";
+    style.textContent = ".vibbit-issue-line{background:rgba(239,68,68,0.18)}.vibbit-issue-mark{border-left:3px solid #ef4444}";
+    (doc.head || doc.documentElement).appendChild(style);
+  };
+
+  const switchToBlocks = (ctx) => {
+    logLine("Switching back to Blocks.");
+    return clickLike(ctx.win.document, ["blocks"]) || (function () {
+      const menu = ctx.win.document.querySelector("button[aria-label*='More'],button[aria-label*='Editor'],.menu-button,.more-button");
+      if (menu) {
+        menu.click();
+        return clickLike(ctx.win.document, ["blocks"]);
+      }
+    })();
+  };
+
+  /* ── version history ─────────────────────────────────────── */
+  const HISTORY_DB = "vibbit_history";
+  const HISTORY_LIMIT = 100;
+  let historyStorePromise = null;
+
+  const idbRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error("IndexedDB request failed"));
+  });
+
+  const openHistoryDb = () => new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB unavailable"));
+      return;
+    }
+    const request = window.indexedDB.open(HISTORY_DB, 1);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const entries = db.createObjectStore("entries", { keyPath: "id", autoIncrement: true });
+      entries.createIndex("projectId", "projectId", { unique: false });
+      db.createObjectStore("cursors", { keyPath: "projectId" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error("IndexedDB open failed"));
+  });
+
+  const indexedDbHistoryStore = (db) => {
+    const run = (storeName, mode, action) => idbRequest(action(db.transaction(storeName, mode).objectStore(storeName)));
+    return {
+      list: (projectId) => run("entries", "readonly", (store) => store.index("projectId").getAll(projectId))
+        .then((rows) => (rows || []).sort((a, b) => a.id - b.id)),
+      add: (entry) => run("entries", "readwrite", (store) => store.add(entry))
+        .then((id) => Object.assign({ id }, entry)),
+      remove: (ids) => Promise.all(ids.map((id) => run("entries", "readwrite", (store) => store.delete(id)))),
+      getCursor: (projectId) => run("cursors", "readonly", (store) => store.get(projectId))
+        .then((row) => (row ? row.entryId : 0)),
+      setCursor: (projectId, entryId) => run("cursors", "readwrite", (store) => store.put({ projectId, entryId }))
+    };
+  };
+
+  /* used when the page blocks IndexedDB; history then lasts until reload */
+  const memoryHistoryStore = () => {
+    let nextId = 1;
+    let entries = [];
+    const cursors = {};
+    return {
+      list: (projectId) => Promise.resolve(entries.filter((entry) => entry.projectId === projectId)),
+      add: (entry) => {
+        const saved = Object.assign({ id: nextId++ }, entry);
+        entries.push(saved);
+        return Promise.resolve(saved);
+      },
+      remove: (ids) => {
+        entries = entries.filter((entry) => !ids.includes(entry.id));
+        return Promise.resolve();
+      },
+      getCursor: (projectId) => Promise.resolve(cursors[projectId] || 0),
+      setCursor: (projectId, entryId) => {
+        cursors[projectId] = entryId;
+        return Promise.resolve();
+      }
+    };
+  };
+
+  const getHistoryStore = () => {
+    if (!historyStorePromise) {
+      historyStorePromise = openHistoryDb()
+        .then(indexedDbHistoryStore)
+        .catch((error) => {
+          logLine("Version history will not persist: " + (error && error.message ? error.message : String(error)));
+          return memoryHistoryStore();
+        });
+    }
+    return historyStorePromise;
+  };
+
+  /* projects MakeCode has not saved yet have no header ID; their versions last until reload */
+  const unsavedHistoryStore = memoryHistoryStore();
+  const historyStoreFor = (projectId) => (projectId ? getHistoryStore() : Promise.resolve(unsavedHistoryStore));
+
+  /* MakeCode keeps project headers in its own IndexedDB workspace and stamps recentUse on the
+     header it opens, so the most recently used header is the project in the editor. */
+  const PXT_WORKSPACE_DB = "__pxt_idb_workspace";
+
+  const readWorkspaceHeaders = (name) => new Promise((resolve) => {
+    const request = window.indexedDB.open(name);
+    /* never create or upgrade MakeCode's database: an upgrade means it did not exist */
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onerror = () => resolve([]);
+    request.onsuccess = () => {
+      const db = request.result;
+      const done = (rows) => {
+        db.close();
+        resolve(rows || []);
+      };
+      if (!db.objectStoreNames.contains("headers")) {
+        done([]);
+        return;
+      }
+      idbRequest(db.transaction("headers", "readonly").objectStore("headers").getAll()).then(done, () => done([]));
+    };
+  });
+
+  const readOpenHeaderId = () => {
+    if (!window.indexedDB) return Promise.resolve("");
+    const names = typeof window.indexedDB.databases === "function"
+      ? window.indexedDB.databases().then((dbs) => dbs.map((db) => db.name).filter((name) => name && name.indexOf(PXT_WORKSPACE_DB) === 0))
+      : Promise.resolve([PXT_WORKSPACE_DB]);
+    return names
+      .then((list) => Promise.all(list.map(readWorkspaceHeaders)))
+      .then((lists) => {
+        const lastUsed = (header) => header.recentUse || header.modificationTime || 0;
+        const open = [].concat(...lists)
+          .filter((header) => header && header.id && !header.isDeleted)
+          .sort((a, b) => lastUsed(b) - lastUsed(a))[0];
+        return open ? String(open.id) : "";
+      })
+      .catch(() => "");
+  };
+
+  /* keyed by the MakeCode project header ID, from #header:<id> links or the editor's project store;
+     resolves "" for a project that has no header yet */
+  const currentProjectId = () => {
+    const headerMatch = String(location.hash || "").match(/header:([A-Za-z0-9_-]+)/);
+    if (headerMatch) return Promise.resolve(location.host + "/header:" + headerMatch[1]);
+    return readOpenHeaderId().then((id) => (id ? location.host + "/header:" + id : ""));
+  };
+
+  const describeVersion = (entry) => {
+    if (entry.kind === "edit") return "Editor code before Vibbit change";
+    const prompt = String(entry.prompt || "").replace(/\s+/g, " ").trim();
+    const label = prompt.length > 80 ? prompt.slice(0, 77) + "..." : prompt;
+    const prefix = entry.kind === "fallback" ? "Fallback stub: " : (entry.kind === "rejected" ? "Rejected output: " : "");
+    return prefix + (label || "Generated code");
+  };
+
+  const renderHistory = () => {
+    historyToggle.textContent = (historyCollapsed ? "Show history" : "Hide history")
+      + (history.entries.length ? " (" + history.entries.length + ")" : "");
+    historyToggle.setAttribute("aria-expanded", historyCollapsed ? "false" : "true");
+    historyList.style.display = historyCollapsed ? "none" : "block";
+    historyList.innerHTML = "";
+    if (!history.entries.length) {
+      const empty = document.createElement("div");
+      empty.textContent = "No saved versions for this project yet.";
+      empty.style.cssText = "padding:8px 10px;font-size:11px;color:#6b7fa8";
+      historyList.appendChild(empty);
+      return;
+    }
+    for (let index = history.entries.length - 1; index >= 0; index--) {
+      const entry = history.entries[index];
+      const isCurrent = index === history.cursor;
+      const row = document.createElement("button");
+      row.type = "button";
+      row.title = "Preview this version";
+      row.style.cssText = "display:block;width:100%;text-align:left;padding:6px 10px;border:none;border-bottom:1px solid #1f2b47;cursor:pointer;font-size:11px;line-height:1.3;color:#d6e4ff;background:" + (isCurrent ? "#1a2745" : "transparent");
+      const title = document.createElement("div");
+      title.textContent = (isCurrent ? "\u25B6 " : "") + describeVersion(entry);
+      const meta = document.createElement("div");
+      meta.style.cssText = "color:#6b7fa8";
+      meta.textContent = [
+        new Date(entry.timestamp).toLocaleString(),
+        [entry.provider, entry.model].filter(Boolean).join(" / ")
+      ].filter(Boolean).join(" \u00B7 ");
+      row.appendChild(title);
+      row.appendChild(meta);
+      row.onclick = () => previewVersion(entry.id);
+      historyList.appendChild(row);
+    }
+  };
+
+  const loadHistory = () => {
+    let projectId = "";
+    return currentProjectId()
+      .then((id) => {
+        if (!id && history.projectId) logLine("MakeCode has not saved this project yet, so its version history lasts until the page reloads.");
+        projectId = id;
+        return historyStoreFor(projectId);
+      })
+      .then((store) => Promise.all([store.list(projectId), store.getCursor(projectId)]))
+      .then(([entries, cursorId]) => {
+        const index = entries.findIndex((entry) => entry.id === cursorId);
+        history = { projectId, entries, cursor: index >= 0 ? index : entries.length - 1 };
+        renderHistory();
+        refreshRevertButton();
+        return history;
+      });
+  };
+
+  const moveHistoryCursor = (entryId) => {
+    const index = history.entries.findIndex((entry) => entry.id === entryId);
+    if (index < 0) return Promise.resolve();
+    history.cursor = index;
+    renderHistory();
+    refreshRevertButton();
+    return historyStoreFor(history.projectId).then((store) => store.setCursor(history.projectId, entryId));
+  };
+
+  const recordVersion = (fields) => {
+    const entry = Object.assign({ projectId: history.projectId, timestamp: Date.now() }, fields);
+    return historyStoreFor(history.projectId).then((store) => store.add(entry).then((saved) => {
+      const entries = history.entries.concat([saved]);
+      const overflow = entries.length > HISTORY_LIMIT ? entries.splice(0, entries.length - HISTORY_LIMIT) : [];
+      history = { projectId: history.projectId, entries, cursor: entries.length - 1 };
+      renderHistory();
+      refreshRevertButton();
+      return Promise.all([
+        store.setCursor(history.projectId, saved.id),
+        overflow.length ? store.remove(overflow.map((item) => item.id)) : null
+      ]).then(() => saved);
+    }));
+  };
+
+  /* saves the editor code unless it already matches the current version */
+  const captureEditorState = (code) => {
+    const current = history.entries[history.cursor];
+    if (current && current.code === code) return Promise.resolve(null);
+    return recordVersion({ kind: "edit", prompt: "", provider: "", model: "", code });
+  };
+
   const pasteToMakeCode = (code, options) => {
     const shouldSnapshot = !options || options.snapshot !== false;
-    return findMonacoCtx().then((ctx) => {
-      logLine("Switching to JavaScript tab.");
-      clickLike(ctx.win.document, ["javascript", "typescript", "text"]);
-      return wait(20).then(() => {
-        if (shouldSnapshot) {
-          try {
-            const previous = ctx.model.getValue() || "";
-            undoStack.push(previous);
-            refreshRevertButton();
-            logLine("Snapshot saved for revert.");
-          } catch (error) {
-            logLine("Snapshot failed: " + error);
-          }
-        }
+    const record = (options && options.record) || null;
+    return findMonacoCtx().then((ctx) => loadHistory()
+      .catch((error) => {
+        logLine("Version history unavailable: " + (error && error.message ? error.message : String(error)));
+      })
+      .then(() => {
+        logLine("Switching to JavaScript tab.");
+        clickLike(ctx.win.document, ["javascript", "typescript", "text"]);
+        return wait(20);
+      })
+      .then(() => {
+        if (!shouldSnapshot) return null;
+        return captureEditorState(ctx.model.getValue() || "")
+          .then(() => logLine("Snapshot saved to version history."))
+          .catch((error) => logLine("Snapshot failed: " + error));
+      })
+      .then(() => {
         logLine("Pasting generated code into editor.");
+        clearIssueMarkers(ctx);
         ctx.model.setValue(code);
         if (ctx.editor && ctx.editor.setPosition) {
           ctx.editor.setPosition({ lineNumber: 1, column: 1 });
         }
-        logLine("Switching back to Blocks.");
-        clickLike(ctx.win.document, ["blocks"]) || (function () {
-          const menu = ctx.win.document.querySelector("button[aria-label*='More'],button[aria-label*='Editor'],.menu-button,.more-button");
-          if (menu) {
-            menu.click();
-            return clickLike(ctx.win.document, ["blocks"]);
-          }
-        })();
-        return wait(120).then(() => waitForDecompileProbe(ctx.win)).then((probe) => {
+        const saved = record
+          ? recordVersion(Object.assign({ kind: "generated" }, record, { code }))
+            .catch((error) => logLine("Could not save version: " + error))
+          : Promise.resolve();
+        switchToBlocks(ctx);
+        return saved.then(() => wait(120)).then(() => waitForDecompileProbe(ctx.win)).then((probe) => {
           if (!probe.checked) {
             logLine("Live decompile check unavailable in this session.");
             return;
@@ -868,34 +1651,127 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
           }
           logLine("Live decompile check passed (no grey blocks).");
         });
-      });
-    });
+      }));
   };
 
-  const revertEditor = () => {
-    return findMonacoCtx().then((ctx) => {
-      if (!undoStack.length) throw new Error("No snapshot to revert to.");
-      const previous = undoStack.pop();
-      logLine("Switching to JavaScript tab for revert.");
+  /* pick receives the freshly loaded history and returns the entry to restore */
+  const restoreVersion = (pick) => {
+    return findMonacoCtx().then((ctx) => loadHistory().then(() => {
+      const entry = pick(history);
+      if (!entry) throw new Error("No saved version to restore.");
+      logLine("Switching to JavaScript tab for restore.");
       clickLike(ctx.win.document, ["javascript", "typescript", "text"]);
-      return wait(20).then(() => {
-        logLine("Restoring previous code.");
-        ctx.model.setValue(previous);
-        if (ctx.editor && ctx.editor.setPosition) {
-          ctx.editor.setPosition({ lineNumber: 1, column: 1 });
-        }
-        logLine("Switching back to Blocks.");
-        clickLike(ctx.win.document, ["blocks"]) || (function () {
-          const menu = ctx.win.document.querySelector("button[aria-label*='More'],button[aria-label*='Editor'],.menu-button,.more-button");
-          if (menu) {
-            menu.click();
-            return clickLike(ctx.win.document, ["blocks"]);
+      return wait(20)
+        .then(() => captureEditorState(ctx.model.getValue() || ""))
+        .then(() => {
+          logLine("Restoring version from " + new Date(entry.timestamp).toLocaleString() + ".");
+          clearIssueMarkers(ctx);
+          ctx.model.setValue(entry.code);
+          if (ctx.editor && ctx.editor.setPosition) {
+            ctx.editor.setPosition({ lineNumber: 1, column: 1 });
           }
-        })();
+          switchToBlocks(ctx);
+          return moveHistoryCursor(entry.id);
+        });
+    }));
+  };
+
+  /* ── validation issues ───────────────────────────────────── */
+  /* opens the rejected code (saving the current editor code first) and marks every issue */
+  const revealIssue = (diagnostic) => {
+    const rejected = rejectedOutput;
+    if (busy || !rejected) return Promise.resolve();
+    return findMonacoCtx().then((ctx) => loadHistory()
+      .catch(() => {})
+      .then(() => {
+        clickLike(ctx.win.document, ["javascript", "typescript", "text"]);
+        return wait(20);
+      })
+      .then(() => {
+        const current = ctx.model.getValue() || "";
+        if (current === rejected.code) return null;
+        logLine("Opening rejected code in the JavaScript editor.");
+        return captureEditorState(current)
+          .then(() => {
+            ctx.model.setValue(rejected.code);
+            return recordVersion(Object.assign({}, rejected.meta, { kind: "rejected", code: rejected.code }));
+          })
+          .catch((error) => logLine("Could not save version: " + error));
+      })
+      .then(() => {
+        const monaco = ctx.win.monaco;
+        const lineCount = ctx.model.getLineCount();
+        const line = Math.min(diagnostic.line, lineCount);
+        /* the editor can be found without MakeCode exposing the monaco global; then only the cursor moves */
+        if (monaco && monaco.editor) {
+          const markers = rejected.diagnostics
+            .filter((item) => item.line <= lineCount)
+            .map((item) => ({
+              severity: monaco.MarkerSeverity ? monaco.MarkerSeverity.Error : 8,
+              message: "Not Blocks-compatible: " + item.message,
+              source: "Vibbit",
+              startLineNumber: item.line,
+              startColumn: item.column,
+              endLineNumber: item.line,
+              endColumn: ctx.model.getLineMaxColumn(item.line)
+            }));
+          monaco.editor.setModelMarkers(ctx.model, ISSUE_MARKER_OWNER, markers);
+        } else {
+          logLine("Monaco API not available; showing the line without issue markers.");
+        }
+        if (!ctx.editor) return;
+        if (monaco && monaco.Range) {
+          ensureIssueStyles(ctx.win.document);
+          issueDecorations = ctx.editor.deltaDecorations(issueDecorations, [{
+            range: new monaco.Range(line, 1, line, 1),
+            options: { isWholeLine: true, className: "vibbit-issue-line", linesDecorationsClassName: "vibbit-issue-mark" }
+          }]);
+        }
+        ctx.editor.revealLineInCenter(line);
+        ctx.editor.setPosition({ lineNumber: line, column: diagnostic.column });
+        ctx.editor.focus();
+      }))
+      .then(() => {
+        setActivity("Showing line " + diagnostic.line + ": " + diagnostic.message + ".", "neutral");
+        logLine("Revealed line " + diagnostic.line + " of the rejected code.");
+      })
+      .catch((error) => {
+        setActivity("Could not open the rejected code.", "error");
+        logLine("Reveal failed: " + (error && error.message ? error.message : String(error)));
       });
-    }).then(() => {
-      refreshRevertButton();
+  };
+
+  const renderIssues = (rejected) => {
+    rejectedOutput = rejected && rejected.code && rejected.diagnostics && rejected.diagnostics.length ? rejected : null;
+    issuesList.innerHTML = "";
+    if (!rejectedOutput) {
+      issuesBox.style.display = "none";
+      return;
+    }
+    const diagnostics = rejectedOutput.diagnostics;
+    issuesSummary.textContent = diagnostics.length + (diagnostics.length === 1 ? " issue" : " issues");
+    diagnostics.forEach((diagnostic) => {
+      const item = document.createElement("button");
+      item.type = "button";
+      item.title = "Show line " + diagnostic.line + " in the editor";
+      item.style.cssText = "display:block;width:100%;text-align:left;padding:6px 8px;border:1px solid #3b1d2a;border-radius:6px;background:rgba(239,68,68,0.1);color:#fde2e2;cursor:pointer;font-size:12px";
+      const title = document.createElement("div");
+      title.textContent = "Line " + diagnostic.line + ": " + diagnostic.message;
+      const snippet = document.createElement("div");
+      snippet.textContent = diagnostic.snippet || "";
+      snippet.style.cssText = "margin-top:2px;font-family:ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;font-size:11px;color:#f3b4b4;white-space:pre;overflow:hidden;text-overflow:ellipsis";
+      item.appendChild(title);
+      if (diagnostic.snippet) item.appendChild(snippet);
+      if (diagnostic.hint) {
+        const hint = document.createElement("div");
+        hint.textContent = diagnostic.hint;
+        hint.style.cssText = "margin-top:2px;font-size:11px;color:#9bb1dd";
+        item.appendChild(hint);
+      }
+      item.onclick = () => revealIssue(diagnostic);
+      issuesList.appendChild(item);
     });
+    issuesBox.style.display = "block";
   };
 
   /* ── code processing ─────────────────────────────────────── */
@@ -934,114 +1810,2086 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     return sanitizeMakeCode(code);
   };
 
-  const validateBlocksCompatibility = (code, target) => {
-    const rules = [
-      { re: /=>/g, why: "arrow functions" },
-      { re: /\bclass\s+/g, why: "classes" },
-      { re: /\bnew\s+[A-Z_a-z]/g, why: "new constructor" },
-      { re: /\bPromise\b|\basync\b|\bawait\b/g, why: "promises/async" },
-      { re: /\bimport\s|\bexport\s/g, why: "import/export" },
-      { re: /\$\{[^}]+\}/g, why: "template string interpolation" },
-      { re: /\.\s*(map|forEach|filter|reduce|find|some|every)\s*\(/g, why: "higher-order array methods" },
-      { re: /\bnamespace\b|\bmodule\b/g, why: "namespaces/modules" },
-      { re: /\benum\b|\binterface\b|\btype\s+[A-Z_a-z]/g, why: "TS types/enums" },
-      { re: /<\s*[A-Z_a-z0-9_,\s]+>/g, why: "generics syntax" },
-      { re: /setTimeout\s*\(|setInterval\s*\(/g, why: "timers" },
-      { re: /console\./g, why: "console calls" },
-      { re: /^\s*\/\//m, why: "line comments" },
-      { re: /\/\*[\s\S]*?\*\//g, why: "block comments" },
-      { re: /\brandint\s*\(/g, why: "randint()" },
-      { re: /(\*=|\/=|%=|\|=|&=|\^=|<<=|>>=|>>>=)/g, why: "unsupported assignment operators" }
-    ];
-    const bitwiseRules = [
-      /<<|>>>|>>/,
-      /\^/,
-      /(^|[^|])\|([^|=]|$)/m,
-      /(^|[^&])&([^&=]|$)/m
-    ];
-    const eventRegistrationRe = /\b(?:basic\.forever|loops\.forever|input\.on[A-Z_a-z0-9_]*|radio\.on[A-Z_a-z0-9_]*|pins\.on[A-Z_a-z0-9_]*|controller\.[A-Z_a-z0-9_]*\.onEvent|controller\.on[A-Z_a-z0-9_]*|sprites\.on[A-Z_a-z0-9_]*|scene\.on[A-Z_a-z0-9_]*|game\.on[A-Z_a-z0-9_]*|info\.on[A-Z_a-z0-9_]*|control\.inBackground)\s*\(/;
-
-    if ((target === "microbit" || target === "maker") && /sprites\.|controller\.|scene\.|game\.onUpdate/i.test(code)) {
-      return { ok: false, violations: ["Arcade APIs in micro:bit/Maker"] };
-    }
-    if (target === "arcade" && (/led\./i.test(code) || /radio\./i.test(code))) {
-      return { ok: false, violations: ["micro:bit APIs in Arcade"] };
-    }
-
-    const violations = [];
-    const stringStrippedCode = code.replace(
-      /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|`(?:\\.|[^`\\])*`/g,
-      (match) => " ".repeat(match.length)
-    );
-    for (const rule of rules) {
-      if (rule.re.test(code)) violations.push(rule.why);
-    }
-    if (/\bnull\b/.test(stringStrippedCode)) violations.push("null");
-    if (/\bundefined\b/.test(stringStrippedCode)) violations.push("undefined");
-    if (/\bas\s+[A-Z_a-z][A-Z_a-z0-9_.]*/.test(stringStrippedCode)) violations.push("casts");
-    if (bitwiseRules.some((rule) => rule.test(code))) violations.push("bitwise operators");
-    if (/\bfor\s*\([^)]*\bin\b[^)]*\)/.test(code)) violations.push("for...in loops");
-
-    const forHeaderRe = /for\s*\(([^)]*)\)/g;
-    let forMatch;
-    while ((forMatch = forHeaderRe.exec(code))) {
-      const header = forMatch[1].trim();
-      if (/\bof\b/.test(header)) continue;
-      const parts = header.split(";").map((part) => part.trim());
-      if (parts.length !== 3) {
-        violations.push("invalid for-loop shape");
-        continue;
-      }
-      const initMatch = parts[0].match(/^let\s+([A-Z_a-z][A-Z_a-z0-9_]*)\s*=\s*0$/);
-      if (!initMatch) {
-        violations.push("for-loop initializer must be let i = 0");
-        continue;
-      }
-      const indexVar = initMatch[1];
-      if (!new RegExp("^" + indexVar + "\\s*(<|<=)\\s*.+$").test(parts[1])) {
-        violations.push("for-loop condition must be i < limit or i <= limit");
+  /* @shared-begin makecode-api-catalog: generated from shared/makecode-api-catalog.mjs by `npm run sync:shared`, edit the module instead */
+  const SHARED_NAMESPACES = {
+    Math: "randomRange:2 random:0 randomBoolean:0 percentChance:1 abs:1 max:2 min:2 round:1 floor:1 ceil:1 trunc:1 sqrt:1 pow:2 sign:1 idiv:2 imul:2 constrain:3 map:5 sin:1 cos:1 tan:1 asin:1 acos:1 atan:1 atan2:2 exp:1 log:1 roundWithPrecision:2 PI E LN2 LN10 LOG2E LOG10E SQRT1_2 SQRT2"
+  };
+
+  const MICROBIT_PINS = "digitalReadPin:1 digitalWritePin:2 analogReadPin:1 analogWritePin:2 analogSetPeriod:2 servoWritePin:2 servoSetContinuous:2 servoSetPulse:2 map:5 onPulsed:3 pulseDuration:0 pulseIn:2-3 setPull:2 setEvents:2 analogSetPitchPin:1 analogPitch:2 analogSetPitchVolume:1 analogPitchVolume:0 i2cReadNumber:2-3 i2cWriteNumber:3-4 i2cReadBuffer:2-3 i2cWriteBuffer:2-3 spiWrite:1 spiFrequency:1 spiFormat:2 spiPins:3 spiTransfer:2 pushButton:1 touchSetMode:2 setAudioPin:1 setAudioPinEnabled:1 createBuffer:1 createBufferFromArray:1 sizeOf:1";
+
+  const MICROBIT_MUSIC = "playTone:2 ringTone:1 rest:1 beat:0-1 tempo:0 setTempo:1 changeTempoBy:1 noteFrequency:1 startMelody:1-2 beginMelody:1-2 playMelody:2 stopMelody:1 stopAllSounds:0 setVolume:1 volume:0 onEvent:2 setBuiltInSpeakerEnabled:1 builtInMelody:1 builtInPlayableMelody:1 builtinPlayableSoundEffect:1 play:2-3 stringPlayable:2 tonePlayable:2 createSoundEffect:6-9 playSoundEffect:1-2 setSilenceLevel:1 isSoundPlaying:0 createSong:1 PlaybackMode _playDefaultBackground:2";
+
+  const MICROBIT_ENUMS = {
+    Button: "A B AB",
+    Gesture: "Shake LogoUp LogoDown ScreenUp ScreenDown TiltLeft TiltRight FreeFall ThreeG SixG EightG",
+    TouchPin: "P0 P1 P2",
+    Dimension: "X Y Z Strength",
+    Rotation: "Pitch Roll",
+    IconNames: "Heart SmallHeart Yes No Happy Sad Confused Angry Asleep Surprised Silly Fabulous Meh TShirt Rollerskate Duck House Tortoise Butterfly StickFigure Ghost Sword Giraffe Skull Umbrella Snake Rabbit Cow QuarterNote EigthNote EighthNote Pitchfork Target Triangle LeftTriangle Chessboard Diamond SmallDiamond Square SmallSquare Scissors",
+    ArrowNames: "North NorthEast East SouthEast South SouthWest West NorthWest",
+    BeatFraction: "Whole Half Quarter Eighth Sixteenth Double Breve",
+    PulseValue: "High Low",
+    Direction: "Right Left",
+    MelodyOptions: "Once Forever OnceInBackground ForeverInBackground",
+    Melodies: "Dadadadum Entertainer Prelude Ode Nyan Ringtone Funk Blues Birthday Wedding Funeral Punchline Baddy Chase BaDing Wawawawaa JumpUp JumpDown PowerUp PowerDown",
+    DigitalPin: "P0 P1 P2 P3 P4 P5 P6 P7 P8 P9 P10 P11 P12 P13 P14 P15 P16 P19 P20",
+    AnalogPin: "P0 P1 P2 P3 P4 P10"
+  };
+
+  const MAKECODE_API_CATALOG = {
+    microbit: {
+      name: "micro:bit",
+      namespaces: {
+        ...SHARED_NAMESPACES,
+        basic: "showNumber:1-2 showString:1-2 showIcon:1-2 showLeds:1-2 showArrow:1-2 showAnimation:1-2 plotLeds:1 clearScreen:0 forever:1 pause:1 setLedColor:1 turnRgbLedOff:0",
+        input: "onButtonPressed:2 onButtonEvent:3 onGesture:2 onPinPressed:2 onPinReleased:2 onPinTouchEvent:3 onLogoEvent:2 onSound:2 setSoundThreshold:2 buttonIsPressed:1 pinIsPressed:1 logoIsPressed:0 isGesture:1 temperature:0 lightLevel:0 soundLevel:0 acceleration:1 compassHeading:0 rotation:1 magneticForce:1 runningTime:0 runningTimeMicros:0 calibrateCompass:0 setAccelerometerRange:1",
+        music: MICROBIT_MUSIC,
+        led: "plot:2 unplot:2 toggle:2 point:2 brightness:0 setBrightness:1 plotBarGraph:2-3 enable:1 plotBrightness:3 pointBrightness:2 stopAnimation:0 setDisplayMode:1 displayMode:0 toggleAll:0 plotAll:0 fadeIn:0-1 fadeOut:0-1 screenshot:0",
+        radio: "sendNumber:1 sendString:1 sendValue:2 sendBuffer:1 onReceivedNumber:1 onReceivedString:1 onReceivedValue:1 onReceivedBuffer:1 setGroup:1 setTransmitPower:1 setTransmitSerialNumber:1 setFrequencyBand:1 receivedPacket:1 raiseEvent:2 writeReceivedPacketToSerial:0 on:0 off:0",
+        pins: MICROBIT_PINS,
+        game: "createSprite:2 addScore:1 score:0 setScore:1 setLife:1 addLife:1 removeLife:1 life:0 gameOver:0 isGameOver:0 isRunning:0 isPaused:0 pause:0 resume:0 startCountdown:1 currentTime:0",
+        images: "createImage:1 createBigImage:1 arrowImage:1 iconImage:1 arrowNumber:1",
+        serial: "writeLine:1 writeNumber:1 writeValue:2 writeString:1 writeNumbers:1 writeBuffer:1 readLine:0 readString:0 readUntil:1 readBuffer:1 onDataReceived:2 redirect:3 redirectToUSB:0 setBaudRate:1 setRxBufferSize:1 setTxBufferSize:1 setWriteLinePadding:1",
+        control: "inBackground:1 reset:0 waitMicros:1 millis:0 micros:0 deviceName:0 deviceSerialNumber:0 deviceLongSerialNumber:0 onEvent:3-4 raiseEvent:2-3 eventTimestamp:0 eventValue:0 eventSourceId:1 eventValueId:1 waitForEvent:2 panic:1 assert:1-2 runInParallel:1 hardwareVersion:0"
+      },
+      enums: MICROBIT_ENUMS
+    },
+    arcade: {
+      name: "Arcade",
+      namespaces: {
+        ...SHARED_NAMESPACES,
+        sprites: "create:1-2 destroy:1-3 createProjectileFromSprite:4 createProjectileFromSide:3 createProjectile:3-5 onCreated:2 onDestroyed:2 onOverlap:3 allOfKind:1 destroyAllSpritesOfKind:1-3 setDataNumber:3 readDataNumber:2 changeDataNumberBy:3 setDataString:3 readDataString:2 setDataBoolean:3 readDataBoolean:2 setDataSprite:3 readDataSprite:2 setDataImage:3 readDataImage:2 builtin castle dungeon duck food projectile space swamp vehicle",
+        controller: "moveSprite:1-3 dx:0-1 dy:0-1 onEvent:2 configureRepeatEventDefaults:2 pauseUntilAnyButtonIsPressed:0 vibrate:1 A B up down left right menu anyButton player1 player2 player3 player4",
+        scene: "setBackgroundColor:1 setBackgroundImage:1 backgroundColor:0 backgroundImage:0 cameraFollowSprite:1 centerCameraAt:2 cameraShake:0-2 cameraProperty:1 setTileMapLevel:1 setTileMap:1-2 setTile:2-3 setTileAt:2 setWallAt:2 getTile:2 getTileLocation:2 getTilesByType:1 placeOnRandomTile:2 tileAtLocationEquals:2 tileAtLocationIsWall:1 onHitWall:2 onHitTile:3 onOverlapTile:3 createRenderable:2-3 screenWidth:0 screenHeight:0",
+        game: "onUpdate:1 onUpdateInterval:2 onPaint:1 onShade:1 splash:1-2 showDialog:2-3 over:0-2 reset:0 showLongText:2 ask:1-2 askForNumber:1-2 askForString:1-2 runtime:0 setGameOverEffect:2 setGameOverMessage:2 setGameOverPlayable:3 setGameOverScoringType:1 gameOverPlayerWin:1 setDialogFrame:1 setDialogCursor:1 setDialogTextColor:1 pushScene:0 popScene:0 currentScene:0 addScenePushHandler:1 addScenePopHandler:1 eventContext:0 consoleOverlay stats debug",
+        info: "score:0 setScore:1 changeScoreBy:1 life:0 setLife:1 changeLifeBy:1 hasLife:0 startCountdown:1 stopCountdown:0 changeCountdownBy:1 countdown:0 onCountdownEnd:1 onLifeZero:1 onScore:2 highScore:0 saveHighScore:0 showScore:1 showLife:1 showCountdown:1 setBorderColor:1 setFontColor:1 setBackgroundColor:1 setLifeImage:1 player1 player2 player3 player4",
+        music: "playTone:2 ringTone:1 rest:1 setTempo:1 changeTempoBy:1 tempo:0 beat:0-1 noteFrequency:1 playMelody:2 setVolume:1 volume:0 stopAllSounds:0 playSound:1 playSoundUntilDone:1 play:2 melodyPlayable:1 stringPlayable:2 tonePlayable:2 PlaybackMode _playDefaultBackground:2 createSong:1 playSoundEffect:1-2 createSoundEffect:6-9 baDing wawawawaa powerUp powerDown jumpUp jumpDown magicWand siren pewPew knock footstep thump smallCrash bigCrash zapped buzzer sonar spooky",
+        effects: "spray fire warmRadial coolRadial halo fountain confetti hearts smiles rings ashes trail bubbles blizzard starField disintegrate dissolve melt splatter slash clearParticles:1"
+      },
+      enums: {
+        ControllerButtonEvent: "Pressed Released Repeated",
+        CollisionDirection: "Left Top Right Bottom"
       }
-      if (!new RegExp("^(?:" + indexVar + "\\+\\+|\\+\\+" + indexVar + ")$").test(parts[2])) {
-        violations.push("for-loop increment must be i++");
+    },
+    maker: {
+      name: "Maker",
+      namespaces: {
+        ...SHARED_NAMESPACES,
+        pins: MICROBIT_PINS,
+        loops: "forever:1 pause:1 everyInterval:2",
+        music: MICROBIT_MUSIC
+      },
+      enums: {
+        BeatFraction: MICROBIT_ENUMS.BeatFraction,
+        PulseValue: MICROBIT_ENUMS.PulseValue,
+        DigitalPin: MICROBIT_ENUMS.DigitalPin,
+        AnalogPin: MICROBIT_ENUMS.AnalogPin
       }
     }
+  };
 
-    const lines = code.replace(/\r\n/g, "\n").replace(/\r/g, "\n").split("\n");
-    let depth = 0;
-    for (const line of lines) {
-      const trimmed = line.trim();
-      const lineDepth = depth;
-      if (trimmed) {
-        if (lineDepth > 0 && eventRegistrationRe.test(trimmed)) violations.push("nested event registration");
-        const fnDecl = trimmed.match(/^function\s+([A-Z_a-z][A-Z_a-z0-9_]*)\s*\(([^)]*)\)/);
-        if (fnDecl) {
-          if (lineDepth > 0) violations.push("non-top-level function declaration");
-          const params = fnDecl[2].trim();
-          if (params && (params.includes("?") || params.includes("="))) {
-            violations.push("optional/default parameters in function declaration");
-          }
-        }
-        if (/^let\s+[A-Z_a-z][A-Z_a-z0-9_]*(\s*:\s*[^=;]+)?\s*;?$/.test(trimmed)) {
-          violations.push("variable declaration without initializer");
-        }
+  const parsedApiCatalogs = {};
+
+  const parseApiMembers = (spec) => {
+    const members = {};
+    spec.split(/\s+/).filter(Boolean).forEach((entry) => {
+      const [name, arity] = entry.split(":");
+      if (arity === undefined) {
+        members[name] = null;
+        return;
+      }
+      const [min, max] = arity.split("-").map(Number);
+      members[name] = { min, max: max === undefined ? min : max };
+    });
+    return members;
+  };
+
+  /* returns { name, namespaces: { ns: { member: { min, max } | null } }, enums: { Enum: Set } } */
+  function apiCatalogFor(target) {
+    const key = MAKECODE_API_CATALOG[target] ? target : "microbit";
+    if (!parsedApiCatalogs[key]) {
+      const source = MAKECODE_API_CATALOG[key];
+      const namespaces = {};
+      const enums = {};
+      Object.keys(source.namespaces).forEach((ns) => {
+        namespaces[ns] = parseApiMembers(source.namespaces[ns]);
+      });
+      Object.keys(source.enums).forEach((name) => {
+        enums[name] = new Set(source.enums[name].split(/\s+/).filter(Boolean));
+      });
+      parsedApiCatalogs[key] = { name: source.name, namespaces, enums };
+    }
+    return parsedApiCatalogs[key];
+  }
+
+  const editDistance = (a, b) => {
+    const left = a.toLowerCase();
+    const right = b.toLowerCase();
+    let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= left.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= right.length; j++) {
+        row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1));
       }
-      const opens = (line.match(/\{/g) || []).length;
-      const closes = (line.match(/\}/g) || []).length;
-      depth = Math.max(0, depth + opens - closes);
+      previous = row;
     }
-    if (/[^\x09\x0A\x0D\x20-\x7E]/.test(code)) violations.push("non-ASCII characters");
-    return { ok: violations.length === 0, violations: [...new Set(violations)] };
+    return previous[right.length];
   };
 
-  let BASE_TEMP = 0.1;
-  let MAXTOK = 3072;
+  /* closest known names first, so retry hints lead with the likely intended member */
+  function suggestApiNames(name, candidates, limit = 3) {
+    return candidates
+      .map((candidate) => ({ candidate, distance: editDistance(name, candidate) }))
+      .filter((entry) => entry.distance <= Math.max(2, Math.floor(name.length / 2)))
+      .sort((a, b) => (a.distance - b.distance) || a.candidate.localeCompare(b.candidate))
+      .slice(0, limit)
+      .map((entry) => entry.candidate);
+  }
 
-  const sysFor = (target) => {
-    let namespaceList = "basic,input,music,led,radio,pins,loops,logic,variables,math,functions,arrays,text,game,images,serial,control";
-    let targetName = "micro:bit";
-    if (target === "arcade") {
-      namespaceList = "controller,game,scene,sprites,info,music,effects";
-      targetName = "Arcade";
+  function formatArity(range) {
+    if (range.min === range.max) return range.min + (range.min === 1 ? " argument" : " arguments");
+    return range.min + "-" + range.max + " arguments";
+  }
+  /* @shared-end makecode-api-catalog */
+
+  /* @shared-begin blocks-validator: generated from shared/blocks-validator.mjs by `npm run sync:shared`, edit the module instead */
+
+  const MAKECODE_PUNCTUATORS = [
+    ">>>=", "...", "===", "!==", "**=", "<<=", ">>=", ">>>", "&&=", "||=", "??=",
+    "=>", "==", "!=", "<=", ">=", "&&", "||", "??", "?.", "++", "--", "+=", "-=", "*=", "/=", "%=", "&=", "|=", "^=", "**", "<<", ">>",
+    "{", "}", "(", ")", "[", "]", ";", ",", "<", ">", "+", "-", "*", "/", "%", "&", "|", "^", "!", "~", "?", ":", "=", ".", "@", "#"
+  ];
+
+  const MAKECODE_EXPRESSION_END_KEYWORDS = new Set(["this", "super", "null", "undefined", "true", "false"]);
+
+  const MAKECODE_EVENT_REGISTRATION_RE = /^(?:basic\.forever|loops\.forever|input\.on\w*|radio\.on\w*|pins\.on\w*|controller\.\w+\.onEvent|controller\.on\w*|sprites\.on\w*|scene\.on\w*|game\.on\w*|info\.on\w*|control\.inBackground)$/;
+
+  const MAKECODE_HIGHER_ORDER_METHODS = new Set(["map", "forEach", "filter", "reduce", "find", "some", "every"]);
+
+  const MAKECODE_ALLOWED_ASSIGNMENTS = new Set(["=", "+=", "-="]);
+
+  const MAKECODE_BITWISE_OPERATORS = new Set(["|", "&", "^", "<<", ">>", ">>>"]);
+
+  const DIAGNOSTIC_SNIPPET_CHARS = 120;
+
+  const blocksSyntaxError = (message, pos) => {
+    const error = new Error(message);
+    error.name = "BlocksSyntaxError";
+    error.pos = pos;
+    return error;
+  };
+
+  const isBlocksSyntaxError = (error) => Boolean(error && error.name === "BlocksSyntaxError");
+
+  // Deeper nesting than this is reported as a syntax error rather than recursing until the stack
+  // runs out; real MakeCode programs stay far below it.
+  const MAX_NESTING_DEPTH = 200;
+  const TOO_DEEP_MESSAGE = "Code is nested too deeply";
+
+  // Long flat chains (a + a + ... thousands of times) still build deep trees; engines report the
+  // overflow as RangeError (V8, JavaScriptCore) or InternalError (Firefox).
+  const isStackOverflow = (error) => error instanceof RangeError || Boolean(error && error.name === "InternalError");
+
+  /* ── tokenizer ───────────────────────────────────────────── */
+
+  const isIdentStart = (ch) => /[A-Za-z_$]/.test(ch);
+  const isIdentPart = (ch) => /[A-Za-z0-9_$]/.test(ch);
+
+  function tokenizeMakeCode(source) {
+    const comments = [];
+    const scan = (pos, stopAtBrace) => {
+      const tokens = [];
+      let braceDepth = 0;
+      let newlineBefore = false;
+      const lastSignificant = () => tokens[tokens.length - 1];
+      const regexAllowed = () => {
+        const last = lastSignificant();
+        if (!last) return true;
+        if (last.type === "num" || last.type === "string" || last.type === "template" || last.type === "regex") return false;
+        if (last.type === "name") return !MAKECODE_EXPRESSION_END_KEYWORDS.has(last.value) && /^(?:return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)$/.test(last.value);
+        return !(last.value === ")" || last.value === "]" || last.value === "}" || last.value === "++" || last.value === "--");
+      };
+      const push = (token) => {
+        token.newlineBefore = newlineBefore;
+        newlineBefore = false;
+        tokens.push(token);
+      };
+
+      while (pos < source.length) {
+        const ch = source[pos];
+        const next = source[pos + 1];
+
+        if (ch === "\n") {
+          newlineBefore = true;
+          pos++;
+          continue;
+        }
+        if (/\s/.test(ch)) {
+          pos++;
+          continue;
+        }
+        if (ch === "/" && next === "/") {
+          const end = source.indexOf("\n", pos);
+          const stop = end === -1 ? source.length : end;
+          comments.push({ kind: "line", start: pos, end: stop });
+          pos = stop;
+          continue;
+        }
+        if (ch === "/" && next === "*") {
+          const end = source.indexOf("*/", pos + 2);
+          if (end === -1) throw blocksSyntaxError("Unterminated block comment", pos);
+          comments.push({ kind: "block", start: pos, end: end + 2 });
+          if (source.slice(pos, end).includes("\n")) newlineBefore = true;
+          pos = end + 2;
+          continue;
+        }
+        if (isIdentStart(ch)) {
+          let end = pos + 1;
+          while (end < source.length && isIdentPart(source[end])) end++;
+          push({ type: "name", value: source.slice(pos, end), start: pos, end });
+          pos = end;
+          continue;
+        }
+        if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(next || ""))) {
+          const match = /^(?:0[xX][0-9a-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:[0-9][0-9_]*)?\.?[0-9_]*(?:[eE][+-]?[0-9_]+)?)n?/.exec(source.slice(pos));
+          const end = pos + match[0].length;
+          if (end < source.length && isIdentStart(source[end])) throw blocksSyntaxError("Invalid number literal", pos);
+          push({ type: "num", value: match[0], start: pos, end });
+          pos = end;
+          continue;
+        }
+        if (ch === "\"" || ch === "'") {
+          let end = pos + 1;
+          while (end < source.length && source[end] !== ch) {
+            if (source[end] === "\\") end++;
+            else if (source[end] === "\n") throw blocksSyntaxError("Unterminated string literal", pos);
+            end++;
+          }
+          if (end >= source.length) throw blocksSyntaxError("Unterminated string literal", pos);
+          push({ type: "string", value: source.slice(pos + 1, end), start: pos, end: end + 1 });
+          pos = end + 1;
+          continue;
+        }
+        if (ch === "`") {
+          const token = { type: "template", quasis: [], expressions: [], start: pos, end: pos };
+          let cursor = pos + 1;
+          let chunkStart = cursor;
+          for (;;) {
+            if (cursor >= source.length) throw blocksSyntaxError("Unterminated template literal", pos);
+            const c = source[cursor];
+            if (c === "\\") {
+              cursor += 2;
+              continue;
+            }
+            if (c === "`") {
+              token.quasis.push(source.slice(chunkStart, cursor));
+              cursor++;
+              break;
+            }
+            if (c === "$" && source[cursor + 1] === "{") {
+              token.quasis.push(source.slice(chunkStart, cursor));
+              const inner = scan(cursor + 2, true);
+              token.expressions.push({ tokens: inner.tokens, start: cursor + 2 });
+              cursor = inner.end + 1;
+              chunkStart = cursor;
+              continue;
+            }
+            cursor++;
+          }
+          token.end = cursor;
+          push(token);
+          pos = cursor;
+          continue;
+        }
+        if (ch === "/" && regexAllowed()) {
+          let end = pos + 1;
+          let inClass = false;
+          while (end < source.length) {
+            const c = source[end];
+            if (c === "\n") throw blocksSyntaxError("Unterminated regular expression", pos);
+            if (c === "\\") end++;
+            else if (c === "[") inClass = true;
+            else if (c === "]") inClass = false;
+            else if (c === "/" && !inClass) break;
+            end++;
+          }
+          end++;
+          while (end < source.length && isIdentPart(source[end])) end++;
+          push({ type: "regex", value: source.slice(pos, end), start: pos, end });
+          pos = end;
+          continue;
+        }
+
+        const punct = MAKECODE_PUNCTUATORS.find((candidate) => source.startsWith(candidate, pos));
+        if (!punct) throw blocksSyntaxError("Unexpected character '" + ch + "'", pos);
+        if (punct === "?." && /[0-9]/.test(source[pos + 2] || "")) {
+          push({ type: "punct", value: "?", start: pos, end: pos + 1 });
+          pos++;
+          continue;
+        }
+        if (punct === "{") braceDepth++;
+        if (punct === "}") {
+          if (stopAtBrace && braceDepth === 0) {
+            return { tokens: tokens.concat([{ type: "eof", value: "", start: pos, end: pos, newlineBefore }]), end: pos };
+          }
+          braceDepth--;
+        }
+        push({ type: "punct", value: punct, start: pos, end: pos + punct.length });
+        pos += punct.length;
+      }
+
+      if (stopAtBrace) throw blocksSyntaxError("Unterminated template expression", pos);
+      tokens.push({ type: "eof", value: "", start: pos, end: pos, newlineBefore });
+      return { tokens, end: pos };
+    };
+
+    return { tokens: scan(0, false).tokens, comments };
+  }
+
+  /* ── parser ──────────────────────────────────────────────── */
+
+  const BINARY_PRECEDENCE = {
+    "??": 1,
+    "||": 2,
+    "&&": 3,
+    "|": 4,
+    "^": 5,
+    "&": 6,
+    "==": 7, "!=": 7, "===": 7, "!==": 7,
+    "<": 8, ">": 8, "<=": 8, ">=": 8, instanceof: 8, in: 8,
+    "<<": 9, ">>": 9, ">>>": 9,
+    "+": 10, "-": 10,
+    "*": 11, "/": 11, "%": 11,
+    "**": 12
+  };
+
+  const ASSIGNMENT_OPERATORS = new Set(["=", "+=", "-=", "*=", "/=", "%=", "**=", "<<=", ">>=", ">>>=", "&=", "|=", "^=", "&&=", "||=", "??="]);
+
+  function parseMakeCode(source) {
+    const { tokens: initialTokens, comments } = tokenizeMakeCode(source);
+    const notes = [];
+    const program = parseTokens(initialTokens, notes);
+    return { program, comments, notes };
+  }
+
+  function parseTokens(initialTokens, notes) {
+    let tokens = initialTokens;
+    let index = 0;
+
+    const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+    const current = () => tokens[index];
+    const is = (value) => current().type !== "string" && current().type !== "template" && current().value === value;
+    const isName = (value) => current().type === "name" && (value === undefined || current().value === value);
+    const next = () => tokens[index++];
+    const fail = (message, token) => {
+      const at = token || current();
+      throw blocksSyntaxError(message || (at.type === "eof" ? "Unexpected end of code" : "Unexpected token '" + (at.value || at.type) + "'"), at.start);
+    };
+    const eat = (value) => {
+      if (is(value)) {
+        next();
+        return true;
+      }
+      return false;
+    };
+    const expect = (value) => {
+      if (!is(value)) fail("Expected '" + value + "' but found " + (current().type === "eof" ? "end of code" : "'" + (current().value || current().type) + "'"));
+      return next();
+    };
+    const expectName = () => {
+      if (current().type !== "name") fail("Expected a name");
+      return next();
+    };
+    const note = (rule, pos) => notes.push({ rule, pos });
+
+    let depth = 0;
+    const nested = (parse) => {
+      if (depth >= MAX_NESTING_DEPTH) fail(TOO_DEEP_MESSAGE);
+      depth += 1;
+      try {
+        return parse();
+      } finally {
+        depth -= 1;
+      }
+    };
+
+    /* speculative parse: restores the token cursor (and any split tokens) on failure */
+    const attempt = (parse) => {
+      const savedTokens = tokens;
+      const savedIndex = index;
+      const savedNotes = notes.length;
+      try {
+        return parse();
+      } catch (error) {
+        if (!isBlocksSyntaxError(error)) throw error;
+        tokens = savedTokens;
+        index = savedIndex;
+        notes.length = savedNotes;
+        return null;
+      }
+    };
+
+    /* closes a type argument list, splitting ">>" style tokens when needed */
+    const expectTypeClose = () => {
+      const token = current();
+      if (token.type !== "punct" || token.value[0] !== ">") fail("Expected '>'");
+      if (token.value === ">") {
+        next();
+        return;
+      }
+      tokens = tokens.slice();
+      tokens.splice(index, 1,
+        { type: "punct", value: ">", start: token.start, end: token.start + 1, newlineBefore: token.newlineBefore },
+        { type: "punct", value: token.value.slice(1), start: token.start + 1, end: token.end, newlineBefore: false });
+      next();
+    };
+
+    const consumeSemicolon = () => {
+      if (eat(";")) return;
+      if (is("}") || current().type === "eof" || current().newlineBefore) return;
+      fail();
+    };
+
+    const skipBalanced = (open, close) => {
+      expect(open);
+      let depth = 1;
+      while (depth > 0) {
+        if (current().type === "eof") fail("Unexpected end of code");
+        const token = next();
+        if (token.type !== "punct") continue;
+        if (token.value === open) depth++;
+        else if (token.value === close) depth--;
+      }
+    };
+
+    /* ── types (skipped, only generics are recorded) ── */
+    const parseTypeArguments = () => {
+      const start = expect("<").start;
+      if (!is(">")) {
+        parseType();
+        while (eat(",")) parseType();
+      }
+      expectTypeClose();
+      note("generics syntax", start);
+    };
+
+    const parsePrimaryType = () => {
+      if (is("(")) {
+        skipBalanced("(", ")");
+        if (eat("=>")) parseType();
+      } else if (is("{")) {
+        skipBalanced("{", "}");
+      } else if (is("[")) {
+        skipBalanced("[", "]");
+      } else if (isName("typeof") || isName("keyof")) {
+        next();
+        parsePrimaryType();
+        return;
+      } else if (isName("new")) {
+        next();
+        skipBalanced("(", ")");
+        expect("=>");
+        parseType();
+        return;
+      } else if (current().type === "string" || current().type === "num" || current().type === "template") {
+        next();
+      } else if (is("-") && peek(1).type === "num") {
+        next();
+        next();
+      } else if (current().type === "name") {
+        next();
+        while (is(".") && peek(1).type === "name") {
+          next();
+          next();
+        }
+        if (is("<")) parseTypeArguments();
+      } else {
+        fail("Expected a type");
+      }
+      while (is("[") && peek(1).value === "]") {
+        next();
+        next();
+      }
+    };
+
+    const parseType = () => nested(() => {
+      if (is("|") || is("&")) next();
+      parsePrimaryType();
+      while (is("|") || is("&")) {
+        next();
+        parsePrimaryType();
+      }
+    });
+
+    const parseTypeAnnotation = () => {
+      if (!eat(":")) return false;
+      parseType();
+      return true;
+    };
+
+    const parseTypeParameters = () => {
+      if (!is("<")) return false;
+      const start = next().start;
+      do {
+        expectName();
+        if (isName("extends")) {
+          next();
+          parseType();
+        }
+        if (eat("=")) parseType();
+      } while (eat(","));
+      expectTypeClose();
+      note("generics syntax", start);
+      return true;
+    };
+
+    /* ── expressions ── */
+    const parseArguments = () => {
+      expect("(");
+      const args = [];
+      while (!is(")")) {
+        if (is("...")) {
+          const start = next().start;
+          args.push({ type: "SpreadElement", pos: start, argument: parseAssignment() });
+        } else {
+          args.push(parseAssignment());
+        }
+        if (!eat(",")) break;
+      }
+      expect(")");
+      return args;
+    };
+
+    const parseParams = () => {
+      expect("(");
+      const params = [];
+      while (!is(")")) {
+        const pos = current().start;
+        const rest = eat("...");
+        let target;
+        if (is("[") || is("{")) target = parseBindingPattern();
+        else target = { type: "Identifier", pos, name: expectName().value };
+        const optional = eat("?");
+        parseTypeAnnotation();
+        const init = eat("=") ? parseAssignment() : null;
+        params.push({ type: "Param", pos, target, optional, rest, init });
+        if (!eat(",")) break;
+      }
+      expect(")");
+      return params;
+    };
+
+    const parseFunctionBody = () => parseBlock();
+
+    const lastEnd = () => tokens[index - 1].end;
+
+    const parseArrowFrom = (pos, params, isAsync, paramsStart, paramsEnd) => {
+      const arrowEnd = expect("=>").end;
+      const body = is("{") ? parseFunctionBody() : parseAssignment();
+      return { type: "ArrowFunction", pos, params, body, async: isAsync, paramsStart, paramsEnd, arrowEnd, end: lastEnd() };
+    };
+
+    const tryArrow = () => {
+      const pos = current().start;
+      let isAsync = false;
+      if (isName("async") && !peek(1).newlineBefore && (peek(1).type === "name" || peek(1).value === "(")) {
+        next();
+        isAsync = true;
+      }
+      if (current().type === "name" && peek(1).value === "=>") {
+        const name = next();
+        return parseArrowFrom(pos, [{ type: "Param", pos: name.start, target: { type: "Identifier", pos: name.start, name: name.value }, optional: false, rest: false, init: null }], isAsync, name.start, name.end);
+      }
+      if (is("<")) parseTypeParameters();
+      if (!is("(")) fail();
+      const paramsStart = current().start;
+      const params = parseParams();
+      const paramsEnd = lastEnd();
+      parseTypeAnnotation();
+      if (!is("=>") || current().newlineBefore) fail();
+      return parseArrowFrom(pos, params, isAsync, paramsStart, paramsEnd);
+    };
+
+    const looksLikeArrow = () => {
+      const token = current();
+      if (token.type === "name" && peek(1).value === "=>") return true;
+      if (token.type === "name" && token.value === "async" && (peek(1).type === "name" || peek(1).value === "(")) return true;
+      return token.value === "(" || token.value === "<";
+    };
+
+    const parseTemplate = (tag) => {
+      const token = next();
+      const expressions = token.expressions.map((part) => {
+        const inner = parseTokens(part.tokens, notes);
+        if (inner.body.length !== 1 || inner.body[0].type !== "ExpressionStatement") {
+          throw blocksSyntaxError("Invalid template expression", part.start);
+        }
+        return inner.body[0].expression;
+      });
+      return { type: "TemplateLiteral", pos: tag ? tag.pos : token.start, tag, quasis: token.quasis, expressions };
+    };
+
+    const parseObjectLiteral = () => {
+      const pos = expect("{").start;
+      const properties = [];
+      while (!is("}")) {
+        const propPos = current().start;
+        if (is("...")) {
+          next();
+          properties.push({ type: "SpreadElement", pos: propPos, argument: parseAssignment() });
+        } else {
+          let computed = null;
+          let key = "";
+          if ((isName("get") || isName("set") || isName("async")) && peek(1).value !== ":" && peek(1).value !== "(" && peek(1).value !== "," && peek(1).value !== "}") next();
+          if (eat("*")) {
+            /* generator method */
+          }
+          if (is("[")) {
+            next();
+            computed = parseAssignment();
+            expect("]");
+          } else if (current().type === "name" || current().type === "string" || current().type === "num") {
+            key = next().value;
+          } else {
+            fail();
+          }
+          let value = null;
+          let shorthand = false;
+          if (eat(":")) {
+            value = parseAssignment();
+          } else if (is("(") || is("<")) {
+            parseTypeParameters();
+            const params = parseParams();
+            parseTypeAnnotation();
+            value = { type: "FunctionExpression", pos: propPos, params, body: parseFunctionBody(), name: key };
+          } else {
+            shorthand = true;
+            if (eat("=")) value = parseAssignment();
+          }
+          properties.push({ type: "Property", pos: propPos, key, computed, value, shorthand });
+        }
+        if (!eat(",")) break;
+      }
+      expect("}");
+      return { type: "ObjectLiteral", pos, properties };
+    };
+
+    const parseArrayLiteral = () => {
+      const pos = expect("[").start;
+      const elements = [];
+      while (!is("]")) {
+        if (is(",")) {
+          next();
+          elements.push(null);
+          continue;
+        }
+        if (is("...")) {
+          const start = next().start;
+          elements.push({ type: "SpreadElement", pos: start, argument: parseAssignment() });
+        } else {
+          elements.push(parseAssignment());
+        }
+        if (!eat(",")) break;
+      }
+      expect("]");
+      return { type: "ArrayLiteral", pos, elements };
+    };
+
+    const parseBindingPattern = () => {
+      const node = is("[") ? parseArrayLiteral() : parseObjectLiteral();
+      return { type: "Pattern", pos: node.pos, source: node };
+    };
+
+    const parseFunctionExpression = (isAsync, pos) => {
+      expect("function");
+      const generator = eat("*");
+      const name = current().type === "name" && !is("(") ? next().value : "";
+      parseTypeParameters();
+      const params = parseParams();
+      parseTypeAnnotation();
+      return { type: "FunctionExpression", pos, name, params, body: parseFunctionBody(), async: isAsync, generator };
+    };
+
+    const parsePrimary = () => {
+      const token = current();
+      if (token.type === "num") {
+        next();
+        return { type: "Literal", pos: token.start, kind: "number", value: token.value };
+      }
+      if (token.type === "string") {
+        next();
+        return { type: "Literal", pos: token.start, kind: "string", value: token.value };
+      }
+      if (token.type === "regex") {
+        next();
+        return { type: "Literal", pos: token.start, kind: "regex", value: token.value };
+      }
+      if (token.type === "template") return parseTemplate(null);
+      if (token.value === "(") {
+        next();
+        const expression = parseExpression();
+        expect(")");
+        return { type: "Parenthesized", pos: token.start, expression };
+      }
+      if (token.value === "[") return parseArrayLiteral();
+      if (token.value === "{") return parseObjectLiteral();
+      if (token.value === "<" ) {
+        const start = next().start;
+        parseType();
+        expectTypeClose();
+        return { type: "TypeAssertion", pos: start, expression: parseUnary() };
+      }
+      if (token.type !== "name") fail();
+
+      if (token.value === "function") return parseFunctionExpression(false, token.start);
+      if (token.value === "async" && peek(1).value === "function" && !peek(1).newlineBefore) {
+        next();
+        return parseFunctionExpression(true, token.start);
+      }
+      if (token.value === "class") return parseClass(true);
+      if (token.value === "new") {
+        next();
+        if (eat(".")) {
+          expectName();
+          return { type: "MetaProperty", pos: token.start };
+        }
+        const callee = parseMemberOnly(parsePrimary());
+        if (is("<")) {
+          const typed = attempt(() => {
+            parseTypeArguments();
+            if (!is("(")) fail();
+            return true;
+          });
+          if (!typed && !is("(")) return { type: "NewExpression", pos: token.start, callee, args: [] };
+        }
+        const args = is("(") ? parseArguments() : [];
+        return { type: "NewExpression", pos: token.start, callee, args };
+      }
+      next();
+      if (token.value === "this") return { type: "ThisExpression", pos: token.start };
+      if (token.value === "super") return { type: "Super", pos: token.start };
+      if (token.value === "null") return { type: "Literal", pos: token.start, kind: "null", value: "null" };
+      if (token.value === "true" || token.value === "false") return { type: "Literal", pos: token.start, kind: "boolean", value: token.value };
+      return { type: "Identifier", pos: token.start, name: token.value };
+    };
+
+    const parseMemberOnly = (object) => {
+      let node = object;
+      for (;;) {
+        if (is(".")) {
+          next();
+          const property = current().type === "name" ? next() : fail("Expected a property name");
+          node = { type: "MemberExpression", pos: node.pos, object: node, property: property.value, propertyPos: property.start, computed: null, optional: false };
+        } else if (is("[")) {
+          next();
+          const computed = parseExpression();
+          expect("]");
+          node = { type: "MemberExpression", pos: node.pos, object: node, property: "", computed, optional: false };
+        } else {
+          return node;
+        }
+      }
+    };
+
+    const parseCallTail = (start) => {
+      let node = start;
+      for (;;) {
+        const token = current();
+        if (token.value === "." && token.type === "punct") {
+          next();
+          const property = current().type === "name" ? next() : fail("Expected a property name");
+          node = { type: "MemberExpression", pos: node.pos, object: node, property: property.value, propertyPos: property.start, computed: null, optional: false };
+        } else if (token.value === "?." && token.type === "punct") {
+          next();
+          if (is("(")) {
+            node = { type: "CallExpression", pos: node.pos, callee: node, args: parseArguments(), optional: true };
+          } else if (is("[")) {
+            next();
+            const computed = parseExpression();
+            expect("]");
+            node = { type: "MemberExpression", pos: node.pos, object: node, property: "", computed, optional: true };
+          } else {
+            const property = expectName();
+            node = { type: "MemberExpression", pos: node.pos, object: node, property: property.value, propertyPos: property.start, computed: null, optional: true };
+          }
+        } else if (token.value === "[" && token.type === "punct") {
+          next();
+          const computed = parseExpression();
+          expect("]");
+          node = { type: "MemberExpression", pos: node.pos, object: node, property: "", computed, optional: false };
+        } else if (token.value === "(" && token.type === "punct") {
+          node = { type: "CallExpression", pos: node.pos, callee: node, args: parseArguments(), optional: false };
+        } else if (token.type === "template") {
+          node = parseTemplate(node);
+        } else if (token.value === "!" && token.type === "punct" && !token.newlineBefore && !(peek(1).value === "=" || peek(1).value === "==")) {
+          next();
+          node = { type: "NonNullExpression", pos: node.pos, expression: node };
+        } else if (token.value === "<" && token.type === "punct") {
+          const typed = attempt(() => {
+            parseTypeArguments();
+            if (!is("(")) fail();
+            return true;
+          });
+          if (!typed) return node;
+          node = { type: "CallExpression", pos: node.pos, callee: node, args: parseArguments(), optional: false };
+        } else {
+          return node;
+        }
+      }
+    };
+
+    const parsePostfix = () => {
+      const node = parseCallTail(parsePrimary());
+      if ((is("++") || is("--")) && !current().newlineBefore) {
+        const operator = next().value;
+        return { type: "UpdateExpression", pos: node.pos, operator, prefix: false, argument: node };
+      }
+      return node;
+    };
+
+    const parseUnary = () => nested(parseUnaryNode);
+
+    const parseUnaryNode = () => {
+      const token = current();
+      if (token.type === "punct" && (token.value === "++" || token.value === "--")) {
+        next();
+        return { type: "UpdateExpression", pos: token.start, operator: token.value, prefix: true, argument: parseUnary() };
+      }
+      if (token.type === "punct" && ["!", "-", "+", "~"].includes(token.value)) {
+        next();
+        return { type: "UnaryExpression", pos: token.start, operator: token.value, argument: parseUnary() };
+      }
+      if (token.type === "name" && ["typeof", "void", "delete"].includes(token.value)) {
+        next();
+        return { type: "UnaryExpression", pos: token.start, operator: token.value, argument: parseUnary() };
+      }
+      if (token.type === "name" && token.value === "await" && peek(1).type !== "punct") {
+        next();
+        return { type: "AwaitExpression", pos: token.start, argument: parseUnary() };
+      }
+      if (token.type === "name" && token.value === "await" && peek(1).value === "(") {
+        next();
+        return { type: "AwaitExpression", pos: token.start, argument: parseUnary() };
+      }
+      return parsePostfix();
+    };
+
+    const parseBinary = (minPrecedence, noIn) => {
+      let left = parseUnary();
+      for (;;) {
+        const token = current();
+        if (token.type === "name" && token.value === "as" && !token.newlineBefore) {
+          next();
+          if (isName("const")) next();
+          else parseType();
+          left = { type: "AsExpression", pos: token.start, expression: left };
+          continue;
+        }
+        const operator = token.type === "punct" || (token.type === "name" && (token.value === "instanceof" || (token.value === "in" && !noIn)))
+          ? token.value
+          : "";
+        const precedence = BINARY_PRECEDENCE[operator];
+        if (!precedence || precedence < minPrecedence) return left;
+        next();
+        const right = operator === "**" ? parseBinary(precedence, noIn) : parseBinary(precedence + 1, noIn);
+        left = { type: "BinaryExpression", pos: left.pos, operatorPos: token.start, operator, left, right };
+      }
+    };
+
+    const parseConditional = (noIn) => {
+      const test = parseBinary(1, noIn);
+      if (!is("?")) return test;
+      const pos = next().start;
+      const consequent = parseAssignment();
+      expect(":");
+      const alternate = parseAssignment(noIn);
+      return { type: "ConditionalExpression", pos, test, consequent, alternate };
+    };
+
+    const parseAssignment = (noIn) => {
+      if (isName("yield")) {
+        const pos = next().start;
+        eat("*");
+        const argument = (is(")") || is("]") || is("}") || is(",") || is(";") || current().newlineBefore || current().type === "eof") ? null : parseAssignment(noIn);
+        return { type: "YieldExpression", pos, argument };
+      }
+      if (looksLikeArrow()) {
+        const arrow = attempt(tryArrow);
+        if (arrow) return arrow;
+      }
+      const left = parseConditional(noIn);
+      const token = current();
+      if (token.type === "punct" && ASSIGNMENT_OPERATORS.has(token.value)) {
+        next();
+        const right = parseAssignment(noIn);
+        return { type: "AssignmentExpression", pos: left.pos, operatorPos: token.start, operator: token.value, left, right, end: lastEnd() };
+      }
+      return left;
+    };
+
+    const parseExpression = (noIn) => {
+      const first = parseAssignment(noIn);
+      if (!is(",")) return first;
+      const expressions = [first];
+      while (eat(",")) expressions.push(parseAssignment(noIn));
+      return { type: "SequenceExpression", pos: first.pos, expressions };
+    };
+
+    /* ── statements ── */
+    const parseBlock = () => {
+      const pos = expect("{").start;
+      const body = [];
+      while (!is("}")) {
+        if (current().type === "eof") fail("Expected '}' but found end of code");
+        body.push(parseStatement());
+      }
+      expect("}");
+      return { type: "BlockStatement", pos, body, end: lastEnd() };
+    };
+
+    const parseVariableDeclaration = (noIn) => {
+      const kindToken = next();
+      const declarations = [];
+      do {
+        const pos = current().start;
+        const target = (is("[") || is("{"))
+          ? parseBindingPattern()
+          : { type: "Identifier", pos, name: expectName().value };
+        eat("!");
+        const typed = parseTypeAnnotation();
+        const init = eat("=") ? parseAssignment(noIn) : null;
+        declarations.push({ type: "VariableDeclarator", pos, target, typed, init });
+      } while (eat(","));
+      return { type: "VariableDeclaration", pos: kindToken.start, kind: kindToken.value, declarations };
+    };
+
+    const parseFunctionDeclaration = (pos, isAsync) => {
+      expect("function");
+      const generator = eat("*");
+      const name = expectName().value;
+      parseTypeParameters();
+      const params = parseParams();
+      parseTypeAnnotation();
+      if (!is("{")) {
+        consumeSemicolon();
+        return { type: "FunctionDeclaration", pos, name, params, body: null, async: isAsync, generator };
+      }
+      return { type: "FunctionDeclaration", pos, name, params, body: parseFunctionBody(), async: isAsync, generator };
+    };
+
+    function parseClass(asExpression) {
+      const pos = current().start;
+      expect("class");
+      if (current().type === "name" && !isName("extends") && !isName("implements")) next();
+      parseTypeParameters();
+      if (isName("extends")) {
+        next();
+        parseCallTail(parsePrimary());
+      }
+      if (isName("implements")) {
+        next();
+        parseType();
+        while (eat(",")) parseType();
+      }
+      skipBalanced("{", "}");
+      return { type: asExpression ? "ClassExpression" : "ClassDeclaration", pos };
+    }
+
+    const parseForStatement = (pos) => {
+      expect("(");
+      let init = null;
+      if (is(";")) {
+        init = null;
+      } else if ((isName("let") || isName("const") || isName("var")) && (peek(1).type === "name" || peek(1).value === "[" || peek(1).value === "{")) {
+        init = parseVariableDeclaration(true);
+      } else {
+        init = parseExpression(true);
+      }
+      if (init && (isName("of") || isName("in"))) {
+        const kind = next().value;
+        const right = kind === "of" ? parseAssignment() : parseExpression();
+        expect(")");
+        return { type: kind === "of" ? "ForOfStatement" : "ForInStatement", pos, left: init, right, body: parseStatement() };
+      }
+      expect(";");
+      const test = is(";") ? null : parseExpression();
+      expect(";");
+      const update = is(")") ? null : parseExpression();
+      expect(")");
+      return { type: "ForStatement", pos, init, test, update, body: parseStatement() };
+    };
+
+    const skipDeclarationHead = () => {
+      while (!is("{") && current().type !== "eof") next();
+    };
+
+    function parseStatement() {
+      return nested(parseStatementNode);
+    }
+
+    function parseStatementNode() {
+      const token = current();
+      const pos = token.start;
+
+      if (token.type === "punct") {
+        if (token.value === "{") return parseBlock();
+        if (token.value === ";") {
+          next();
+          return { type: "EmptyStatement", pos };
+        }
+        if (token.value === "@") fail("Decorators are not supported");
+      }
+
+      if (token.type === "name") {
+        const word = token.value;
+        const following = peek(1);
+        const declarationFollows = following.type === "name" || following.value === "[" || following.value === "{";
+
+        if ((word === "let" || word === "var") && declarationFollows) {
+          const node = parseVariableDeclaration(false);
+          consumeSemicolon();
+          return node;
+        }
+        if (word === "const" && following.type === "name" && following.value === "enum") {
+          next();
+          return parseStatement();
+        }
+        if (word === "const" && declarationFollows) {
+          const node = parseVariableDeclaration(false);
+          consumeSemicolon();
+          return node;
+        }
+        if (word === "function") return parseFunctionDeclaration(pos, false);
+        if (word === "async" && following.value === "function" && !following.newlineBefore) {
+          next();
+          return parseFunctionDeclaration(pos, true);
+        }
+        if (word === "if") {
+          next();
+          expect("(");
+          const test = parseExpression();
+          expect(")");
+          const consequent = parseStatement();
+          const alternate = isName("else") ? (next(), parseStatement()) : null;
+          return { type: "IfStatement", pos, test, consequent, alternate };
+        }
+        if (word === "while") {
+          next();
+          expect("(");
+          const test = parseExpression();
+          expect(")");
+          return { type: "WhileStatement", pos, test, body: parseStatement() };
+        }
+        if (word === "do") {
+          next();
+          const body = parseStatement();
+          if (!isName("while")) fail("Expected 'while'");
+          next();
+          expect("(");
+          const test = parseExpression();
+          expect(")");
+          eat(";");
+          return { type: "DoWhileStatement", pos, test, body };
+        }
+        if (word === "for") {
+          next();
+          if (isName("await")) next();
+          return parseForStatement(pos);
+        }
+        if (word === "return") {
+          next();
+          const argument = (is(";") || is("}") || current().type === "eof" || current().newlineBefore) ? null : parseExpression();
+          consumeSemicolon();
+          return { type: "ReturnStatement", pos, argument };
+        }
+        if ((word === "break" || word === "continue") && !(following.value === "=" || following.value === "." || following.value === "(")) {
+          next();
+          if (current().type === "name" && !current().newlineBefore) next();
+          consumeSemicolon();
+          return { type: word === "break" ? "BreakStatement" : "ContinueStatement", pos };
+        }
+        if (word === "throw") {
+          next();
+          const argument = parseExpression();
+          consumeSemicolon();
+          return { type: "ThrowStatement", pos, argument };
+        }
+        if (word === "try") {
+          next();
+          const block = parseBlock();
+          let handler = null;
+          let finalizer = null;
+          if (isName("catch")) {
+            next();
+            if (eat("(")) {
+              if (is("[") || is("{")) parseBindingPattern();
+              else expectName();
+              parseTypeAnnotation();
+              expect(")");
+            }
+            handler = parseBlock();
+          }
+          if (isName("finally")) {
+            next();
+            finalizer = parseBlock();
+          }
+          if (!handler && !finalizer) fail("Expected 'catch' or 'finally'");
+          return { type: "TryStatement", pos, block, handler, finalizer };
+        }
+        if (word === "switch") {
+          next();
+          expect("(");
+          const discriminant = parseExpression();
+          expect(")");
+          expect("{");
+          const cases = [];
+          while (!is("}")) {
+            const casePos = current().start;
+            let test = null;
+            if (isName("case")) {
+              next();
+              test = parseExpression();
+            } else if (isName("default")) {
+              next();
+            } else {
+              fail();
+            }
+            expect(":");
+            const consequent = [];
+            while (!is("}") && !isName("case") && !isName("default")) {
+              if (current().type === "eof") fail("Expected '}' but found end of code");
+              consequent.push(parseStatement());
+            }
+            cases.push({ type: "SwitchCase", pos: casePos, test, consequent });
+          }
+          expect("}");
+          return { type: "SwitchStatement", pos, discriminant, cases };
+        }
+        if (word === "debugger") {
+          next();
+          consumeSemicolon();
+          return { type: "EmptyStatement", pos };
+        }
+        if (word === "import" && following.value !== "(" && following.value !== ".") {
+          next();
+          while (!is(";") && current().type !== "eof" && !(current().newlineBefore && index > 0 && tokens[index - 1].type === "string")) next();
+          eat(";");
+          return { type: "ImportDeclaration", pos };
+        }
+        if (word === "export") {
+          next();
+          if (isName("default")) next();
+          if (is("*") || is("{")) {
+            while (!is(";") && current().type !== "eof" && !(current().newlineBefore && tokens[index - 1].type === "string")) next();
+            eat(";");
+            return { type: "ExportDeclaration", pos, declaration: null };
+          }
+          return { type: "ExportDeclaration", pos, declaration: parseStatement() };
+        }
+        if ((word === "declare" || word === "abstract") && following.type === "name" && !following.newlineBefore) {
+          next();
+          return parseStatement();
+        }
+        if (word === "class" && following.type === "name") return parseClass(false);
+        if (word === "interface" && following.type === "name" && !following.newlineBefore) {
+          next();
+          skipDeclarationHead();
+          skipBalanced("{", "}");
+          return { type: "InterfaceDeclaration", pos };
+        }
+        if (word === "type" && following.type === "name" && !following.newlineBefore) {
+          next();
+          next();
+          parseTypeParameters();
+          expect("=");
+          parseType();
+          consumeSemicolon();
+          return { type: "TypeAliasDeclaration", pos };
+        }
+        if (word === "enum" && following.type === "name" && !following.newlineBefore) {
+          next();
+          next();
+          skipBalanced("{", "}");
+          return { type: "EnumDeclaration", pos };
+        }
+        if ((word === "namespace" || word === "module") && (following.type === "name" || following.type === "string") && !following.newlineBefore) {
+          next();
+          next();
+          while (eat(".")) expectName();
+          return { type: "NamespaceDeclaration", pos, body: parseBlock() };
+        }
+        if (following.value === ":" && following.type === "punct" && !["case", "default"].includes(word)) {
+          next();
+          next();
+          return { type: "LabeledStatement", pos, body: parseStatement() };
+        }
+      }
+
+      const expression = parseExpression();
+      consumeSemicolon();
+      return { type: "ExpressionStatement", pos, expression };
+    }
+
+    const body = [];
+    while (current().type !== "eof") body.push(parseStatement());
+    return { type: "Program", pos: 0, body };
+  }
+
+  /* ── checks ──────────────────────────────────────────────── */
+
+  function memberPath(node) {
+    if (!node) return "";
+    if (node.type === "Identifier") return node.name;
+    if (node.type === "MemberExpression" && !node.computed) {
+      const objectPath = memberPath(node.object);
+      return objectPath ? objectPath + "." + node.property : "";
+    }
+    return "";
+  }
+
+  function childNodes(node) {
+    const children = [];
+    for (const key of Object.keys(node)) {
+      if (key === "pos" || key === "type") continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        for (const item of value) {
+          if (item && typeof item === "object" && typeof item.type === "string") children.push(item);
+        }
+      } else if (value && typeof value === "object" && typeof value.type === "string") {
+        children.push(value);
+      }
+    }
+    return children;
+  }
+
+  const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+  function collectViolations(program, target, report) {
+    const crossTarget = [];
+    const isMicrobitLike = target === "microbit" || target === "maker";
+    const catalog = apiCatalogFor(target);
+
+    const checkCatalogMember = (node, root) => {
+      if (node.computed || !root) return;
+      const members = hasOwn(catalog.namespaces, root) ? catalog.namespaces[root] : null;
+      if (members && !hasOwn(members, node.property)) {
+        const names = Object.keys(members);
+        const suggestions = suggestApiNames(node.property, names).map((name) => root + "." + name);
+        report(
+          "unknown API " + root + "." + node.property,
+          node.propertyPos,
+          root + "." + node.property + " is not a " + catalog.name + " API",
+          (suggestions.length ? "did you mean " + suggestions.join(" or ") + "? " : "") + root + " has: " + names.join(", ")
+        );
+      }
+      const enumMembers = hasOwn(catalog.enums, root) ? catalog.enums[root] : null;
+      if (enumMembers && !enumMembers.has(node.property)) {
+        const names = [...enumMembers];
+        const suggestions = suggestApiNames(node.property, names).map((name) => root + "." + name);
+        report(
+          "unknown enum member " + root + "." + node.property,
+          node.propertyPos,
+          root + "." + node.property + " is not a " + catalog.name + " " + root + " value",
+          (suggestions.length ? "did you mean " + suggestions.join(" or ") + "? " : "") + root + " values: " + names.join(", ")
+        );
+      }
+    };
+
+    const checkCatalogArity = (node) => {
+      const callee = node.callee;
+      if (callee.type !== "MemberExpression" || callee.computed || callee.object.type !== "Identifier") return;
+      const root = callee.object.name;
+      const members = hasOwn(catalog.namespaces, root) ? catalog.namespaces[root] : null;
+      const range = members && hasOwn(members, callee.property) ? members[callee.property] : null;
+      if (!range || node.args.some((arg) => arg.type === "SpreadElement")) return;
+      if (node.args.length < range.min || node.args.length > range.max) {
+        const name = root + "." + callee.property;
+        report(
+          "wrong argument count for " + name,
+          node.pos,
+          name + " takes " + formatArity(range) + " but got " + node.args.length,
+          "call " + name + " with " + formatArity(range)
+        );
+      }
+    };
+
+    const checkForStatement = (node) => {
+      const init = node.init;
+      const declarator = init && init.type === "VariableDeclaration" && init.kind === "let" && init.declarations.length === 1
+        ? init.declarations[0]
+        : null;
+      const indexVar = declarator && declarator.target.type === "Identifier" && declarator.init
+        && declarator.init.type === "Literal" && declarator.init.kind === "number" && Number(declarator.init.value) === 0
+        ? declarator.target.name
+        : "";
+      if (!indexVar) {
+        report("for-loop initializer must be let i = 0", init ? init.pos : node.pos);
+        return;
+      }
+      const test = node.test;
+      if (!test || test.type !== "BinaryExpression" || (test.operator !== "<" && test.operator !== "<=")
+        || test.left.type !== "Identifier" || test.left.name !== indexVar) {
+        report("for-loop condition must be i < limit or i <= limit", test ? test.pos : node.pos);
+      }
+      const update = node.update;
+      if (!update || update.type !== "UpdateExpression" || update.operator !== "++"
+        || update.argument.type !== "Identifier" || update.argument.name !== indexVar) {
+        report("for-loop increment must be i++", update ? update.pos : node.pos);
+      }
+    };
+
+    const visit = (node, context) => {
+      if (!node) return;
+
+      switch (node.type) {
+        case "Program":
+          node.body.forEach((statement) => visit(statement, { topLevel: true, inCallback: false, inForHead: false }));
+          return;
+        case "ExpressionStatement": {
+          const expression = node.expression;
+          if (expression.type === "CallExpression" && MAKECODE_EVENT_REGISTRATION_RE.test(memberPath(expression.callee)) && !context.topLevel) {
+            report("nested event registration", node.pos);
+          }
+          break;
+        }
+        case "FunctionDeclaration":
+          if (!context.topLevel) report("non-top-level function declaration", node.pos);
+          if (node.params.some((param) => param.optional || param.init)) {
+            report("optional/default parameters in function declaration", node.pos);
+          }
+          if (node.async) report("promises/async", node.pos);
+          if (node.generator) report("generators", node.pos);
+          node.params.forEach((param) => visit(param, { topLevel: false, inCallback: false, inForHead: false }));
+          if (node.body) node.body.body.forEach((statement) => visit(statement, { topLevel: false, inCallback: false, inForHead: false }));
+          return;
+        case "FunctionExpression":
+        case "ArrowFunction":
+          if (node.type === "ArrowFunction") report("arrow functions", node.pos);
+          if (node.async) report("promises/async", node.pos);
+          if (node.generator) report("generators", node.pos);
+          node.params.forEach((param) => visit(param, { topLevel: false, inCallback: true, inForHead: false }));
+          if (node.body.type === "BlockStatement") {
+            node.body.body.forEach((statement) => visit(statement, { topLevel: false, inCallback: true, inForHead: false }));
+          } else {
+            visit(node.body, { topLevel: false, inCallback: true, inForHead: false });
+          }
+          return;
+        case "Param":
+          if (node.rest) report("spread/rest syntax", node.pos);
+          break;
+        case "ReturnStatement":
+          if (node.argument && context.inCallback) report("return value inside callback", node.pos);
+          break;
+        case "VariableDeclaration":
+          if (node.kind !== "let") report("const/var declarations", node.pos);
+          node.declarations.forEach((declarator) => {
+            if (!declarator.init && !context.inForHead) report("variable declaration without initializer", declarator.pos);
+            if (declarator.target.type === "Pattern") report("destructuring", declarator.pos);
+            visit(declarator.target, { ...context, inForHead: false });
+            visit(declarator.init, { ...context, topLevel: false, inForHead: false });
+          });
+          return;
+        case "Pattern":
+          return;
+        case "ForStatement":
+          checkForStatement(node);
+          visit(node.init, { ...context, topLevel: false, inForHead: false });
+          visit(node.test, { ...context, topLevel: false });
+          visit(node.update, { ...context, topLevel: false });
+          visit(node.body, { ...context, topLevel: false });
+          return;
+        case "ForInStatement":
+        case "ForOfStatement":
+          if (node.type === "ForInStatement") report("for...in loops", node.pos);
+          visit(node.left, { ...context, topLevel: false, inForHead: true });
+          visit(node.right, { ...context, topLevel: false });
+          visit(node.body, { ...context, topLevel: false });
+          return;
+        case "ClassDeclaration":
+        case "ClassExpression":
+          report("classes", node.pos);
+          return;
+        case "InterfaceDeclaration":
+        case "TypeAliasDeclaration":
+        case "EnumDeclaration":
+          report("TS types/enums", node.pos);
+          return;
+        case "NamespaceDeclaration":
+          report("namespaces/modules", node.pos);
+          node.body.body.forEach((statement) => visit(statement, { ...context, topLevel: false }));
+          return;
+        case "ImportDeclaration":
+          report("import/export", node.pos);
+          return;
+        case "ExportDeclaration":
+          report("import/export", node.pos);
+          visit(node.declaration, context);
+          return;
+        case "NewExpression":
+          report("new constructor", node.pos);
+          break;
+        case "AwaitExpression":
+          report("promises/async", node.pos);
+          break;
+        case "YieldExpression":
+          report("generators", node.pos);
+          break;
+        case "TemplateLiteral":
+          if (node.expressions.length) report("template string interpolation", node.pos);
+          break;
+        case "CallExpression": {
+          const callee = node.callee;
+          const path = memberPath(callee);
+          checkCatalogArity(node);
+          if (callee.type === "MemberExpression" && !callee.computed && MAKECODE_HIGHER_ORDER_METHODS.has(callee.property)) {
+            report("higher-order array methods", callee.propertyPos);
+          }
+          if (path === "setTimeout" || path === "setInterval") report("timers", node.pos);
+          if (path === "randint") report("randint()", node.pos);
+          if (path === "eval") report("eval", node.pos);
+          if (node.optional) report("optional chaining", node.pos);
+          break;
+        }
+        case "MemberExpression": {
+          if (node.optional) report("optional chaining", node.pos);
+          const root = node.object.type === "Identifier" ? node.object.name : "";
+          if (root === "console") report("console calls", node.pos);
+          if (isMicrobitLike && (/^(?:sprites|controller|scene)$/i.test(root) || (/^game$/i.test(root) && /^onUpdate/i.test(node.property)))) {
+            crossTarget.push({ rule: "Arcade APIs in micro:bit/Maker", pos: node.pos });
+          }
+          if (target === "arcade" && /^(?:led|radio)$/i.test(root)) {
+            crossTarget.push({ rule: "micro:bit APIs in Arcade", pos: node.pos });
+          }
+          checkCatalogMember(node, root);
+          break;
+        }
+        case "Identifier":
+          if (node.name === "undefined") report("undefined", node.pos);
+          if (node.name === "Promise") report("promises/async", node.pos);
+          break;
+        case "Literal":
+          if (node.kind === "null") report("null", node.pos);
+          break;
+        case "AsExpression":
+        case "TypeAssertion":
+          report("casts", node.pos);
+          break;
+        case "UnaryExpression":
+          if (node.operator === "~") report("bitwise operators", node.pos);
+          break;
+        case "BinaryExpression":
+          if (MAKECODE_BITWISE_OPERATORS.has(node.operator)) report("bitwise operators", node.operatorPos);
+          if (node.operator === "??") report("nullish coalescing", node.operatorPos);
+          break;
+        case "AssignmentExpression":
+          if (!MAKECODE_ALLOWED_ASSIGNMENTS.has(node.operator)) report("unsupported assignment operators", node.operatorPos);
+          break;
+        case "ConditionalExpression":
+          report("ternary operator", node.pos);
+          break;
+        case "SpreadElement":
+          report("spread/rest syntax", node.pos);
+          break;
+        default:
+          break;
+      }
+
+      const childContext = { ...context, topLevel: false };
+      childNodes(node).forEach((child) => visit(child, childContext));
+    };
+
+    visit(program, { topLevel: true, inCallback: false, inForHead: false });
+    return crossTarget;
+  }
+
+  function lineStartsFor(code) {
+    const starts = [0];
+    for (let i = 0; i < code.length; i++) {
+      if (code[i] === "\n") starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  function locateOffset(lineStarts, pos) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= pos) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: pos - lineStarts[low] + 1 };
+  }
+
+  /**
+   * Checks that MakeCode Static TypeScript will decompile to Blocks.
+   * Returns { ok, violations, diagnostics }: violations are unique rule names in
+   * first-seen order (used in retry prompts), diagnostics hold every occurrence
+   * with its 1-based line and column plus the trimmed source line as snippet.
+   * Calls into catalogued MakeCode namespaces are checked for unknown members,
+   * enum values and argument counts; those diagnostics also carry a retry hint.
+   */
+  function validateBlocksCompatibility(code, target) {
+    const source = String(code || "").replace(/\r\n?/g, "\n");
+    const lineStarts = lineStartsFor(source);
+    const lines = source.split("\n");
+    const diagnostics = [];
+    const diagnosticAt = (rule, pos, message, hint) => {
+      const location = locateOffset(lineStarts, Math.max(0, Math.min(pos || 0, source.length)));
+      const snippet = lines[location.line - 1].trim();
+      return {
+        rule,
+        message: message || rule,
+        line: location.line,
+        column: location.column,
+        snippet: snippet.length > DIAGNOSTIC_SNIPPET_CHARS ? snippet.slice(0, DIAGNOSTIC_SNIPPET_CHARS - 3) + "..." : snippet,
+        ...(hint ? { hint } : {})
+      };
+    };
+    const report = (rule, pos, message, hint) => {
+      diagnostics.push(diagnosticAt(rule, pos, message, hint));
+    };
+    const finish = (items) => {
+      const violations = [...new Set(items.map((item) => item.rule))];
+      return { ok: violations.length === 0, violations, diagnostics: items };
+    };
+
+    let parsed;
+    let crossTarget;
+    try {
+      parsed = parseMakeCode(source);
+      crossTarget = collectViolations(parsed.program, target, report);
+    } catch (error) {
+      const syntaxError = isStackOverflow(error) ? blocksSyntaxError(TOO_DEEP_MESSAGE, 0) : error;
+      if (!isBlocksSyntaxError(syntaxError)) throw error;
+      diagnostics.length = 0;
+      report("syntax error", syntaxError.pos, "Syntax error: " + syntaxError.message);
+      return finish(diagnostics);
+    }
+
+    if (crossTarget.length) {
+      return finish(crossTarget.map((entry) => diagnosticAt(entry.rule, entry.pos)));
+    }
+
+    parsed.notes.forEach((entry) => report(entry.rule, entry.pos));
+    parsed.comments.forEach((comment) => report(comment.kind === "line" ? "line comments" : "block comments", comment.start));
+
+    lines.forEach((line, lineIndex) => {
+      const column = line.search(/[^\x09\x20-\x7E]/);
+      if (column !== -1) report("non-ASCII characters", lineStarts[lineIndex] + column);
+    });
+
+    diagnostics.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+    return finish(diagnostics);
+  }
+
+  /**
+   * Formats a validation result for retry prompts and logs, for example
+   * "arrow functions (line 4), null (lines 8, 9)". Catalog hints are appended in
+   * brackets so the model learns which API it should have used.
+   */
+  function describeViolations(validation) {
+    const diagnostics = (validation && validation.diagnostics) || [];
+    return ((validation && validation.violations) || []).map((rule) => {
+      const matches = diagnostics.filter((item) => item.rule === rule);
+      const lines = [...new Set(matches.map((item) => item.line))];
+      const hint = matches.length && matches[0].hint ? " [" + matches[0].hint + "]" : "";
+      if (!lines.length) return rule + hint;
+      const shown = lines.slice(0, 5).join(", ") + (lines.length > 5 ? ", ..." : "");
+      return rule + " (" + (lines.length === 1 ? "line " : "lines ") + shown + ")" + hint;
+    }).join(", ");
+  }
+
+  /**
+   * The rule without the API name in it ("unknown API basic.showRainbow" -> "unknown API"),
+   * so callers that count violations, such as the backend's metrics, get a fixed set of values.
+   */
+  function violationCategory(rule) {
+    const match = String(rule || "").match(/^(unknown API|unknown enum member|wrong argument count) /);
+    return match ? match[1] : String(rule || "");
+  }
+  /* @shared-end blocks-validator */
+
+  /* @shared-begin blocks-fixer: generated from shared/blocks-fixer.mjs by `npm run sync:shared`, edit the module instead */
+
+  const FIXER_MAX_PASSES = 3;
+
+  const FIXABLE_COMPOUND_OPERATORS = new Set(["*=", "/=", "%="]);
+
+  const FIX_DESCRIPTIONS = {
+    comment: ["Removed 1 comment", "Removed {n} comments"],
+    const: ["Changed 1 const declaration to let", "Changed {n} const declarations to let"],
+    compound: ["Expanded 1 compound assignment (x *= y to x = x * y)", "Expanded {n} compound assignments (x *= y to x = x * y)"],
+    randint: ["Replaced 1 randint() call with Math.randomRange()", "Replaced {n} randint() calls with Math.randomRange()"],
+    arrow: ["Converted 1 arrow callback to function () {}", "Converted {n} arrow callbacks to function () {}"]
+  };
+
+  const isSimpleOperand = (node) => ["Identifier", "Literal", "MemberExpression", "CallExpression", "Parenthesized", "ThisExpression"].includes(node.type);
+
+  // Expanding x *= y evaluates the target twice, so an index may only read values:
+  // no calls, ++/--, assignments or anything else that could run code.
+  const PURE_INDEX_TYPES = ["Identifier", "Literal", "ThisExpression", "Parenthesized", "MemberExpression", "BinaryExpression", "UnaryExpression"];
+
+  const isPureIndex = (node) => {
+    if (!PURE_INDEX_TYPES.includes(node.type) || node.optional) return false;
+    if (node.type === "UnaryExpression" && node.operator === "delete") return false;
+    return childNodes(node).every(isPureIndex);
+  };
+
+  const isStableTarget = (node) => {
+    if (node.type === "Identifier") return true;
+    if (node.type !== "MemberExpression" || node.optional) return false;
+    if (node.computed && !isPureIndex(node.computed)) return false;
+    return node.object.type === "ThisExpression" || isStableTarget(node.object);
+  };
+
+  const containsThis = (node) => {
+    if (!node) return false;
+    if (node.type === "ThisExpression") return true;
+    if (node.type === "FunctionExpression") return false;
+    return childNodes(node).some(containsThis);
+  };
+
+  const statementLikeBody = (node) => ["CallExpression", "AssignmentExpression", "UpdateExpression"].includes(node.type);
+
+  function commentEdits(source, comments) {
+    return comments.map((comment) => {
+      const lineStart = source.lastIndexOf("\n", comment.start - 1) + 1;
+      const newline = source.indexOf("\n", comment.end);
+      const lineEnd = newline === -1 ? source.length : newline;
+      const before = source.slice(lineStart, comment.start);
+      const after = source.slice(comment.end, lineEnd);
+      if (!before.trim() && !after.trim()) {
+        return { kind: "comment", start: lineStart, end: newline === -1 ? lineEnd : lineEnd + 1, text: "" };
+      }
+      const trimmedStart = comment.start - (before.length - before.trimEnd().length);
+      return { kind: "comment", start: after.trim() ? comment.start : trimmedStart, end: comment.end, text: after.trim() ? " " : "" };
+    });
+  }
+
+  function syntaxEdits(source, program) {
+    const edits = [];
+
+    const visit = (node, context) => {
+      if (!node) return;
+
+      switch (node.type) {
+        case "NamespaceDeclaration":
+          node.body.body.forEach((statement) => visit(statement, { ...context, inNamespace: true }));
+          return;
+        case "VariableDeclaration":
+          if (node.kind === "const" && !context.inNamespace) {
+            edits.push({ kind: "const", start: node.pos, end: node.pos + "const".length, text: "let" });
+          }
+          break;
+        case "AssignmentExpression":
+          if (FIXABLE_COMPOUND_OPERATORS.has(node.operator) && isStableTarget(node.left)) {
+            const left = source.slice(node.left.pos, node.operatorPos).trim();
+            const right = source.slice(node.operatorPos + node.operator.length, node.end).trim();
+            const operand = isSimpleOperand(node.right) ? right : "(" + right + ")";
+            edits.push({ kind: "compound", start: node.pos, end: node.end, text: left + " = " + left + " " + node.operator.slice(0, -1) + " " + operand });
+          }
+          break;
+        case "CallExpression":
+          if (node.callee.type === "Identifier" && node.callee.name === "randint") {
+            edits.push({ kind: "randint", start: node.callee.pos, end: node.callee.pos + "randint".length, text: "Math.randomRange" });
+          }
+          break;
+        case "ArrowFunction":
+          if (context.isCallArgument && !node.async && !containsThis(node.body)) {
+            const head = source.slice(node.paramsStart, node.paramsEnd);
+            const params = source[node.paramsStart] === "(" ? head : "(" + head + ")";
+            if (node.body.type === "BlockStatement") {
+              edits.push({ kind: "arrow", start: node.pos, end: node.body.pos, text: "function " + params + " " });
+            } else if (statementLikeBody(node.body)) {
+              edits.push({ kind: "arrow", start: node.pos, end: node.arrowEnd, text: "function " + params + " {" });
+              edits.push({ kind: "arrow", start: node.end, end: node.end, text: " }", silent: true });
+            }
+          }
+          break;
+        default:
+          break;
+      }
+
+      if (node.type === "CallExpression") {
+        visit(node.callee, { ...context, isCallArgument: false });
+        node.args.forEach((arg) => visit(arg, { ...context, isCallArgument: true }));
+        return;
+      }
+      childNodes(node).forEach((child) => visit(child, { ...context, isCallArgument: false }));
+    };
+
+    visit(program, { inNamespace: false, isCallArgument: false });
+    return edits;
+  }
+
+  function applyEdits(source, edits) {
+    const accepted = [];
+    edits
+      .slice()
+      .sort((a, b) => (a.start - b.start) || (a.end - b.end))
+      .forEach((edit) => {
+        const overlaps = accepted.some((other) => edit.start < other.end && other.start < edit.end);
+        if (!overlaps) accepted.push(edit);
+      });
+
+    let output = source;
+    accepted
+      .slice()
+      .sort((a, b) => (b.start - a.start) || (b.end - a.end))
+      .forEach((edit) => {
+        output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+      });
+    return { code: output, applied: accepted };
+  }
+
+  /**
+   * Rewrites Blocks violations that have a safe mechanical fix: comments, const,
+   * arithmetic compound assignments, randint() and arrow callbacks.
+   * Returns { code, changes } where changes are human-readable feedback lines.
+   * Code that does not parse, or is too deeply nested to walk, is returned unchanged.
+   */
+  function fixBlocksViolations(code) {
+    let source = String(code || "").replace(/\r\n?/g, "\n");
+    const counts = {};
+
+    for (let pass = 0; pass < FIXER_MAX_PASSES; pass++) {
+      let edits;
+      try {
+        const parsed = parseMakeCode(source);
+        edits = commentEdits(source, parsed.comments).concat(syntaxEdits(source, parsed.program));
+      } catch {
+        break;
+      }
+      if (!edits.length) break;
+      const result = applyEdits(source, edits);
+      result.applied.forEach((edit) => {
+        if (!edit.silent) counts[edit.kind] = (counts[edit.kind] || 0) + 1;
+      });
+      source = result.code;
+    }
+
+    const changes = Object.keys(FIX_DESCRIPTIONS)
+      .filter((kind) => counts[kind])
+      .map((kind) => {
+        const [one, many] = FIX_DESCRIPTIONS[kind];
+        return "Auto-fix: " + (counts[kind] === 1 ? one : many.replace("{n}", String(counts[kind]))) + ".";
+      });
+
+    return { code: changes.length ? source.trim() : String(code || ""), changes };
+  }
+  /* @shared-end blocks-fixer */
+
+  /* @shared-begin moderation: generated from shared/moderation.mjs by `npm run sync:shared`, edit the module instead */
+  const MODERATION_ACTION_RANK = { allow: 0, flag: 1, block: 2 };
+
+  // Order matters: when several categories block, the first one's message is shown.
+  const DEFAULT_MODERATION_POLICY = {
+    "self-harm": {
+      action: "block",
+      message: "It sounds like things might be hard right now. Vibbit can't help with that, but please talk to a teacher, a parent or another adult you trust. You are not alone.",
+      patterns: [
+        // Not when an object follows: "cut myself a slice of cake" is about cake.
+        "\\b(kill|hurt|harm|cut)(ing)? my ?self\\b(?! +(a|an|the|some|another|one|my|\\d+)\\b)",
+        "\\bsuicid(e|al)\\b",
+        "\\bself[- ]?harm",
+        "\\bi (really |just )?want to die\\b",
+        "\\bend(ing)? my (own )?life\\b",
+        "\\bkys\\b",
+        "\\bkill your ?self\\b"
+      ]
+    },
+    pii: {
+      action: "block",
+      message: "Please leave out personal details like phone numbers, email addresses, home addresses or ID numbers, then try again.",
+      patterns: [
+        "[\\w.+-]+@[\\w-]+\\.[\\w.-]+",
+        // Bare digit runs are too common in programs (tones, pauses, scores), so phone numbers
+        // need a leading + or 0, or a word like "phone" or "call me" just before them.
+        "\\+\\d[\\d -]{7,}\\d",
+        "\\b0\\d([ -]?\\d){6,}\\b",
+        "\\b(phone|mobile|cell|hp|call me|text me|whatsapp)\\b\\D{0,20}\\d([ -]?\\d){7,}\\b",
+        "\\b[STFGM]\\d{7}[A-Z]\\b",
+        "\\bmy (home )?address is\\b",
+        "\\bmy (phone|mobile|cell)( number)? is\\b",
+        "\\bmy password is\\b",
+        // "drive" and "close" are also verbs in game prompts ("make 3 cars drive across"), so
+        // addresses ending in them only count after "I live at" and the like.
+        "\\b\\d{1,5} \\w+ (street|st|road|rd|avenue|ave|lane|ln|crescent)\\b",
+        "\\b(i|we) (live|stay)( at| on)? (no\\.? ?)?\\d{1,5}[a-z]? \\w+( \\w+)? (drive|dr|close|way|place|court)\\b"
+      ]
+    },
+    abuse: {
+      action: "block",
+      message: "Let's keep things kind. Try asking again without that language.",
+      patterns: [
+        "\\bf+u+c+k+",
+        "\\bsh[i1]t+(ty|head)?\\b",
+        "\\bb[i1]tch(es)?\\b",
+        "\\bbastards?\\b",
+        "\\bc+u+n+t+s?\\b",
+        "\\bdick ?heads?\\b",
+        "\\bretard(ed|s)?\\b",
+        "\\bwh[o0]res?\\b",
+        "\\bslut"
+      ]
+    }
+  };
+
+  const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+  // overrides: { categories: { name: { action, message, patterns } }, blocklist: ["word", ...] }.
+  // Category patterns are added to the defaults; blocklist words are blocked as "abuse".
+  // Returns categories with compiled regexes, or throws on an invalid pattern.
+  function buildModerationPolicy(overrides) {
+    const extra = (overrides && overrides.categories) || {};
+    const names = Object.keys(DEFAULT_MODERATION_POLICY).concat(Object.keys(extra).filter((name) => !DEFAULT_MODERATION_POLICY[name]));
+    const blocklist = ((overrides && overrides.blocklist) || [])
+      .map((word) => String(word).trim())
+      .filter(Boolean)
+      .map((word) => "\\b" + escapeRegExp(word) + "\\b");
+
+    return names.map((name) => {
+      const base = DEFAULT_MODERATION_POLICY[name] || { action: "block", message: "Vibbit can't help with that request. Try asking for something else.", patterns: [] };
+      const custom = extra[name] || {};
+      const patterns = base.patterns.concat(custom.patterns || [], name === "abuse" ? blocklist : []);
+      const action = custom.action || base.action;
+      if (MODERATION_ACTION_RANK[action] === undefined) throw new Error("Unknown moderation action '" + action + "' for " + name);
+      return {
+        name,
+        action,
+        message: custom.message || base.message,
+        patterns: patterns.map((pattern) => new RegExp(pattern, "i"))
+      };
+    });
+  }
+
+  // Maps an OpenAI moderation result ({ categories: { "self-harm": true, ... } }) to policy category names.
+  function openAIModerationCategories(result) {
+    const flags = (result && result.categories) || {};
+    const names = [];
+    Object.keys(flags).forEach((key) => {
+      if (!flags[key]) return;
+      let name = "";
+      if (key.indexOf("self-harm") === 0) name = "self-harm";
+      else if (key.indexOf("harassment") === 0 || key.indexOf("hate") === 0 || key.indexOf("sexual") === 0) name = "abuse";
+      if (name && names.indexOf(name) === -1) names.push(name);
+    });
+    return names;
+  }
+
+  // Checks text against the compiled policy plus any categories already flagged by a provider.
+  // Returns { action: "allow" | "flag" | "block", categories, message }.
+  function moderatePrompt(text, policy, providerCategories) {
+    const hits = policy.filter((category) => (
+      (providerCategories || []).indexOf(category.name) !== -1
+      || category.patterns.some((pattern) => pattern.test(String(text || "")))
+    ));
+
+    let action = "allow";
+    hits.forEach((category) => {
+      if (MODERATION_ACTION_RANK[category.action] > MODERATION_ACTION_RANK[action]) action = category.action;
+    });
+    const blocking = hits.filter((category) => category.action === "block");
+    return {
+      action,
+      categories: hits.map((category) => category.name),
+      message: blocking.length ? blocking[0].message : ""
+    };
+  }
+  /* @shared-end moderation */
+
+  /* @shared-begin provider-request: generated from shared/provider-request.mjs by `npm run sync:shared`, edit the module instead */
+  const DEFAULT_RETRY_POLICY = { maxRetries: 3, budgetMs: 15000, baseDelayMs: 1000, maxDelayMs: 8000 };
+
+  // 529 is Anthropic's "overloaded"; 501 and other 5xx codes that mean "never" are not retried.
+  const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504, 529];
+
+  function isRetryableStatus(status) {
+    return RETRYABLE_STATUSES.indexOf(Number(status)) !== -1;
+  }
+
+  // Reads retry-after-ms (OpenAI) or Retry-After (seconds or an HTTP date). Returns ms, or null when absent.
+  function retryAfterMs(headers, now) {
+    if (!headers || typeof headers.get !== "function") return null;
+    const exact = Number(headers.get("retry-after-ms"));
+    if (headers.get("retry-after-ms") && exact >= 0) return exact;
+    const value = headers.get("retry-after");
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - (now === undefined ? Date.now() : now));
+  }
+
+  // Exponential backoff with "equal jitter": between half and all of base * 2^retry, capped.
+  function backoffDelayMs(retry, policy, random) {
+    const settings = Object.assign({}, DEFAULT_RETRY_POLICY, policy || {});
+    const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * Math.pow(2, retry));
+    return Math.round(ceiling / 2 + (random || Math.random)() * (ceiling / 2));
+  }
+
+  function retryAbortError() {
+    const error = new Error("Request aborted");
+    error.name = "AbortError";
+    return error;
+  }
+
+  function waitBeforeRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(retryAbortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(retryAbortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  // fetch() with retries. onWait({ retry, delayMs, status, reason }) is called before each wait;
+  // status is 0 when the host could not be reached. Resolves with the last response (OK or not)
+  // and rejects with the last network error when every try failed to connect.
+  async function fetchWithRetry(url, init, options) {
+    const request = init || {};
+    const settings = Object.assign({}, DEFAULT_RETRY_POLICY, (options && options.policy) || {});
+    const onWait = (options && options.onWait) || (() => {});
+    let waitedMs = 0;
+
+    for (let retry = 0; ; retry += 1) {
+      let response = null;
+      let failure = null;
+      try {
+        response = await fetch(url, request);
+      } catch (error) {
+        if ((error && error.name === "AbortError") || (request.signal && request.signal.aborted)) throw error;
+        failure = error;
+      }
+      if (response && (response.ok || !isRetryableStatus(response.status))) return response;
+
+      const hinted = response ? retryAfterMs(response.headers) : null;
+      const delayMs = hinted === null ? backoffDelayMs(retry, settings) : hinted;
+      if (retry >= settings.maxRetries || waitedMs + delayMs > settings.budgetMs) {
+        if (failure) throw failure;
+        return response;
+      }
+
+      if (response && response.body) response.body.cancel().catch(() => {});
+      waitedMs += delayMs;
+      onWait({
+        retry: retry + 1,
+        delayMs,
+        status: response ? response.status : 0,
+        reason: response ? "HTTP " + response.status : (failure && failure.message) || "network error"
+      });
+      await waitBeforeRetry(delayMs, request.signal);
+    }
+  }
+  /* @shared-end provider-request */
+
+  /* @shared-begin usage: generated from shared/usage.mjs by `npm run sync:shared`, edit the module instead */
+  const DEFAULT_PRICE_TABLE = {
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+    "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+    "gpt-4.1": { input: 2, output: 8 },
+    "gpt-5-nano": { input: 0.05, output: 0.4 },
+    "gpt-5-mini": { input: 0.25, output: 2 },
+    "gpt-5": { input: 1.25, output: 10 },
+    "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+    "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+    "gemini-2.5-pro": { input: 1.25, output: 10 },
+    "claude-haiku-4-5": { input: 1, output: 5 },
+    "claude-sonnet-4-5": { input: 3, output: 15 },
+    "claude-opus-4-1": { input: 15, output: 75 }
+  };
+
+  // Reads usage (OpenAI, OpenRouter and compatible servers), usage with input_tokens (Anthropic)
+  // or usageMetadata (Gemini). Returns { inputTokens, outputTokens, model } or null when absent.
+  function extractUsage(data) {
+    if (!data) return null;
+    const model = typeof data.model === "string" ? data.model : (typeof data.modelVersion === "string" ? data.modelVersion : "");
+    const usage = data.usage;
+    if (usage && (usage.prompt_tokens !== undefined || usage.completion_tokens !== undefined)) {
+      return { inputTokens: Number(usage.prompt_tokens) || 0, outputTokens: Number(usage.completion_tokens) || 0, model };
+    }
+    if (usage && (usage.input_tokens !== undefined || usage.output_tokens !== undefined)) {
+      return { inputTokens: Number(usage.input_tokens) || 0, outputTokens: Number(usage.output_tokens) || 0, model };
+    }
+    const meta = data.usageMetadata;
+    if (meta) {
+      // Gemini bills thinking tokens as output.
+      const output = (Number(meta.candidatesTokenCount) || 0) + (Number(meta.thoughtsTokenCount) || 0);
+      return { inputTokens: Number(meta.promptTokenCount) || 0, outputTokens: output, model };
+    }
+    return null;
+  }
+
+  // Longest matching prefix wins, so "gpt-4o-mini-2024-07-18" uses "gpt-4o-mini" rather than "gpt-4o".
+  // OpenRouter-style vendor prefixes ("openai/gpt-4o") are ignored. Returns { input, output } or null.
+  function priceFor(model, table) {
+    const name = String(model || "").toLowerCase().replace(/^[\w.-]+\//, "");
+    const prices = table || DEFAULT_PRICE_TABLE;
+    const match = Object.keys(prices)
+      .filter((key) => name.indexOf(key.toLowerCase()) === 0)
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? prices[match] : null;
+  }
+
+  // Estimated cost in dollars, or null when the model has no price.
+  function usageCost(usage, model, table) {
+    const price = usage ? priceFor(model, table) : null;
+    if (!price) return null;
+    return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1000000;
+  }
+
+  // items: [{ inputTokens, outputTokens, cost }]. Calls without a price are counted in `unpriced`.
+  function sumUsage(items) {
+    const total = { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+    (items || []).forEach((item) => {
+      if (!item) return;
+      total.calls += 1;
+      total.inputTokens += Number(item.inputTokens) || 0;
+      total.outputTokens += Number(item.outputTokens) || 0;
+      if (typeof item.cost === "number") total.cost += item.cost;
+      else total.unpriced += 1;
+    });
+    total.cost = Math.round(total.cost * 1000000) / 1000000;
+    return total;
+  }
+
+  function formatCost(cost) {
+    return "$" + (cost > 0 && cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2));
+  }
+
+  // "2 calls, 2400 input + 900 output tokens, est. $0.0009"
+  function describeUsage(total) {
+    if (!total || !total.calls) return "no provider calls";
+    let text = total.calls + (total.calls === 1 ? " call, " : " calls, ")
+      + total.inputTokens + " input + " + total.outputTokens + " output tokens";
+    if (total.unpriced < total.calls) text += ", est. " + formatCost(total.cost);
+    if (total.unpriced) text += total.unpriced < total.calls ? " (some calls have no price)" : " (no price for this model)";
+    return text;
+  }
+  /* @shared-end usage */
+
+  let BASE_TEMP = 0.1;
+  let MAXTOK = 3072;
+
+  const sysFor = (target) => {
+    let namespaceList = "basic,input,music,led,radio,pins,loops,logic,variables,math,functions,arrays,text,game,images,serial,control";
+    let targetName = "micro:bit";
+    if (target === "arcade") {
+      namespaceList = "controller,game,scene,sprites,info,music,effects";
+      targetName = "Arcade";
     }
     if (target === "maker") {
       namespaceList = "pins,input,loops,music";
@@ -1071,6 +3919,42 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     return header;
   };
 
+  const CONVERSATION_TURNS = 4;
+  const CONVERSATION_CODE_CHARS = 6000;
+
+  const trimConversation = (turns) => (turns || []).slice(-CONVERSATION_TURNS).map((turn) => ({
+    request: String(turn.request || "").slice(0, 2000),
+    feedback: (turn.feedback || []).slice(0, 5).map((line) => String(line).slice(0, 500)),
+    code: String(turn.code || "").slice(0, CONVERSATION_CODE_CHARS)
+  }));
+
+  const assistantTurnFor = (turn) => turn.feedback.map((line) => "FEEDBACK: " + line).concat([turn.code]).join("\n").trim();
+
+  const chatMessagesFor = (system, conversation, user) => {
+    const messages = [{ role: "system", content: system }];
+    (conversation || []).forEach((turn) => {
+      messages.push({ role: "user", content: userFor(turn.request, "") });
+      messages.push({ role: "assistant", content: assistantTurnFor(turn) });
+    });
+    messages.push({ role: "user", content: user });
+    return messages;
+  };
+
+  /* same shape as the single-turn request: the system prompt leads the first user turn */
+  const geminiContentsFor = (system, conversation, user) => {
+    const contents = [];
+    (conversation || []).forEach((turn) => {
+      contents.push({ role: "user", parts: [{ text: userFor(turn.request, "") }] });
+      contents.push({ role: "model", parts: [{ text: assistantTurnFor(turn) }] });
+    });
+    contents.push({ role: "user", parts: [{ text: user }] });
+    contents[0].parts[0].text = system + "\n\n" + contents[0].parts[0].text;
+    return contents;
+  };
+
+  /* Anthropic takes the system prompt as a top-level field, not a message */
+  const anthropicMessagesFor = (conversation, user) => chatMessagesFor("", conversation, user).slice(1);
+
   const stubForTarget = (target) => {
     if (target === "arcade") {
       return [
@@ -1095,11 +3979,30 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
   const REQ_TIMEOUT_MS = 60000;
   const EMPTY_RETRIES = 2;
 
-  const withTimeout = (promise, ms, label) => {
-    return Promise.race([
-      promise,
-      new Promise((_, reject) => setTimeout(() => reject(new Error((label || "request") + " timeout")), ms))
-    ]);
+  /* runs request(signal) under its own AbortController, so a timeout cancels the fetch and any
+     retry wait still queued behind it instead of leaving them billing the key in the background;
+     stopping the generation (parentSignal) aborts it too */
+  const withTimeout = (request, ms, label, parentSignal) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, ms);
+    const onParentAbort = () => controller.abort();
+    if (parentSignal) {
+      if (parentSignal.aborted) controller.abort();
+      else parentSignal.addEventListener("abort", onParentAbort, { once: true });
+    }
+    return request(controller.signal)
+      .catch((error) => {
+        if (timedOut && !(parentSignal && parentSignal.aborted)) throw new Error((label || "request") + " timeout");
+        throw error;
+      })
+      .finally(() => {
+        clearTimeout(timer);
+        if (parentSignal) parentSignal.removeEventListener("abort", onParentAbort);
+      });
   };
 
   const extractGeminiText = (response) => {
@@ -1121,16 +4024,56 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     return "";
   };
 
+  const extractAnthropicText = (response) => {
+    const blocks = (response && response.content) || [];
+    let text = "";
+    for (const block of blocks) {
+      if (block && block.type === "text" && block.text) text += block.text;
+    }
+    return text.trim();
+  };
+
+  /* Anthropic errors arrive as { type: "error", error: { type, message } } */
+  const anthropicErrorMessage = (text, status) => {
+    try {
+      const data = JSON.parse(text);
+      if (data && data.error && data.error.message) return "Anthropic " + (data.error.type || "error") + " (" + status + "): " + data.error.message;
+    } catch (error) {
+    }
+    return text || ("HTTP " + status);
+  };
+
+  const abortError = () => {
+    const error = new Error("Generation stopped");
+    error.name = "AbortError";
+    return error;
+  };
+
+  const isAbortError = (error) => Boolean(error && error.name === "AbortError");
+
+  const throwIfAborted = (signal) => {
+    if (signal && signal.aborted) throw abortError();
+  };
+
   const parseModelList = (model) => {
     if (!model) return [];
     return model.split(/[\s,]+/).map((item) => item.trim()).filter(Boolean);
   };
 
-  const callOpenAI = (key, model, system, user) => {
+  const formatDelay = (ms) => (Math.round((Number(ms) || 0) / 100) / 10) + "s";
+
+  /* logs each backoff wait of fetchWithRetry, e.g. "OpenAI answered 429, waiting 2.3s before retry 1." */
+  const retryOptions = (label) => ({
+    onWait: (wait) => {
+      logLine(label + " " + (wait.status ? ("answered " + wait.status) : ("was unreachable (" + wait.reason + ")")) + ", waiting " + formatDelay(wait.delayMs) + " before retry " + wait.retry + ".");
+    }
+  });
+
+  const callOpenAI = (key, model, system, user, conversation, signal) => {
     const resolvedModel = model || "gpt-5.2";
     const body = {
       model: resolvedModel,
-      messages: [{ role: "system", content: system }, { role: "user", content: user }]
+      messages: chatMessagesFor(system, conversation, user)
     };
     if (/^gpt-5/i.test(resolvedModel)) {
       // GPT-5 chat models require max_completion_tokens and reject non-default temperature.
@@ -1140,44 +4083,48 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
       body.max_tokens = MAXTOK;
     }
     return withTimeout(
-      fetch("https://api.openai.com/v1/chat/completions", {
+      (requestSignal) => fetchWithRetry("https://api.openai.com/v1/chat/completions", {
         method: "POST",
+        signal: requestSignal,
         headers: { "Content-Type": "application/json", Authorization: "Bearer " + key },
         body: JSON.stringify(body)
-      })
+      }, retryOptions("OpenAI"))
         .then((response) => {
           if (!response.ok) return response.text().then((text) => { throw new Error(text); });
           return response.json();
         })
-        .then((data) => ((data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || "").trim()),
+        .then((data) => ({ text: ((data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || "").trim(), usage: extractUsage(data) })),
       REQ_TIMEOUT_MS,
-      "OpenAI"
+      "OpenAI",
+      signal
     );
   };
 
-  const callGemini = (key, model, system, user) => {
+  const callGemini = (key, model, system, user, conversation, signal) => {
     const url = "https://generativelanguage.googleapis.com/v1beta/models/" + encodeURIComponent(model || "gemini-3-flash-preview") + ":generateContent?key=" + encodeURIComponent(key);
     const body = {
-      contents: [{ role: "user", parts: [{ text: system + "\n\n" + user }] }],
+      contents: geminiContentsFor(system, conversation, user),
       generationConfig: { temperature: BASE_TEMP, maxOutputTokens: MAXTOK }
     };
     return withTimeout(
-      fetch(url, {
+      (requestSignal) => fetchWithRetry(url, {
         method: "POST",
+        signal: requestSignal,
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(body)
-      })
+      }, retryOptions("Gemini"))
         .then((response) => {
           if (!response.ok) return response.text().then((text) => { throw new Error(text); });
           return response.json();
         })
-        .then((data) => extractGeminiText(data)),
+        .then((data) => ({ text: extractGeminiText(data), usage: extractUsage(data) })),
       REQ_TIMEOUT_MS,
-      "Gemini"
+      "Gemini",
+      signal
     );
   };
 
-  const callOpenRouter = (key, model, system, user) => {
+  const callOpenRouter = (key, model, system, user, conversation, signal) => {
     const models = parseModelList(model);
     const queue = models.length ? models : ["openrouter/auto"];
     const headers = {
@@ -1192,31 +4139,34 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
         model: modelId,
         temperature: BASE_TEMP,
         max_tokens: MAXTOK,
-        messages: [{ role: "system", content: system }, { role: "user", content: user }]
+        messages: chatMessagesFor(system, conversation, user)
       };
       return withTimeout(
-        fetch("https://openrouter.ai/api/v1/chat/completions", {
+        (requestSignal) => fetchWithRetry("https://openrouter.ai/api/v1/chat/completions", {
           method: "POST",
+          signal: requestSignal,
           headers,
           body: JSON.stringify(body)
-        })
+        }, retryOptions("OpenRouter " + modelId))
           .then((response) => {
             if (!response.ok) return response.text().then((text) => { throw new Error(text || ("HTTP " + response.status)); });
             return response.json();
           })
-          .then((data) => ((data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || "").trim()),
+          .then((data) => ({ text: ((data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || "").trim(), usage: extractUsage(data) })),
         REQ_TIMEOUT_MS,
-        "OpenRouter " + modelId
+        "OpenRouter " + modelId,
+        signal
       );
     };
 
     const attempt = (index) => {
       if (index >= queue.length) return Promise.reject(new Error("All OpenRouter models failed"));
+      throwIfAborted(signal);
       const modelName = queue[index];
       logLine("OpenRouter trying " + modelName + ".");
       return sendForModel(modelName)
         .then((result) => {
-          if (result && result.trim()) return result;
+          if (result.text) return result;
           if (index < queue.length - 1) {
             logLine("Model " + modelName + " returned empty result. Trying next model.");
             return attempt(index + 1);
@@ -1224,6 +4174,7 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
           return result;
         })
         .catch((error) => {
+          if (isAbortError(error) || (signal && signal.aborted)) throw abortError();
           if (index < queue.length - 1) {
             logLine("Model " + modelName + " failed: " + (error && error.message ? error.message : String(error)) + ". Trying next model.");
             return attempt(index + 1);
@@ -1235,22 +4186,163 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     return attempt(0);
   };
 
-  const askValidated = (provider, apiKey, model, system, user, target) => {
-    const providers = { openai: callOpenAI, gemini: callGemini, openrouter: callOpenRouter };
-    const names = { openai: "OpenAI", gemini: "Gemini", openrouter: "OpenRouter" };
+  /* accepts "host:port", an origin or a ".../v1" URL and returns the /v1 API root */
+  const customApiRoot = (base) => {
+    const trimmed = String(base || "").trim().replace(/\/+$/, "");
+    if (!trimmed) return "";
+    const withScheme = /^https?:\/\//i.test(trimmed) ? trimmed : "http://" + trimmed;
+    return /\/v1$/i.test(withScheme) ? withScheme : withScheme + "/v1";
+  };
+
+  const customHeaders = (key) => {
+    const headers = { "Content-Type": "application/json" };
+    if (key) headers.Authorization = "Bearer " + key;
+    return headers;
+  };
+
+  const listCustomModels = (base, key) => {
+    return withTimeout(
+      (signal) => fetch(customApiRoot(base) + "/models", { signal, headers: customHeaders(key) })
+        .then((response) => {
+          if (!response.ok) return response.text().then((text) => { throw new Error(text || ("HTTP " + response.status)); });
+          return response.json();
+        })
+        .then((data) => ((data && data.data) || []).map((item) => item && item.id).filter(Boolean)),
+      15000,
+      "Model list"
+    );
+  };
+
+  const callCustom = (key, model, system, user, conversation, signal) => {
+    const body = {
+      model,
+      temperature: BASE_TEMP,
+      max_tokens: MAXTOK,
+      messages: chatMessagesFor(system, conversation, user)
+    };
+    return withTimeout(
+      (requestSignal) => fetchWithRetry(customApiRoot(storageGet(STORAGE_CUSTOM_BASE)) + "/chat/completions", {
+        method: "POST",
+        signal: requestSignal,
+        headers: customHeaders(key),
+        body: JSON.stringify(body)
+      }, retryOptions("Custom endpoint"))
+        .then((response) => {
+          if (!response.ok) return response.text().then((text) => { throw new Error(text || ("HTTP " + response.status)); });
+          return response.json();
+        })
+        .then((data) => ({ text: ((data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || "").trim(), usage: extractUsage(data) })),
+      REQ_TIMEOUT_MS,
+      "Custom endpoint",
+      signal
+    );
+  };
+
+  const callAnthropic = (key, model, system, user, conversation, signal) => {
+    const body = {
+      model: model || "claude-sonnet-4-5",
+      max_tokens: MAXTOK,
+      temperature: BASE_TEMP,
+      system,
+      messages: anthropicMessagesFor(conversation, user)
+    };
+    return withTimeout(
+      (requestSignal) => fetchWithRetry("https://api.anthropic.com/v1/messages", {
+        method: "POST",
+        signal: requestSignal,
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": key,
+          "anthropic-version": "2023-06-01",
+          // Required for calls made straight from the browser with a user-supplied key.
+          "anthropic-dangerous-direct-browser-access": "true"
+        },
+        body: JSON.stringify(body)
+      }, retryOptions("Anthropic"))
+        .then((response) => {
+          if (!response.ok) return response.text().then((text) => { throw new Error(anthropicErrorMessage(text, response.status)); });
+          return response.json();
+        })
+        .then((data) => ({ text: extractAnthropicText(data), usage: extractUsage(data) })),
+      REQ_TIMEOUT_MS,
+      "Anthropic",
+      signal
+    );
+  };
+
+  /* ── moderation ──────────────────────────────────────────── */
+  let moderationPolicy = null;
+
+  /* OpenAI keys can also call the free moderation endpoint; other providers rely on the local policy */
+  const openAIModerationFor = (provider, apiKey, text, signal) => {
+    if (provider !== "openai" || !apiKey) return Promise.resolve([]);
+    return fetch("https://api.openai.com/v1/moderations", {
+      method: "POST",
+      signal,
+      headers: { "Content-Type": "application/json", Authorization: "Bearer " + apiKey },
+      body: JSON.stringify({ model: "omni-moderation-latest", input: text })
+    })
+      .then(async (response) => {
+        if (!response.ok) throw new Error("HTTP " + response.status);
+        const data = await response.json();
+        return openAIModerationCategories(data && data.results ? data.results[0] : null);
+      })
+      .catch((error) => {
+        if (isAbortError(error)) throw error;
+        logLine("OpenAI moderation check unavailable (" + error.message + "). Using the built-in check only.");
+        return [];
+      });
+  };
+
+  const moderationError = (verdict) => {
+    const error = new Error(verdict.message);
+    error.moderation = { action: verdict.action, categories: verdict.categories };
+    return error;
+  };
+
+  const checkModeration = (provider, apiKey, text, signal) => {
+    if (!moderationPolicy) moderationPolicy = buildModerationPolicy();
+    return openAIModerationFor(provider, apiKey, text, signal).then((providerCategories) => {
+      const verdict = moderatePrompt(text, moderationPolicy, providerCategories);
+      if (verdict.action === "block") throw moderationError(verdict);
+      if (verdict.action === "flag") logLine("Moderation flagged this request (" + verdict.categories.join(", ") + "). Sending anyway.");
+      return verdict;
+    });
+  };
+
+  const askValidated = (provider, apiKey, model, system, user, conversation, target, signal) => {
+    const providers = { openai: callOpenAI, gemini: callGemini, openrouter: callOpenRouter, anthropic: callAnthropic, custom: callCustom };
+    const names = { openai: "OpenAI", gemini: "Gemini", openrouter: "OpenRouter", anthropic: "Anthropic", custom: "Custom endpoint" };
     const callProvider = providers[provider] || providers.openai;
+    const usages = [];
+
+    /* validation retries are billed too, so each call is logged and added to the total */
+    const recordUsage = (usage) => {
+      if (!usage) return;
+      const item = {
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        cost: usageCost(usage, usage.model || model, DEFAULT_PRICE_TABLE)
+      };
+      usages.push(item);
+      logLine("Usage: " + describeUsage(sumUsage([item])).replace(/^1 call, /, "") + ".");
+    };
 
     const oneAttempt = (extraSystem, insistOnlyCode) => {
+      throwIfAborted(signal);
       const prompt = system
         + (extraSystem ? ("\n" + extraSystem) : "")
         + (insistOnlyCode ? "\nMANDATE: You must output only Blocks-decompilable MakeCode Static TypeScript." : "");
       const providerName = names[provider] || provider;
       logLine("Sending to " + providerName + " (" + (model || "default") + ").");
-      return callProvider(apiKey, model, prompt, user).then((raw) => {
-        const parts = separateFeedback(raw);
-        const code = sanitizeMakeCode(extractCode(parts.body));
-        const validation = validateBlocksCompatibility(code, target);
-        return { code, validation, feedback: parts.feedback };
+      return callProvider(apiKey, model, prompt, user, conversation, signal).then((reply) => {
+        throwIfAborted(signal);
+        recordUsage(reply.usage);
+        const parts = separateFeedback(reply.text);
+        const fixed = fixBlocksViolations(sanitizeMakeCode(extractCode(parts.body)));
+        if (fixed.changes.length) logLine(fixed.changes.join(" "));
+        const validation = validateBlocksCompatibility(fixed.code, target);
+        return { code: fixed.code, validation, feedback: parts.feedback.concat(fixed.changes) };
       });
     };
 
@@ -1270,8 +4362,7 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
       .then((firstPass) => {
         if (!firstPass.code || !firstPass.code.trim()) return firstPass;
         if (firstPass.validation && firstPass.validation.ok) return firstPass;
-        const violations = (firstPass.validation && firstPass.validation.violations) || [];
-        const extra = "Previous code used: " + violations.join(", ") + ". Remove ALL forbidden constructs. Use only " + (target === "arcade" ? "Arcade" : "micro:bit/Maker") + " APIs.";
+        const extra = "Previous code used: " + describeViolations(firstPass.validation) + ". Remove ALL forbidden constructs. Use only " + (target === "arcade" ? "Arcade" : "micro:bit/Maker") + " APIs.";
         return oneAttempt(extra, true).then((secondPass) => {
           if (secondPass.validation && secondPass.validation.ok) return secondPass;
           const secondViolations = (secondPass.validation && secondPass.validation.violations) || [];
@@ -1281,43 +4372,222 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
       })
       .then((finalResult) => {
         const feedback = finalResult && Array.isArray(finalResult.feedback) ? finalResult.feedback : [];
+        const usage = sumUsage(usages);
         if (!finalResult || !finalResult.code || !finalResult.code.trim()) {
           logLine("Model returned no code after retries. Using minimal stub.");
-          return { code: stubForTarget(target), feedback };
+          return { code: stubForTarget(target), feedback, usage };
         }
         if (!finalResult.validation || !finalResult.validation.ok) {
-          const violations = (finalResult.validation && finalResult.validation.violations) || [];
           logLine("Model output still failed strict validation. Using minimal stub.");
-          return { code: stubForTarget(target), feedback: feedback.concat(["Validation fallback: " + violations.join(", ")]) };
+          return {
+            code: stubForTarget(target),
+            feedback: feedback.concat(["Validation fallback: " + describeViolations(finalResult.validation)]),
+            rejected: { code: finalResult.code, diagnostics: finalResult.validation ? finalResult.validation.diagnostics || [] : [] },
+            usage
+          };
         }
-        return { code: finalResult.code, feedback };
+        return { code: finalResult.code, feedback, usage };
       });
   };
 
   const buildBackendHeaders = () => {
     const headers = { "Content-Type": "application/json" };
-    if (APP_TOKEN) headers.Authorization = "Bearer " + APP_TOKEN;
+    const session = getSession();
+    const token = session ? session.token : APP_TOKEN;
+    if (token) headers.Authorization = "Bearer " + token;
     return headers;
   };
 
-  const requestBackendGenerate = (payload) => {
+  const joinClass = (code, name) => {
+    const backendUrl = getBackendUrl();
+    return fetch(backendUrl + "/vibbit/join", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ code, name })
+    }).then(async (response) => {
+      if (!response.ok) throw await backendError(response);
+      const data = await response.json();
+      const session = {
+        token: data.token,
+        expiresAt: data.expiresAt || "",
+        student: data.student || name,
+        className: data.class ? (data.class.label || data.class.name || "") : "",
+        server: backendUrl
+      };
+      storageSet(STORAGE_SESSION, JSON.stringify(session));
+      return session;
+    });
+  };
+
+  /* servers from before profiles answer 404, which counts as having none */
+  const fetchProfiles = () => {
+    return fetch(getBackendUrl() + "/vibbit/profiles", { headers: buildBackendHeaders() })
+      .then(async (response) => {
+        if (response.status === 404) return [];
+        if (!response.ok) throw await backendError(response);
+        const data = await response.json();
+        return data && Array.isArray(data.profiles) ? data.profiles : [];
+      });
+  };
+
+  /* 429 errors carry retryAfter (seconds) so the panel can tell the student when to try again */
+  const backendError = async (response) => {
+    let message = "HTTP " + response.status;
+    let json = null;
+    try {
+      json = await response.json();
+      if (json && json.error) message = json.error;
+    } catch (error) {
+    }
+    const error = new Error(message);
+    error.status = response.status;
+    if (response.status === 429) {
+      const seconds = Number(response.headers.get("Retry-After") || (json && json.retryAfter));
+      error.retryAfter = seconds > 0 ? Math.ceil(seconds) : 60;
+    }
+    if (json && json.moderation) error.moderation = json.moderation;
+    return error;
+  };
+
+  const formatWait = (seconds) => {
+    if (seconds < 90) return seconds + (seconds === 1 ? " second" : " seconds");
+    if (seconds < 90 * 60) return Math.round(seconds / 60) + " minutes";
+    return Math.round(seconds / 3600) + " hours";
+  };
+
+  /* quoting the backend's request ID in a support ticket finds the request in its logs */
+  const logRequestId = (response) => {
+    const requestId = response.headers.get("X-Request-Id");
+    if (requestId) logLine("Backend request ID: " + requestId);
+  };
+
+  const requestBackendGenerate = (payload, signal) => {
     const backendUrl = getBackendUrl();
     return fetch(backendUrl + "/vibbit/generate", {
       method: "POST",
+      signal,
       headers: buildBackendHeaders(),
       body: JSON.stringify(payload)
     }).then(async (response) => {
+      logRequestId(response);
       if (response.ok) return response.json();
-      let message = "HTTP " + response.status;
-      try {
-        const json = await response.json();
-        if (json && json.error) message = json.error;
-      } catch (error) {
+      throw await backendError(response);
+    });
+  };
+
+  const parseEventBlock = (block) => {
+    let event = "message";
+    const dataLines = [];
+    block.split("\n").forEach((line) => {
+      if (line.indexOf("event:") === 0) event = line.slice(6).trim();
+      else if (line.indexOf("data:") === 0) dataLines.push(line.slice(5).trim());
+    });
+    if (!dataLines.length) return null;
+    try {
+      return { event, data: JSON.parse(dataLines.join("\n")) };
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const requestBackendGenerateStream = (payload, onProgress, signal) => {
+    const backendUrl = getBackendUrl();
+    return fetch(backendUrl + "/vibbit/generate/stream", {
+      method: "POST",
+      signal,
+      headers: buildBackendHeaders(),
+      body: JSON.stringify(payload)
+    }).then(async (response) => {
+      if (response.status === 404) {
+        logLine("Backend has no streaming endpoint. Waiting for full response.");
+        return requestBackendGenerate(payload, signal);
+      }
+      logRequestId(response);
+      if (!response.ok || !response.body) throw await backendError(response);
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let result = null;
+      const handleBlock = (block) => {
+        const parsed = parseEventBlock(block);
+        if (!parsed) return;
+        if (parsed.event === "result") result = parsed.data;
+        else if (parsed.event === "error") throw new Error((parsed.data && parsed.data.error) || "Generation failed");
+        else onProgress(parsed.event, parsed.data || {});
+      };
+
+      for (;;) {
+        const chunk = await reader.read();
+        if (chunk.done) break;
+        buffer += decoder.decode(chunk.value, { stream: true }).replace(/\r\n/g, "\n");
+        let boundary = buffer.indexOf("\n\n");
+        while (boundary !== -1) {
+          handleBlock(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf("\n\n");
+        }
       }
-      throw new Error(message);
+      if (buffer.trim()) handleBlock(buffer);
+      if (!result) throw new Error("Stream ended before a result was received");
+      return result;
     });
   };
 
+  const describeProgress = (event, data) => {
+    const label = "Attempt " + (data.attempt || "?");
+    if (event === "attempt") {
+      return label + ": asking " + (data.provider || "model") + (data.model ? (" (" + data.model + ")") : "") + "...";
+    }
+    if (event === "response") {
+      return data.chars ? (label + ": model replied with " + data.chars + " characters of code.") : (label + ": model replied with no code.");
+    }
+    if (event === "fix") {
+      return label + ": " + (data.changes || []).join(" ");
+    }
+    if (event === "validation") {
+      return data.ok
+        ? (label + ": passed blocks validation.")
+        : (label + ": failed validation (" + describeViolations(data) + ").");
+    }
+    if (event === "retry") {
+      return "Retrying: " + (data.reason || "previous attempt was rejected.");
+    }
+    if (event === "backoff") {
+      return label + ": " + (data.provider || "provider") + " " + (data.status ? ("answered " + data.status) : "was unreachable") + ", waiting " + formatDelay(data.delayMs) + " before retry " + data.retry + ".";
+    }
+    if (event === "failover") {
+      const next = data.next || {};
+      return label + ": " + (data.provider || "provider") + " failed (" + (data.reason || "error") + "), switching to " + (next.provider || "the next provider") + (next.model ? (" (" + next.model + ")") : "") + ".";
+    }
+    if (event === "cache" && data.shared) {
+      return "The same request was already being answered, so this one shares its result.";
+    }
+    if (event === "cache") {
+      return "Instant result: this request was answered recently. Press Generate again for a fresh one.";
+    }
+    return "";
+  };
+
+  const applyGenerated = (code, feedback, target, meta) => {
+    setStatus("Pasting");
+    return pasteToMakeCode(code, { record: meta })
+      .catch((error) => {
+        const message = error && error.message ? error.message : String(error);
+        if (!/grey JavaScript block/i.test(message)) throw error;
+        logLine("Live decompile check failed: " + message);
+        logLine("Applying minimal fallback stub.");
+        const fallbackFeedback = feedback.concat(["Live editor fallback: " + message]);
+        renderFeedback(fallbackFeedback);
+        return pasteToMakeCode(stubForTarget(target), { snapshot: false, record: Object.assign({}, meta, { kind: "fallback" }) });
+      })
+      .then(() => {
+        setStatus("Done");
+        setActivity("Generation complete.", "success");
+        logLine("Pasted and switched back to Blocks.");
+      });
+  };
+
   /* ── generate handler ────────────────────────────────────── */
   go.onclick = () => {
     if (busy) return;
@@ -1328,6 +4598,8 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
 
     clearLog();
     renderFeedback([]);
+    renderIssues(null);
+    hideReview();
     setStatus("Working");
     logLine("Generating...");
 
@@ -1349,6 +4621,17 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
     go.disabled = true;
     go.style.opacity = "0.7";
     go.style.cursor = "not-allowed";
+    const controller = new AbortController();
+    const signal = controller.signal;
+    generationController = controller;
+    stopBtn.style.display = "block";
+    stopBtn.disabled = false;
+    const versionMeta = { prompt: request, target, provider: "", model: "" };
+    const generateKey = target + "\n" + request;
+    const fresh = generateKey === lastGenerateKey;
+    lastGenerateKey = generateKey;
+    const priorTurns = trimConversation(conversation);
+    if (priorTurns.length) logLine("Including " + priorTurns.length + " earlier turn(s) from this conversation.");
 
     const currentPromise = includeCurrent.checked
       ? findMonacoCtx()
@@ -1364,22 +4647,50 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
 
     currentPromise
       .then((currentCode) => {
+        throwIfAborted(signal);
         if (mode === "managed") {
-          logLine("Mode: Managed backend.");
-          return requestBackendGenerate({ target, request, currentCode });
+          const profile = storageGet(STORAGE_PROFILE) || "";
+          logLine("Mode: Managed backend" + (profile ? (", profile " + profile) : "") + ".");
+          if (fresh) logLine("Same request as last time: asking for a fresh result.");
+          const payload = { target, request, currentCode, conversation: priorTurns, fresh };
+          if (profile) payload.profile = profile;
+          return requestBackendGenerateStream(payload, (event, data) => {
+            if (event === "attempt" || event === "cache") {
+              versionMeta.provider = data.provider || "managed";
+              versionMeta.model = data.model || "";
+            }
+            const message = describeProgress(event, data);
+            if (!message || signal.aborted) return;
+            setActivity(message, event === "validation" && !data.ok ? "error" : "neutral", true);
+            logLine(message);
+          }, signal);
         }
 
         const provider = storageGet(STORAGE_PROVIDER) || "openai";
+        const isCustom = provider === "custom";
         const apiKey = getStoredProviderKey(provider).trim();
-        if (!apiKey) throw new Error("Enter API key for BYOK mode (open Settings).");
-        const model = storageGet(STORAGE_MODEL) || "";
+        if (!apiKey && !isCustom) throw new Error("Enter API key for BYOK mode (open Settings).");
+        if (isCustom && !customApiRoot(storageGet(STORAGE_CUSTOM_BASE))) throw new Error("Enter the base URL of your OpenAI-compatible server (open Settings).");
+        const model = (isCustom ? storageGet(STORAGE_CUSTOM_MODEL) : storageGet(STORAGE_MODEL)) || "";
+        if (isCustom && !model) throw new Error("Enter a model name for the custom provider (open Settings).");
+        versionMeta.provider = provider;
+        versionMeta.model = model;
 
         logLine("Mode: BYOK.");
-        return askValidated(provider, apiKey, model, sysFor(target), userFor(request, currentCode), target);
+        return checkModeration(provider, apiKey, request, signal)
+          .then(() => askValidated(provider, apiKey, model, sysFor(target), userFor(request, currentCode), priorTurns, target, signal));
       })
       .then((result) => {
+        throwIfAborted(signal);
         const feedback = result && Array.isArray(result.feedback) ? result.feedback : [];
-        renderFeedback(feedback);
+        /* the usage line is only shown, never sent back to the model as conversation feedback */
+        const usageLine = result && result.usage && result.usage.calls ? "Usage: " + describeUsage(result.usage) + "." : "";
+        if (usageLine) logLine("Generation total " + usageLine.charAt(0).toLowerCase() + usageLine.slice(1));
+        renderFeedback(usageLine ? feedback.concat([usageLine]) : feedback);
+        if (result && result.rejected) {
+          renderIssues(Object.assign({}, result.rejected, { meta: Object.assign({}, versionMeta) }));
+          logLine("Rejected output had " + (result.rejected.diagnostics || []).length + " Blocks issue(s); see the list above the history.");
+        }
 
         const code = extractCode(result && result.code ? result.code : "");
         if (!code) {
@@ -1389,29 +4700,71 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
           return;
         }
 
-        setStatus("Pasting");
-        return pasteToMakeCode(code)
-          .catch((error) => {
-            const message = error && error.message ? error.message : String(error);
-            if (!/grey JavaScript block/i.test(message)) throw error;
-            logLine("Live decompile check failed: " + message);
-            logLine("Applying minimal fallback stub.");
-            const fallbackFeedback = feedback.concat(["Live editor fallback: " + message]);
-            renderFeedback(fallbackFeedback);
-            return pasteToMakeCode(stubForTarget(target), { snapshot: false });
-          })
-          .then(() => {
-            setStatus("Done");
-            setActivity("Generation complete.", "success");
-            logLine("Pasted and switched back to Blocks.");
+        stopBtn.style.display = "none";
+        const reviewPromise = reviewToggle.checked
+          ? findMonacoCtx()
+            .then((ctx) => ctx.model.getValue() || "")
+            .then((previous) => {
+              setStatus("Reviewing");
+              setActivity("Review the changes, then Apply or Discard.", "neutral", true);
+              logLine("Waiting for review.");
+              return reviewChanges(previous, code);
+            })
+          : Promise.resolve(true);
+
+        return reviewPromise.then((approved) => {
+          if (!approved) {
+            setStatus("Discarded");
+            setActivity("Generated code discarded.", "neutral");
+            logLine("Generated code discarded. Editor left unchanged.");
+            return;
+          }
+          if (!versionMeta.provider) versionMeta.provider = mode === "managed" ? "managed" : "";
+          return applyGenerated(code, feedback, target, versionMeta).then(() => {
+            if (result.cached) setActivity("Instant result. Press Generate again for a fresh one.", "success");
+            conversation.push({ request, feedback, code });
+            renderThread();
           });
+        });
       })
       .catch((error) => {
+        if (signal.aborted || isAbortError(error)) {
+          setStatus("Idle");
+          setActivity("Generation stopped.", "neutral");
+          logLine("Generation stopped. Editor left unchanged.");
+          return;
+        }
+        if (error && error.status === 401 && mode === "managed" && getSession()) {
+          setStatus("Signed out");
+          setActivity(error.message + ". Ask your teacher, or join again in Settings.", "error", true);
+          logLine("Class sign-in rejected: " + error.message);
+          return;
+        }
+        if (error && error.moderation) {
+          setStatus("Not sent");
+          setActivity(error.message, "neutral", true);
+          logLine("Moderation blocked this request (" + (error.moderation.categories || []).join(", ") + "). Nothing was sent to the model.");
+          return;
+        }
+        if (error && error.status === 403 && mode === "managed") {
+          setStatus("Paused");
+          setActivity(error.message + ".", "error", true);
+          logLine("Request refused: " + error.message);
+          return;
+        }
+        if (error && error.retryAfter) {
+          setStatus("Busy");
+          setActivity("Vibbit is busy right now. Try again in " + formatWait(error.retryAfter) + ".", "error", true);
+          logLine("Rate limited: " + error.message);
+          return;
+        }
         setStatus("Error");
         setActivity("Generation failed. Check logs.", "error", true);
         logLine("Request failed: " + (error && error.message ? error.message : String(error)));
       })
       .finally(() => {
+        if (generationController === controller) generationController = null;
+        stopBtn.style.display = "none";
         busy = false;
         setBusyIndicator(false);
         go.textContent = originalText;
@@ -1422,24 +4775,33 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
       });
   };
 
-  revertBtn.onclick = () => {
-    if (revertBtn.disabled || busy) return;
+  stopBtn.onclick = () => {
+    if (!generationController || generationController.signal.aborted) return;
+    stopBtn.disabled = true;
+    setStatus("Stopping");
+    setActivity("Stopping...", "neutral", true);
+    logLine("Stop requested. Cancelling pending requests.");
+    generationController.abort();
+  };
+
+  const runHistoryAction = (verb, action) => {
+    if (busy) return;
     busy = true;
     setBusyIndicator(true);
     refreshRevertButton();
-    setStatus("Reverting");
+    setStatus(verb.active);
     setActivity("", "neutral", true);
-    logLine("Reverting to previous snapshot...");
-    revertEditor()
+    logLine(verb.active + "...");
+    action()
       .then(() => {
-        setStatus("Reverted");
-        setActivity("Revert complete.", "success");
-        logLine("Revert complete: restored previous code and switched back to Blocks.");
+        setStatus(verb.done);
+        setActivity(verb.done + ".", "success");
+        logLine(verb.done + ": restored saved version and switched back to Blocks.");
       })
       .catch((error) => {
         setStatus("Error");
-        setActivity("Revert failed. Check logs.", "error", true);
-        logLine("Revert failed: " + (error && error.message ? error.message : String(error)));
+        setActivity(verb.done + " failed. Check logs.", "error", true);
+        logLine(verb.done + " failed: " + (error && error.message ? error.message : String(error)));
       })
       .finally(() => {
         busy = false;
@@ -1448,6 +4810,41 @@ const APP_TOKEN = ""; // set only if your server enforces SERVER_APP_TOKEN
       });
   };
 
+  revertBtn.onclick = () => {
+    if (revertBtn.disabled) return;
+    runHistoryAction({ active: "Reverting", done: "Reverted" }, () => restoreVersion((state) => state.entries[state.cursor - 1]));
+  };
+
+  redoBtn.onclick = () => {
+    if (redoBtn.disabled) return;
+    runHistoryAction({ active: "Redoing", done: "Redone" }, () => restoreVersion((state) => state.entries[state.cursor + 1]));
+  };
+
+  const previewVersion = (entryId) => {
+    if (busy) return;
+    const entry = history.entries.find((item) => item.id === entryId);
+    if (!entry) return;
+    findMonacoCtx()
+      .then((ctx) => reviewChanges(ctx.model.getValue() || "", entry.code, { title: "Preview version", apply: "Restore", discard: "Close" }))
+      .then((approved) => {
+        if (!approved) return;
+        runHistoryAction({ active: "Restoring", done: "Restored" }, () => restoreVersion((state) => state.entries.find((item) => item.id === entryId)));
+      })
+      .catch((error) => {
+        logLine("Preview failed: " + (error && error.message ? error.message : String(error)));
+      });
+  };
+
+  historyToggle.onclick = () => {
+    historyCollapsed = !historyCollapsed;
+    renderHistory();
+    if (!historyCollapsed) {
+      loadHistory().catch((error) => logLine("Could not load history: " + error));
+    }
+  };
+  renderHistory();
+  loadHistory().catch(() => {});
+
   /* ── drag (all headers) ──────────────────────────────────── */
   (function enableDrag() {
     let dragging = false;